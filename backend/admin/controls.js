@@ -0,0 +1,750 @@
+// backend/admin/controls.js - Admin Powers for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Implements the admin powers listed in docs/admin-powers.md
+
+const { User, AdminSettings } = require('../database/models');
+const gameController = require('../game/index');
+const { ENGINE_CONFIG } = require('../game/engine');
+const { resetDemoBalance, resetAllDemoBalances } = require('../users/userStore');
+const ledger = require('../users/ledger');
+const { validateBetFilters } = require('../game/betHistory');
+const cashoutAudit = require('../game/cashoutAudit');
+
+/**
+ * Admin Control Limits
+ */
+const ADMIN_CONFIG = {
+  // Loss bias range (0 = never force a loss, 1 = always) - crash and color
+  LOSS_BIAS: { MIN: 0, MAX: 1 },
+
+  // Maximum win multiplier cap range (matches the AdminSettings schema)
+  MAX_WIN_MULTIPLIER: { MIN: 1, MAX: 10000 },
+
+  // Deposit/withdraw links must stay inside the demo platform
+  LINK_PATTERN: /^\/[^\s]*$/,
+  MAX_LINK_LENGTH: 200,
+
+  // Largest single manual balance adjustment
+  MAX_ADJUSTMENT: 1000000,
+  MAX_REASON_LENGTH: 200
+};
+
+/**
+ * Check that a value is a finite number inside a range
+ * @param {*} value - Value to check
+ * @param {Object} range - { MIN, MAX }
+ * @returns {boolean} True if valid
+ */
+function isNumberInRange(value, range) {
+  return typeof value === 'number' && Number.isFinite(value) &&
+         value >= range.MIN && value <= range.MAX;
+}
+
+/**
+ * Validate a game settings update
+ * @param {Object} updates - { lossBias?, maxWinMultiplier?, colorLossBias? }
+ * @returns {Object} Validation result with errors array
+ */
+function validateGameSettings(updates = {}) {
+  const errors = [];
+  const { lossBias, maxWinMultiplier, colorLossBias } = updates;
+
+  if (lossBias === undefined && maxWinMultiplier === undefined && colorLossBias === undefined) {
+    errors.push('Provide lossBias, maxWinMultiplier and/or colorLossBias');
+  }
+
+  if (lossBias !== undefined && !isNumberInRange(lossBias, ADMIN_CONFIG.LOSS_BIAS)) {
+    errors.push(`lossBias must be a number between ${ADMIN_CONFIG.LOSS_BIAS.MIN} and ${ADMIN_CONFIG.LOSS_BIAS.MAX}`);
+  }
+
+  if (maxWinMultiplier !== undefined && !isNumberInRange(maxWinMultiplier, ADMIN_CONFIG.MAX_WIN_MULTIPLIER)) {
+    errors.push(`maxWinMultiplier must be a number between ${ADMIN_CONFIG.MAX_WIN_MULTIPLIER.MIN} and ${ADMIN_CONFIG.MAX_WIN_MULTIPLIER.MAX}`);
+  }
+
+  if (colorLossBias !== undefined && !isNumberInRange(colorLossBias, ADMIN_CONFIG.LOSS_BIAS)) {
+    errors.push(`colorLossBias must be a number between ${ADMIN_CONFIG.LOSS_BIAS.MIN} and ${ADMIN_CONFIG.LOSS_BIAS.MAX}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a deposit/withdraw link update
+ * @param {Object} links - { depositLink?, withdrawLink? }
+ * @returns {Object} Validation result with errors array
+ */
+function validateLinks(links = {}) {
+  const errors = [];
+  const { depositLink, withdrawLink } = links;
+
+  if (depositLink === undefined && withdrawLink === undefined) {
+    errors.push('Provide depositLink and/or withdrawLink');
+  }
+
+  [['depositLink', depositLink], ['withdrawLink', withdrawLink]].forEach(([field, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (typeof value !== 'string' || !ADMIN_CONFIG.LINK_PATTERN.test(value) ||
+        value.length > ADMIN_CONFIG.MAX_LINK_LENGTH) {
+      errors.push(`${field} must be a relative path starting with / (max ${ADMIN_CONFIG.MAX_LINK_LENGTH} characters)`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Sanitize the settings document for responses
+ * @param {Object} settings - AdminSettings document
+ * @returns {Object} Settings data
+ */
+function formatSettings(settings) {
+  return {
+    lossBias: settings.lossBias,
+    maxWinMultiplier: settings.maxWinMultiplier,
+    colorLossBias: settings.colorLossBias,
+    depositLink: settings.depositLink,
+    withdrawLink: settings.withdrawLink,
+    demoBalanceSettings: settings.demoBalanceSettings,
+    version: settings.version,
+    updatedBy: settings.updatedBy,
+    updatedAt: settings.updatedAt
+  };
+}
+
+/**
+ * Get the current admin settings
+ * @returns {Promise<Object>} Operation result with settings
+ */
+async function getSettings() {
+  try {
+    const settings = await AdminSettings.getSettings();
+    return {
+      success: true,
+      settings: formatSettings(settings)
+    };
+  } catch (error) {
+    console.error('Failed to load admin settings:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Change the loss bias and/or maximum win multiplier (powers 1 and 2)
+ * Saved to AdminSettings and applied to rounds that have not started.
+ * @param {Object} updates - { lossBias?, maxWinMultiplier?, colorLossBias? }
+ * @param {Object} adminUser - Admin making the change
+ * @returns {Promise<Object>} Operation result
+ */
+async function updateGameSettings(updates, adminUser) {
+  const validation = validateGameSettings(updates);
+  if (!validation.isValid) {
+    return {
+      success: false,
+      error: 'Invalid game settings',
+      errors: validation.errors
+    };
+  }
+
+  try {
+    const settings = await AdminSettings.getSettings();
+
+    if (updates.lossBias !== undefined) settings.lossBias = updates.lossBias;
+    if (updates.maxWinMultiplier !== undefined) settings.maxWinMultiplier = updates.maxWinMultiplier;
+    if (updates.colorLossBias !== undefined) settings.colorLossBias = updates.colorLossBias;
+    settings.updatedBy = adminUser._id;
+    settings.version += 1;
+    await settings.save();
+
+    const applied = gameController.applyGameSettings(settings);
+
+    console.log(`Admin ${adminUser.username} updated game settings (v${settings.version})`);
+
+    return {
+      success: true,
+      settings: formatSettings(settings),
+      committedRounds: applied.committedRounds
+    };
+  } catch (error) {
+    console.error('Failed to update game settings:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Change the demo deposit and/or withdraw redirect links (powers 7 and 8)
+ * @param {Object} links - { depositLink?, withdrawLink? }
+ * @param {Object} adminUser - Admin making the change
+ * @returns {Promise<Object>} Operation result
+ */
+async function updateLinks(links, adminUser) {
+  const validation = validateLinks(links);
+  if (!validation.isValid) {
+    return {
+      success: false,
+      error: 'Invalid links',
+      errors: validation.errors
+    };
+  }
+
+  try {
+    const settings = await AdminSettings.getSettings();
+
+    if (links.depositLink !== undefined) settings.depositLink = links.depositLink;
+    if (links.withdrawLink !== undefined) settings.withdrawLink = links.withdrawLink;
+    settings.updatedBy = adminUser._id;
+    settings.version += 1;
+    await settings.save();
+
+    // Keep the version stamped on new rounds in step with the document
+    gameController.applyGameSettings(settings);
+
+    console.log(`Admin ${adminUser.username} updated demo links (v${settings.version})`);
+
+    return {
+      success: true,
+      settings: formatSettings(settings)
+    };
+  } catch (error) {
+    console.error('Failed to update links:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Force a crash (power 3)
+ * @param {number|undefined|null} multiplier - Crash point for the next round, or empty to crash the running round now
+ * @returns {Object} Operation result
+ */
+function forceCrash(multiplier) {
+  if (multiplier !== undefined && multiplier !== null) {
+    if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) ||
+        multiplier < ENGINE_CONFIG.MIN_MULTIPLIER || multiplier > ADMIN_CONFIG.MAX_WIN_MULTIPLIER.MAX) {
+      return {
+        success: false,
+        error: `multiplier must be a number between ${ENGINE_CONFIG.MIN_MULTIPLIER} and ${ADMIN_CONFIG.MAX_WIN_MULTIPLIER.MAX}`
+      };
+    }
+  }
+
+  return gameController.forceCrash(multiplier === undefined ? null : multiplier);
+}
+
+/**
+ * Select the crash-point model for upcoming rounds (power 1 - how losses and wins are drawn)
+ * @param {string} name - Model name (see game/distributions.js)
+ * @param {Object|undefined} params - Model parameters
+ * @returns {Object} Operation result
+ */
+function setCrashDistribution(name, params) {
+  if (typeof name !== 'string' || name === '') {
+    return {
+      success: false,
+      error: 'distribution must be a model name'
+    };
+  }
+
+  if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+    return {
+      success: false,
+      error: 'params must be an object'
+    };
+  }
+
+  return gameController.setCrashDistribution(name, params || {});
+}
+
+/**
+ * Start the crash round loop with the live settings (power 4)
+ * @returns {Object} Operation result
+ */
+function startCrashGame() {
+  if (gameController.gameController.gameStatus.crash.isActive) {
+    return {
+      success: false,
+      error: 'Crash game is already running'
+    };
+  }
+
+  return gameController.startCrashGame();
+}
+
+/**
+ * Pause the crash round loop after the current round (power 4)
+ * @returns {Object} Operation result
+ */
+function pauseCrashGame() {
+  return gameController.pauseCrashGame();
+}
+
+/**
+ * Resume a paused crash round loop (power 4)
+ * @returns {Object} Operation result
+ */
+function resumeCrashGame() {
+  return gameController.resumeCrashGame();
+}
+
+/**
+ * Start the automatic color round loop (power 4)
+ * @returns {Object} Operation result
+ */
+function startColorGame() {
+  return gameController.startColorTrading();
+}
+
+/**
+ * Pause the color round loop after the current round (power 4)
+ * @returns {Object} Operation result
+ */
+function pauseColorGame() {
+  return gameController.pauseColorTrading();
+}
+
+/**
+ * Resume a paused color round loop (power 4)
+ * @returns {Object} Operation result
+ */
+function resumeColorGame() {
+  return gameController.resumeColorTrading();
+}
+
+/**
+ * Reset one demo user's balance (power 5)
+ * @param {string} userId - User identifier
+ * @param {Object} adminUser - Admin performing the reset
+ * @returns {Promise<Object>} Operation result
+ */
+async function resetUserBalance(userId, adminUser) {
+  try {
+    if (!/^[a-f0-9]{24}$/i.test(String(userId))) {
+      return {
+        success: false,
+        error: 'Invalid user ID'
+      };
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found',
+        statusCode: 404
+      };
+    }
+
+    if (!user.isDemoAccount) {
+      return {
+        success: false,
+        error: 'Only demo accounts can be reset'
+      };
+    }
+
+    const { oldBalance, newBalance } = await resetDemoBalance(user, null, { createdBy: adminUser._id });
+
+    return {
+      success: true,
+      userId: String(user._id),
+      username: user.username,
+      oldBalance,
+      newBalance
+    };
+  } catch (error) {
+    console.error('Failed to reset user balance:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Reset every demo user's balance (power 6)
+ * @param {Object} adminUser - Admin performing the reset
+ * @returns {Promise<Object>} Operation result
+ */
+async function resetAllBalances(adminUser) {
+  try {
+    const result = await resetAllDemoBalances({ createdBy: adminUser._id });
+
+    console.log(`All demo balances reset (${result.resetCount} accounts)`);
+
+    return {
+      success: true,
+      ...result
+    };
+  } catch (error) {
+    console.error('Failed to reset all balances:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Validate a manual balance adjustment
+ * @param {Object} adjustment - { amount, reason, idempotencyKey }
+ * @returns {Object} Validation result with errors array
+ */
+function validateAdjustment(adjustment = {}) {
+  const errors = [];
+  const { amount, reason, idempotencyKey } = adjustment;
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0 ||
+      Math.abs(amount) > ADMIN_CONFIG.MAX_ADJUSTMENT) {
+    errors.push(`amount must be a non-zero number between -${ADMIN_CONFIG.MAX_ADJUSTMENT} and ${ADMIN_CONFIG.MAX_ADJUSTMENT}`);
+  }
+
+  if (!reason || typeof reason !== 'string' || reason.trim().length === 0 ||
+      reason.length > ADMIN_CONFIG.MAX_REASON_LENGTH) {
+    errors.push(`reason is required (max ${ADMIN_CONFIG.MAX_REASON_LENGTH} characters)`);
+  }
+
+  if (!idempotencyKey || typeof idempotencyKey !== 'string') {
+    errors.push('idempotencyKey is required so a retried request is not applied twice');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Credit or debit a user's demo balance by hand
+ * @param {string} userId - User identifier
+ * @param {Object} adjustment - { amount (signed), reason, idempotencyKey }
+ * @param {Object} adminUser - Admin making the adjustment
+ * @returns {Promise<Object>} Operation result with the ledger entry
+ */
+async function adjustUserBalance(userId, adjustment, adminUser) {
+  const validation = validateAdjustment(adjustment);
+  if (!validation.isValid) {
+    return {
+      success: false,
+      error: 'Invalid balance adjustment',
+      errors: validation.errors
+    };
+  }
+
+  try {
+    const result = await ledger.postEntry({
+      userId,
+      type: ledger.LEDGER_CONFIG.ENTRY_TYPES.ADMIN_ADJUSTMENT,
+      amount: adjustment.amount,
+      idempotencyKey: `adjustment:${adjustment.idempotencyKey}`,
+      description: adjustment.reason.trim(),
+      createdBy: adminUser._id
+    });
+
+    if (!result.success) {
+      return {
+        ...result,
+        statusCode: result.error === 'User not found' ? 404 : 400
+      };
+    }
+
+    console.log(`Admin ${adminUser.username} adjusted balance of ${userId} by ${adjustment.amount}`);
+
+    return result;
+  } catch (error) {
+    console.error('Failed to adjust user balance:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Check that balances equal the sum of their ledger entries
+ * @param {string|null} userId - One user, or null for every account
+ * @returns {Promise<Object>} Reconciliation result
+ */
+async function reconcileBalances(userId = null) {
+  try {
+    if (!userId) {
+      return await ledger.reconcileAll();
+    }
+
+    const result = await ledger.reconcileUser(userId);
+    if (!result.success) {
+      return {
+        ...result,
+        statusCode: result.error === 'User not found' ? 404 : 400
+      };
+    }
+    return result;
+  } catch (error) {
+    console.error('Failed to reconcile balances:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Get any user's stored bets with filters
+ * @param {string} userId - User identifier
+ * @param {Object} query - Raw filters ({ game, result, from, to, limit, before })
+ * @returns {Promise<Object>} Operation result with the bets and next page cursor
+ */
+async function getUserBets(userId, query = {}) {
+  try {
+    if (!/^[a-f0-9]{24}$/i.test(String(userId))) {
+      return {
+        success: false,
+        error: 'Invalid user ID'
+      };
+    }
+
+    const validation = validateBetFilters(query);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        error: 'Invalid bet history filters',
+        errors: validation.errors
+      };
+    }
+
+    const user = await User.findById(userId).select('username');
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found',
+        statusCode: 404
+      };
+    }
+
+    const result = await gameController.getUserBetHistory(userId, validation.filters);
+    return {
+      ...result,
+      userId: String(user._id),
+      username: user.username
+    };
+  } catch (error) {
+    console.error('Failed to get user bets:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Total demo losses vs wins (power 9)
+ * Combines live game statistics with totals stored on user accounts.
+ * @returns {Promise<Object>} Operation result with the report
+ */
+async function getWinLossReport() {
+  try {
+    const [accounts] = await User.aggregate([
+      { $match: { isDemoAccount: true } },
+      {
+        $group: {
+          _id: null,
+          players: { $sum: 1 },
+          totalBets: { $sum: '$statistics.totalBets' },
+          totalWagered: { $sum: '$statistics.totalWagered' },
+          totalProfit: { $sum: '$statistics.totalProfit' },
+          playersInProfit: { $sum: { $cond: [{ $gt: ['$statistics.totalProfit', 0] }, 1, 0] } },
+          playersInLoss: { $sum: { $cond: [{ $lt: ['$statistics.totalProfit', 0] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const statistics = gameController.getGameControllerStatus().statistics;
+    const games = {};
+    Object.entries(statistics).forEach(([game, stats]) => {
+      games[game] = {
+        ...stats,
+        // Positive = players lost more than they won
+        playerLosses: Math.max(0, stats.totalWagered - stats.totalPayout),
+        playerWins: Math.max(0, stats.totalPayout - stats.totalWagered),
+        netHouseResult: stats.totalWagered - stats.totalPayout
+      };
+    });
+
+    return {
+      success: true,
+      report: {
+        games,
+        accounts: accounts ? {
+          players: accounts.players,
+          totalBets: accounts.totalBets,
+          totalWagered: accounts.totalWagered,
+          totalProfit: accounts.totalProfit,
+          playersInProfit: accounts.playersInProfit,
+          playersInLoss: accounts.playersInLoss
+        } : {
+          players: 0,
+          totalBets: 0,
+          totalWagered: 0,
+          totalProfit: 0,
+          playersInProfit: 0,
+          playersInLoss: 0
+        }
+      }
+    };
+  } catch (error) {
+    console.error('Failed to build win/loss report:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Reveal a completed crash round's crash point (power 10)
+ * @param {string} roundId - Round identifier
+ * @returns {Promise<Object>} Operation result
+ */
+async function revealCrashRound(roundId) {
+  if (!roundId || typeof roundId !== 'string') {
+    return {
+      success: false,
+      error: 'Round ID is required'
+    };
+  }
+
+  try {
+    const result = await gameController.revealCrashRound(roundId);
+    return result.success ? result : { ...result, statusCode: 404 };
+  } catch (error) {
+    console.error('Failed to reveal crash round:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Get recorded crash cash-out decisions with their timing evidence
+ * @param {Object} filters - { roundId, userId, limit }
+ * @returns {Promise<Object>} Operation result with the audit records, newest first
+ */
+async function getCashoutAudits(filters = {}) {
+  if (filters.userId && !/^[a-f0-9]{24}$/i.test(String(filters.userId))) {
+    return {
+      success: false,
+      error: 'Invalid user ID'
+    };
+  }
+
+  try {
+    const audits = await cashoutAudit.getCashoutAudits(filters);
+    return {
+      success: true,
+      audits,
+      count: audits.length
+    };
+  } catch (error) {
+    console.error('Failed to get cashout audits:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Recompute a recorded cash-out decision to settle a dispute
+ * @param {string} auditId - Audit identifier
+ * @returns {Promise<Object>} Operation result with the recorded and replayed decisions
+ */
+async function replayCashoutDecision(auditId) {
+  if (!auditId || typeof auditId !== 'string') {
+    return {
+      success: false,
+      error: 'Audit ID is required'
+    };
+  }
+
+  try {
+    const record = await cashoutAudit.findCashoutAudit(auditId);
+    if (!record) {
+      return {
+        success: false,
+        error: 'Cashout audit not found',
+        statusCode: 404
+      };
+    }
+
+    return cashoutAudit.replayCashoutDecision(record);
+  } catch (error) {
+    console.error('Failed to replay cashout decision:', error);
+    return {
+      success: false,
+      error: error.message,
+      statusCode: 500
+    };
+  }
+}
+
+/**
+ * Get the admin view of the current and upcoming crash rounds
+ * @returns {Object} Operation result
+ */
+function getCrashRounds() {
+  return gameController.getCrashRoundAdminData();
+}
+
+// Export admin controls and constants
+module.exports = {
+  ADMIN_CONFIG,
+  validateGameSettings,
+  validateLinks,
+  getSettings,
+  updateGameSettings,
+  updateLinks,
+  forceCrash,
+  setCrashDistribution,
+  startCrashGame,
+  pauseCrashGame,
+  resumeCrashGame,
+  startColorGame,
+  pauseColorGame,
+  resumeColorGame,
+  resetUserBalance,
+  resetAllBalances,
+  validateAdjustment,
+  adjustUserBalance,
+  reconcileBalances,
+  getUserBets,
+  getWinLossReport,
+  revealCrashRound,
+  getCashoutAudits,
+  replayCashoutDecision,
+  getCrashRounds
+};
@@ -25,9 +25,11 @@ const userSchema = new mongoose.Schema({
   },
   
   // Demo balance (fake money for educational purposes only)
+  // Changed only through the ledger (users/ledger.js); new accounts start at 0
+  // and receive their starting demo balance as a signup grant entry
   balance: {
     type: Number,
-    default: 10000, // Starting demo balance
+    default: 0,
     min: [0, 'Balance cannot be negative'],
     validate: {
       validator: Number.isFinite,
@@ -35,6 +37,13 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Most recent ledger entries applied to the balance (see users/ledger.js)
+  appliedLedgerEntries: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+    select: false
+  },
+  
   // User role for demo platform access control
   role: {
     type: String,
@@ -130,20 +139,70 @@ const roundSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Crash multiplier is required'],
     min: [1.0, 'Crash multiplier must be at least 1.0'],
-    max: [1000, 'Crash multiplier cannot exceed 1000.0'],
+    max: [10000, 'Crash multiplier cannot exceed 10000.0'],
     validate: {
       validator: Number.isFinite,
       message: 'Crash multiplier must be a valid number'
     }
   },
   
-  // Type of round for demo analysis
+  // Type of round for demo analysis (engine rounds are win, loss or forced)
   roundType: {
     type: String,
-    enum: ['normal', 'bonus', 'training', 'system'],
+    enum: ['normal', 'bonus', 'training', 'system', 'win', 'loss', 'forced'],
     default: 'normal'
   },
   
+  // Engine inputs that produced the crash point (for replay and review)
+  seed: {
+    type: Number,
+    default: null
+  },
+  
+  lossBias: {
+    type: Number,
+    default: null
+  },
+  
+  maxWinMultiplier: {
+    type: Number,
+    default: null
+  },
+  
+  // Crash-point model and its parameters (null = the original bias model)
+  distribution: {
+    type: String,
+    default: null
+  },
+  
+  distributionParams: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  
+  forcedCrashMultiplier: {
+    type: Number,
+    default: null
+  },
+  
+  engineVersion: {
+    type: String,
+    default: null
+  },
+  
+  // Provably fair inputs (server seed is stored once revealed)
+  fairness: {
+    serverSeed: { type: String, default: null },
+    serverSeedHash: { type: String, default: null },
+    paramsCommitment: { type: String, default: null },
+    clientSeed: { type: String, default: null },
+    clientSeeds: { type: [String], default: [] },
+    rngAlgorithm: { type: String, default: null },
+    roundingRule: { type: String, default: null },
+    chainId: { type: String, default: null },
+    chainIndex: { type: Number, default: null }
+  },
+  
   // When the round started
   startedAt: {
     type: Date,
@@ -156,6 +215,18 @@ const roundSchema = new mongoose.Schema({
     default: null
   },
   
+  // When the round finished processing
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Planned flight time from the engine in milliseconds
+  gameDuration: {
+    type: Number,
+    default: 0
+  },
+  
   // Duration of the round in milliseconds (calculated)
   duration: {
     type: Number,
@@ -188,7 +259,39 @@ const roundSchema = new mongoose.Schema({
     highestWin: {
       type: Number,
       default: 0
-    }
+    },
+    playersCashedOut: {
+      type: Number,
+      default: 0
+    },
+    playersCrashed: {
+      type: Number,
+      default: 0
+    },
+    partialCashouts: {
+      type: Number,
+      default: 0
+    },
+    multiSlotPlayers: {
+      type: Number,
+      default: 0
+    },
+    // Per-slot totals
+    slots: [{
+      _id: false,
+      slot: Number,
+      totalBets: Number,
+      totalWagered: Number,
+      totalPayout: Number,
+      cashedOut: Number,
+      crashed: Number
+    }]
+  },
+  
+  // AdminSettings version whose parameters produced this round
+  settingsVersion: {
+    type: Number,
+    default: null
   },
   
   // Flag to mark completed rounds
@@ -212,8 +315,154 @@ roundSchema.pre('save', function(next) {
 roundSchema.index({ createdAt: -1 });
 roundSchema.index({ isCompleted: 1, createdAt: -1 });
 
+// Per-color bet totals for a color trading round
+const colorBetTotalsSchema = new mongoose.Schema({
+  bets: {
+    type: Number,
+    default: 0
+  },
+  wagered: {
+    type: Number,
+    default: 0
+  },
+  payout: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// ColorRound Schema - Represents a completed color trading round (demo only)
+const colorRoundSchema = new mongoose.Schema({
+  roundId: {
+    type: String,
+    required: [true, 'Round ID is required'],
+    unique: true,
+    index: true
+  },
+  
+  // Result of the round
+  winningColor: {
+    type: String,
+    required: [true, 'Winning color is required'],
+    enum: ['red', 'green', 'violet']
+  },
+  
+  // Whether players were allowed to win this round (false = platform win)
+  isWinRound: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Engine inputs that produced the result (for replay and review)
+  seed: {
+    type: Number,
+    default: null
+  },
+  
+  lossBias: {
+    type: Number,
+    default: null
+  },
+  
+  // AdminSettings version whose parameters produced this round
+  settingsVersion: {
+    type: Number,
+    default: null
+  },
+  
+  // Provably fair inputs (server seed is stored once revealed)
+  fairness: {
+    serverSeed: { type: String, default: null },
+    serverSeedHash: { type: String, default: null },
+    rngAlgorithm: { type: String, default: null },
+    chainId: { type: String, default: null },
+    chainIndex: { type: Number, default: null }
+  },
+  
+  // Round timing
+  roundDuration: {
+    type: Number,
+    default: 0
+  },
+  
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Bets, stakes and payouts per color
+  betTotals: {
+    red: {
+      type: colorBetTotalsSchema,
+      default: () => ({})
+    },
+    green: {
+      type: colorBetTotalsSchema,
+      default: () => ({})
+    },
+    violet: {
+      type: colorBetTotalsSchema,
+      default: () => ({})
+    }
+  },
+  
+  // Outcome of crediting the round's bets
+  settlement: {
+    totalBets: {
+      type: Number,
+      default: 0
+    },
+    totalWagered: {
+      type: Number,
+      default: 0
+    },
+    totalPayout: {
+      type: Number,
+      default: 0
+    },
+    creditedPayout: {
+      type: Number,
+      default: 0
+    },
+    players: {
+      type: Number,
+      default: 0
+    },
+    winningBets: {
+      type: Number,
+      default: 0
+    },
+    losingBets: {
+      type: Number,
+      default: 0
+    },
+    settledAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying of recent rounds
+colorRoundSchema.index({ createdAt: -1 });
+
 // Bet Schema - Represents a demo bet placed by a user (educational only)
+// Shared fields for every game; the `game` discriminator adds per-game fields.
 const betSchema = new mongoose.Schema({
+  // Bet identifier issued by the game (crash_bet_... / color_bet_...)
+  betId: {
+    type: String,
+    required: [true, 'Bet ID is required'],
+    unique: true
+  },
+  
   // Reference to User model
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -241,21 +490,20 @@ const betSchema = new mongoose.Schema({
     }
   },
   
-  // Cashout multiplier (null if bet crashed)
-  cashoutMultiplier: {
-    type: Number,
-    min: [1.0, 'Cashout multiplier must be at least 1.0'],
-    max: [1000, 'Cashout multiplier cannot exceed 1000.0'],
-    default: null
-  },
-  
-  // Bet result (win/loss/crashed)
+  // Bet result (win/loss/crashed/refunded) - leaves pending exactly once
   result: {
     type: String,
-    enum: ['win', 'loss', 'crashed', 'pending'],
+    enum: ['win', 'loss', 'crashed', 'refunded', 'pending'],
     default: 'pending'
   },
   
+  // Amount returned to the player (0 for losses)
+  payout: {
+    type: Number,
+    default: 0,
+    min: [0, 'Payout cannot be negative']
+  },
+  
   // Profit amount (can be negative for losses)
   profit: {
     type: Number,
@@ -272,8 +520,8 @@ const betSchema = new mongoose.Schema({
     default: Date.now
   },
   
-  // When the bet was cashed out (null if crashed)
-  cashedOutAt: {
+  // When the bet left pending
+  settledAt: {
     type: Date,
     default: null
   },
@@ -285,29 +533,21 @@ const betSchema = new mongoose.Schema({
     platform: String
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  discriminatorKey: 'game'
 });
 
-// Calculate profit based on result before saving
+// Round profit to 2 decimal places for demo display
 betSchema.pre('save', function(next) {
-  if (this.result === 'win' && this.cashoutMultiplier) {
-    this.profit = (this.amount * this.cashoutMultiplier) - this.amount;
-  } else if (this.result === 'loss' || this.result === 'crashed') {
-    this.profit = -this.amount;
-  } else {
-    this.profit = 0;
-  }
-  
-  // Round profit to 2 decimal places for demo display
   if (this.profit !== 0) {
     this.profit = parseFloat(this.profit.toFixed(2));
   }
-  
   next();
 });
 
 // Indexes for efficient querying
 betSchema.index({ userId: 1, createdAt: -1 });
+betSchema.index({ userId: 1, game: 1, result: 1, _id: -1 });
 betSchema.index({ roundId: 1, result: 1 });
 betSchema.index({ result: 1, createdAt: -1 });
 
@@ -322,15 +562,107 @@ betSchema.virtual('status').get(function() {
   if (this.result === 'pending') return 'Active';
   if (this.result === 'win') return 'Won';
   if (this.result === 'loss') return 'Lost';
+  if (this.result === 'refunded') return 'Refunded';
   return 'Crashed';
 });
 
+// Crash Bet Schema - Fields only crash bets have (game: 'crash')
+const crashBetSchema = new mongoose.Schema({
+  // Bet slot within the round (a player may hold one bet per slot)
+  slot: {
+    type: Number,
+    min: [1, 'Bet slot must be at least 1'],
+    max: [2, 'Bet slot cannot exceed 2'],
+    default: 1
+  },
+  
+  // Stake still riding (partial cash-outs take from it; 0 once settled)
+  remainingAmount: {
+    type: Number,
+    min: [0, 'Remaining amount cannot be negative'],
+    default: null
+  },
+  
+  // Every cash-out of this bet, partial or final
+  settlements: [{
+    _id: false,
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Settled stake must be positive']
+    },
+    multiplier: {
+      type: Number,
+      required: true,
+      min: [1.0, 'Cashout multiplier must be at least 1.0']
+    },
+    payout: {
+      type: Number,
+      required: true
+    },
+    cashoutType: {
+      type: String,
+      enum: ['manual', 'auto']
+    },
+    settledAt: {
+      type: Date,
+      required: true
+    }
+  }],
+  
+  // Auto-cashout target chosen when the bet was placed (null = manual only)
+  autoCashoutAt: {
+    type: Number,
+    min: [1.01, 'Auto-cashout must be at least 1.01'],
+    max: [10000, 'Auto-cashout cannot exceed 10000.0'],
+    default: null
+  },
+  
+  // Cashout multiplier (null if bet crashed)
+  cashoutMultiplier: {
+    type: Number,
+    min: [1.0, 'Cashout multiplier must be at least 1.0'],
+    max: [10000, 'Cashout multiplier cannot exceed 10000.0'],
+    default: null
+  },
+  
+  // How the bet was cashed out (null if crashed)
+  cashoutType: {
+    type: String,
+    enum: ['manual', 'auto', null],
+    default: null
+  },
+  
+  // When the bet was cashed out (null if crashed)
+  cashedOutAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Color Bet Schema - Fields only color trading bets have (game: 'color_trading')
+const colorBetSchema = new mongoose.Schema({
+  // Color the player backed
+  color: {
+    type: String,
+    enum: ['red', 'green', 'violet'],
+    required: [true, 'Bet color is required']
+  },
+  
+  // Winning color of the round (set on settlement)
+  winningColor: {
+    type: String,
+    enum: ['red', 'green', 'violet'],
+    default: null
+  }
+});
+
 // AdminSettings Schema - Demo platform configuration (educational only)
 const adminSettingsSchema = new mongoose.Schema({
   // Loss bias for demo game algorithm (educational purposes)
   lossBias: {
     type: Number,
-    default: 0.1,
+    default: 0.8, // 80% loss rounds (docs/admin-powers.md)
     min: [0, 'Loss bias must be between 0 and 1'],
     max: [1, 'Loss bias must be between 0 and 1'],
     validate: {
@@ -351,6 +683,18 @@ const adminSettingsSchema = new mongoose.Schema({
     }
   },
   
+  // Platform win probability for color trading rounds
+  colorLossBias: {
+    type: Number,
+    default: 0.65,
+    min: [0, 'Color loss bias must be between 0 and 1'],
+    max: [1, 'Color loss bias must be between 0 and 1'],
+    validate: {
+      validator: Number.isFinite,
+      message: 'Color loss bias must be a valid number'
+    }
+  },
+  
   // Demo deposit link (educational purposes only - no real money)
   depositLink: {
     type: String,
@@ -409,16 +753,263 @@ adminSettingsSchema.statics.getSettings = async function() {
   return settings;
 };
 
+// Session Schema - Login session backing access and refresh tokens (demo only)
+const sessionSchema = new mongoose.Schema({
+  // Reference to User model
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  
+  // SHA-256 hash of the current refresh token secret (rotated on refresh)
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  
+  // When the refresh token (and so the session) expires
+  expiresAt: {
+    type: Date,
+    required: [true, 'Session expiry is required']
+  },
+  
+  // Set on logout or admin revocation; revoked sessions reject all tokens
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Last time the session was refreshed
+  lastRefreshedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Client information for session listings
+  metadata: {
+    ipAddress: String,
+    userAgent: String
+  }
+}, {
+  timestamps: true
+});
+
+// Remove expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session can still authenticate requests
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Ledger Entry Schema - One double-entry movement of demo credits (no real money)
+// Every entry moves `amount` from debitAccount to creditAccount; one side is
+// always the user's account ("user:<id>"), the other a platform account.
+const ledgerEntrySchema = new mongoose.Schema({
+  // User whose balance the entry changes
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  
+  // Why the balance changed
+  type: {
+    type: String,
+    enum: ['bet_stake', 'payout', 'reset', 'admin_adjustment', 'signup_grant', 'opening_balance'],
+    required: [true, 'Entry type is required']
+  },
+  
+  // Amount moved (always positive - direction comes from the accounts)
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be at least 0.01'],
+    validate: {
+      validator: Number.isFinite,
+      message: 'Amount must be a valid number'
+    }
+  },
+  
+  // Account the credits leave
+  debitAccount: {
+    type: String,
+    required: [true, 'Debit account is required']
+  },
+  
+  // Account the credits arrive in
+  creditAccount: {
+    type: String,
+    required: [true, 'Credit account is required']
+  },
+  
+  // User balance right after the entry was applied
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  
+  // Caller-supplied key - the same key is never applied twice
+  idempotencyKey: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    unique: true
+  },
+  
+  // pending until the balance update succeeds; rejected entries never applied
+  status: {
+    type: String,
+    enum: ['pending', 'posted', 'rejected'],
+    default: 'pending'
+  },
+  
+  // Reason a rejected entry was not applied
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  
+  // What caused the entry (game round and bet for stakes and payouts)
+  reference: {
+    game: String,
+    roundId: String,
+    betId: String
+  },
+  
+  // Human readable note (e.g. admin adjustment reason)
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: null
+  },
+  
+  // Admin who created the entry (resets and adjustments)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for a user's statement (newest first) and reconciliation
+ledgerEntrySchema.index({ userId: 1, status: 1, _id: -1 });
+
+// Cashout Audit Schema - One judged crash cash-out request with its timing evidence
+// Stores what the server knew when it decided, so a disputed decision can be
+// recomputed later with the same rule and settings.
+const cashoutAuditSchema = new mongoose.Schema({
+  auditId: {
+    type: String,
+    required: [true, 'Audit ID is required'],
+    unique: true
+  },
+  
+  roundId: {
+    type: String,
+    required: [true, 'Round ID is required'],
+    index: true
+  },
+  
+  betId: {
+    type: String,
+    default: null
+  },
+  
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  
+  // How the request arrived
+  transport: {
+    type: String,
+    enum: ['ws', 'http'],
+    required: true
+  },
+  
+  fraction: {
+    type: Number,
+    default: 1
+  },
+  
+  decision: {
+    type: String,
+    enum: ['accepted', 'rejected'],
+    required: true
+  },
+  
+  // Judging reason ('before_crash', 'crash_first') or the rejection error
+  reason: {
+    type: String,
+    default: null
+  },
+  
+  error: {
+    type: String,
+    default: null
+  },
+  
+  // Timing evidence (milliseconds since the flight started)
+  receivedAt: {
+    type: Date,
+    required: true
+  },
+  receivedElapsedMs: { type: Number, default: null },
+  rttMs: { type: Number, default: null },
+  graceMs: { type: Number, default: 0 },
+  judgedElapsedMs: { type: Number, default: null },
+  crashTimeMs: { type: Number, default: null },
+  crashMultiplier: { type: Number, default: null },
+  
+  // Multiplier the cash-out was judged at (null when rejected)
+  multiplier: {
+    type: Number,
+    default: null
+  },
+  
+  // Judging settings in force when the decision was made
+  judging: {
+    graceEnabled: Boolean,
+    rttShare: Number,
+    maxGraceMs: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Index for replaying a round's decisions in arrival order
+cashoutAuditSchema.index({ roundId: 1, receivedAt: 1 });
+
 // Create Mongoose models
 const User = mongoose.model('User', userSchema);
 const Round = mongoose.model('Round', roundSchema);
+const ColorRound = mongoose.model('ColorRound', colorRoundSchema);
 const Bet = mongoose.model('Bet', betSchema);
+const CrashBet = Bet.discriminator('CrashBet', crashBetSchema, 'crash');
+const ColorBet = Bet.discriminator('ColorBet', colorBetSchema, 'color_trading');
 const AdminSettings = mongoose.model('AdminSettings', adminSettingsSchema);
+const Session = mongoose.model('Session', sessionSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+const CashoutAudit = mongoose.model('CashoutAudit', cashoutAuditSchema);
 
 // Export models
 module.exports = {
   User,
   Round,
+  ColorRound,
   Bet,
-  AdminSettings
+  CrashBet,
+  ColorBet,
+  AdminSettings,
+  Session,
+  LedgerEntry,
+  CashoutAudit
 };
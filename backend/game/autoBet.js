@@ -0,0 +1,440 @@
+// backend/game/autoBet.js - Crash Auto-Bet Programs for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Places a series of crash bets with stop limits and progression rules (Martingale etc.)
+
+const { ENGINE_CONFIG } = require('./engine');
+
+/**
+ * Auto-Bet Configuration
+ */
+const AUTO_BET_CONFIG = {
+  // Most bets a single program may place
+  MAX_BETS: 1000,
+
+  // Largest factor a stake may be multiplied by after a win or loss
+  MAX_INCREASE_MULTIPLIER: 10,
+
+  // What happens to the stake after a result
+  ACTIONS: {
+    RESET: 'reset',       // Back to the base amount
+    INCREASE: 'increase'  // Multiply the last stake
+  },
+
+  // Built-in progression strategies ({ onWin, onLoss } rules)
+  STRATEGIES: {
+    flat: {
+      onWin: { action: 'reset' },
+      onLoss: { action: 'reset' }
+    },
+    martingale: {
+      onWin: { action: 'reset' },
+      onLoss: { action: 'increase', multiplier: 2 }
+    },
+    'reverse-martingale': {
+      onWin: { action: 'increase', multiplier: 2 },
+      onLoss: { action: 'reset' }
+    }
+  },
+
+  // Program states
+  STATUSES: {
+    RUNNING: 'running',
+    COMPLETED: 'completed', // Bet count or profit target reached
+    STOPPED: 'stopped'      // Loss limit, rejected bet or stopped by the player
+  },
+
+  // Results kept per program for display
+  MAX_RESULTS: 50
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function toCents(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Validate a progression rule
+ * @param {Object} rule - { action, multiplier }
+ * @param {string} name - Rule name for messages (onWin, onLoss)
+ * @param {Array} errors - Error list to append to
+ * @returns {Object} Normalized rule
+ */
+function validateRule(rule, name, errors) {
+  if (!rule || typeof rule !== 'object' || !Object.values(AUTO_BET_CONFIG.ACTIONS).includes(rule.action)) {
+    errors.push(`${name}.action must be one of: ${Object.values(AUTO_BET_CONFIG.ACTIONS).join(', ')}`);
+    return null;
+  }
+
+  if (rule.action === AUTO_BET_CONFIG.ACTIONS.RESET) {
+    return { action: rule.action };
+  }
+
+  if (typeof rule.multiplier !== 'number' || !(rule.multiplier > 1) ||
+      rule.multiplier > AUTO_BET_CONFIG.MAX_INCREASE_MULTIPLIER) {
+    errors.push(`${name}.multiplier must be above 1 and at most ${AUTO_BET_CONFIG.MAX_INCREASE_MULTIPLIER}`);
+    return null;
+  }
+
+  return { action: rule.action, multiplier: rule.multiplier };
+}
+
+/**
+ * Validate an auto-bet program configuration
+ * @param {Object} config - Program configuration
+ * @param {number} config.baseAmount - First (and reset) stake
+ * @param {number} config.autoCashoutAt - Auto-cashout target for every bet
+ * @param {number} config.totalBets - Number of bets to place
+ * @param {number} config.stopOnProfit - Optional net profit that ends the program
+ * @param {number} config.stopOnLoss - Optional net loss that ends the program
+ * @param {number} config.maxAmount - Optional largest stake (defaults to the bet limit)
+ * @param {number} config.slot - Optional bet slot (default: the player's first free slot)
+ * @param {string} config.strategy - Optional preset (flat, martingale, reverse-martingale)
+ * @param {Object} config.onWin - Rule after a win (overrides the strategy)
+ * @param {Object} config.onLoss - Rule after a loss (overrides the strategy)
+ * @returns {Object} Validation result with the normalized configuration
+ */
+function validateAutoBetConfig(config = {}) {
+  const errors = [];
+  const { MIN_BET_AMOUNT, MAX_BET_AMOUNT, MIN_AUTO_CASHOUT, MAX_AUTO_CASHOUT, MAX_BET_SLOTS } = ENGINE_CONFIG.BETTING;
+
+  if (typeof config.baseAmount !== 'number' || !(config.baseAmount >= MIN_BET_AMOUNT) || config.baseAmount > MAX_BET_AMOUNT) {
+    errors.push(`baseAmount must be between ${MIN_BET_AMOUNT} and ${MAX_BET_AMOUNT}`);
+  }
+
+  if (typeof config.autoCashoutAt !== 'number' || !(config.autoCashoutAt >= MIN_AUTO_CASHOUT) ||
+      config.autoCashoutAt > MAX_AUTO_CASHOUT) {
+    errors.push(`autoCashoutAt must be between ${MIN_AUTO_CASHOUT} and ${MAX_AUTO_CASHOUT}`);
+  }
+
+  if (!Number.isInteger(config.totalBets) || config.totalBets < 1 || config.totalBets > AUTO_BET_CONFIG.MAX_BETS) {
+    errors.push(`totalBets must be a whole number between 1 and ${AUTO_BET_CONFIG.MAX_BETS}`);
+  }
+
+  ['stopOnProfit', 'stopOnLoss'].forEach((field) => {
+    if (config[field] !== undefined && config[field] !== null &&
+        (typeof config[field] !== 'number' || !(config[field] > 0))) {
+      errors.push(`${field} must be a positive number`);
+    }
+  });
+
+  const maxAmount = config.maxAmount !== undefined ? config.maxAmount : MAX_BET_AMOUNT;
+  if (typeof maxAmount !== 'number' || maxAmount > MAX_BET_AMOUNT ||
+      (typeof config.baseAmount === 'number' && maxAmount < config.baseAmount)) {
+    errors.push(`maxAmount must be at least baseAmount and at most ${MAX_BET_AMOUNT}`);
+  }
+
+  const slot = config.slot !== undefined ? config.slot : null;
+  if (slot !== null && (!Number.isInteger(slot) || slot < 1 || slot > MAX_BET_SLOTS)) {
+    errors.push(`slot must be a whole number between 1 and ${MAX_BET_SLOTS}`);
+  }
+
+  const strategyName = config.strategy || 'flat';
+  const strategy = AUTO_BET_CONFIG.STRATEGIES[strategyName];
+  if (!strategy) {
+    errors.push(`strategy must be one of: ${Object.keys(AUTO_BET_CONFIG.STRATEGIES).join(', ')}`);
+  }
+
+  const onWin = validateRule(config.onWin || (strategy && strategy.onWin), 'onWin', errors);
+  const onLoss = validateRule(config.onLoss || (strategy && strategy.onLoss), 'onLoss', errors);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    config: errors.length === 0 ? {
+      baseAmount: toCents(config.baseAmount),
+      autoCashoutAt: parseFloat(config.autoCashoutAt.toFixed(2)),
+      totalBets: config.totalBets,
+      stopOnProfit: config.stopOnProfit || null,
+      stopOnLoss: config.stopOnLoss || null,
+      maxAmount,
+      slot,
+      strategy: config.onWin || config.onLoss ? 'custom' : strategyName,
+      onWin,
+      onLoss
+    } : null
+  };
+}
+
+/**
+ * Auto-Bet Manager Class
+ * Tracks one program per player. The game controller asks for the bets to
+ * place when betting opens and reports every placement and settlement back.
+ */
+class AutoBetManager {
+  constructor() {
+    this.programs = new Map(); // userId → latest program
+    this.programsByBet = new Map(); // betId in flight → program
+    this.programSequence = 0;
+  }
+
+  /**
+   * Start a program for a player
+   * @param {string} userId - Player
+   * @param {Object} config - Program configuration (see validateAutoBetConfig)
+   * @returns {Object} Operation result with the program
+   */
+  start(userId, config = {}) {
+    const existing = this.programs.get(String(userId));
+    if (existing && existing.status === AUTO_BET_CONFIG.STATUSES.RUNNING) {
+      return {
+        success: false,
+        error: 'An auto-bet program is already running - stop it first'
+      };
+    }
+
+    const validation = validateAutoBetConfig(config);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        errors: validation.errors
+      };
+    }
+
+    this.programSequence++;
+    const program = {
+      programId: `auto_${Date.now()}_${this.programSequence}`,
+      userId: String(userId),
+      config: validation.config,
+      status: AUTO_BET_CONFIG.STATUSES.RUNNING,
+      stopReason: null,
+      nextAmount: validation.config.baseAmount,
+      pendingBetId: null,
+      betsPlaced: 0,
+      wins: 0,
+      losses: 0,
+      totalWagered: 0,
+      netProfit: 0,
+      results: [],
+      startedAt: new Date().toISOString(),
+      endedAt: null
+    };
+
+    this.programs.set(program.userId, program);
+    return {
+      success: true,
+      program: this.getPublicData(program)
+    };
+  }
+
+  /**
+   * Stop a player's running program (a bet already placed still settles)
+   * @param {string} userId - Player
+   * @param {string} reason - Why the program stopped
+   * @returns {Object} Operation result with the program
+   */
+  stop(userId, reason = 'Stopped by player') {
+    const program = this.programs.get(String(userId));
+    if (!program || program.status !== AUTO_BET_CONFIG.STATUSES.RUNNING) {
+      return {
+        success: false,
+        error: 'No running auto-bet program'
+      };
+    }
+
+    this.finish(program, AUTO_BET_CONFIG.STATUSES.STOPPED, reason);
+    return {
+      success: true,
+      program: this.getPublicData(program)
+    };
+  }
+
+  /**
+   * End a program
+   * @param {Object} program - Program
+   * @param {string} status - Final status
+   * @param {string} reason - Why the program ended
+   */
+  finish(program, status, reason) {
+    program.status = status;
+    program.stopReason = reason;
+    program.endedAt = new Date().toISOString();
+  }
+
+  /**
+   * Get the bets running programs want on the round that just opened
+   * A program waits for its previous bet to settle before placing the next.
+   * @returns {Array} Bets to place ({ programId, userId, amount, autoCashoutAt })
+   */
+  getBetsToPlace() {
+    const bets = [];
+
+    for (const program of this.programs.values()) {
+      if (program.status !== AUTO_BET_CONFIG.STATUSES.RUNNING || program.pendingBetId) {
+        continue;
+      }
+
+      bets.push({
+        programId: program.programId,
+        userId: program.userId,
+        amount: program.nextAmount,
+        autoCashoutAt: program.config.autoCashoutAt,
+        slot: program.config.slot
+      });
+    }
+
+    return bets;
+  }
+
+  /**
+   * Record the outcome of placing a program's bet
+   * @param {string} userId - Player
+   * @param {Object} result - placeCrashBet result
+   * @returns {Object|null} Updated program, or null if it no longer runs
+   */
+  recordPlaced(userId, result) {
+    const program = this.programs.get(String(userId));
+    if (!program || program.status !== AUTO_BET_CONFIG.STATUSES.RUNNING) {
+      return null;
+    }
+
+    if (!result.success) {
+      const error = result.errors ? result.errors.join(', ') : result.error;
+      this.finish(program, AUTO_BET_CONFIG.STATUSES.STOPPED, `Bet rejected: ${error}`);
+      return this.getPublicData(program);
+    }
+
+    program.pendingBetId = result.bet.betId;
+    program.betsPlaced++;
+    program.totalWagered = toCents(program.totalWagered + result.bet.amount);
+    this.programsByBet.set(result.bet.betId, program);
+
+    return this.getPublicData(program);
+  }
+
+  /**
+   * Record a settled bet and apply the program's rules
+   * @param {Object} bet - Settled bet (win, crashed or refunded)
+   * @returns {Object|null} Updated program, or null if the bet was not placed by a program
+   */
+  recordSettled(bet) {
+    const program = this.programsByBet.get(bet.betId);
+    if (!program) {
+      return null;
+    }
+
+    this.programsByBet.delete(bet.betId);
+    program.pendingBetId = null;
+
+    // A cancelled round does not count towards the program
+    if (bet.result === 'refunded') {
+      program.betsPlaced--;
+      program.totalWagered = toCents(program.totalWagered - bet.amount);
+      // Partial cash-outs made before the cancellation still count
+      program.netProfit = toCents(program.netProfit + bet.profit);
+      return this.getPublicData(program);
+    }
+
+    const isWin = bet.result === 'win';
+    program.netProfit = toCents(program.netProfit + bet.profit);
+    if (isWin) {
+      program.wins++;
+    } else {
+      program.losses++;
+    }
+
+    program.results.push({
+      betId: bet.betId,
+      roundId: bet.roundId,
+      amount: bet.amount,
+      result: bet.result,
+      profit: bet.profit,
+      netProfit: program.netProfit
+    });
+    if (program.results.length > AUTO_BET_CONFIG.MAX_RESULTS) {
+      program.results.shift();
+    }
+
+    const rule = isWin ? program.config.onWin : program.config.onLoss;
+    program.nextAmount = rule.action === AUTO_BET_CONFIG.ACTIONS.INCREASE
+      ? toCents(bet.amount * rule.multiplier)
+      : program.config.baseAmount;
+
+    if (program.status === AUTO_BET_CONFIG.STATUSES.RUNNING) {
+      this.checkLimits(program);
+    }
+
+    return this.getPublicData(program);
+  }
+
+  /**
+   * End a running program whose limits have been reached
+   * @param {Object} program - Program
+   */
+  checkLimits(program) {
+    const { config } = program;
+
+    if (config.stopOnProfit !== null && program.netProfit >= config.stopOnProfit) {
+      this.finish(program, AUTO_BET_CONFIG.STATUSES.COMPLETED, 'Profit target reached');
+    } else if (config.stopOnLoss !== null && program.netProfit <= -config.stopOnLoss) {
+      this.finish(program, AUTO_BET_CONFIG.STATUSES.STOPPED, 'Loss limit reached');
+    } else if (program.betsPlaced >= config.totalBets) {
+      this.finish(program, AUTO_BET_CONFIG.STATUSES.COMPLETED, 'All bets placed');
+    } else if (program.nextAmount > config.maxAmount) {
+      // Where a progression strategy runs out of room
+      this.finish(program, AUTO_BET_CONFIG.STATUSES.STOPPED, `Next stake ${program.nextAmount} exceeds the maximum ${config.maxAmount}`);
+    }
+  }
+
+  /**
+   * Get a player's latest program
+   * @param {string} userId - Player
+   * @returns {Object|null} Program data or null
+   */
+  getProgram(userId) {
+    const program = this.programs.get(String(userId));
+    return program ? this.getPublicData(program) : null;
+  }
+
+  /**
+   * Get program data for responses
+   * @param {Object} program - Program
+   * @returns {Object} Program data
+   */
+  getPublicData(program) {
+    return {
+      ...program,
+      config: { ...program.config },
+      results: [...program.results]
+    };
+  }
+
+  /**
+   * Stop every running program (e.g. on shutdown)
+   * @param {string} reason - Why the programs stopped
+   * @returns {number} Number of programs stopped
+   */
+  stopAll(reason = 'Crash game stopped') {
+    let stopped = 0;
+    for (const program of this.programs.values()) {
+      if (program.status === AUTO_BET_CONFIG.STATUSES.RUNNING) {
+        this.finish(program, AUTO_BET_CONFIG.STATUSES.STOPPED, reason);
+        stopped++;
+      }
+    }
+    return stopped;
+  }
+}
+
+// Create singleton instance
+const autoBetManager = new AutoBetManager();
+
+// Export functions and classes
+module.exports = {
+  AUTO_BET_CONFIG,
+  AutoBetManager,
+  autoBetManager, // Singleton instance
+  validateAutoBetConfig,
+
+  // Convenience functions
+  startAutoBet: (userId, config) => autoBetManager.start(userId, config),
+  stopAutoBet: (userId, reason) => autoBetManager.stop(userId, reason),
+  getAutoBet: (userId) => autoBetManager.getProgram(userId),
+  getAutoBetsToPlace: () => autoBetManager.getBetsToPlace(),
+  recordAutoBetPlaced: (userId, result) => autoBetManager.recordPlaced(userId, result),
+  recordAutoBetSettled: (bet) => autoBetManager.recordSettled(bet),
+  stopAllAutoBets: (reason) => autoBetManager.stopAll(reason)
+};
@@ -0,0 +1,332 @@
+// backend/game/betHistory.js - Bet Persistence for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Stores crash and color bets in the Bet model and enforces their lifecycle
+
+const mongoose = require('mongoose');
+const { Bet, CrashBet, ColorBet } = require('../database/models');
+const { isPersistenceAvailable } = require('./roundHistory');
+
+/**
+ * Bet History Configuration
+ */
+const BET_HISTORY_CONFIG = {
+  // Discriminator values (match GAME_TYPES in game/index.js)
+  GAMES: {
+    CRASH: 'crash',
+    COLOR_TRADING: 'color_trading'
+  },
+
+  // Allowed lifecycle transitions - a bet leaves pending exactly once
+  // (refunded: the round was cancelled before the bet was decided)
+  TRANSITIONS: {
+    pending: ['win', 'loss', 'crashed', 'refunded']
+  },
+
+  // Page size limits for history queries
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100
+};
+
+/**
+ * Get the Bet model for a game
+ * @param {string} game - Game type
+ * @returns {Object|null} Discriminator model
+ */
+function getBetModel(game) {
+  if (game === BET_HISTORY_CONFIG.GAMES.CRASH) return CrashBet;
+  if (game === BET_HISTORY_CONFIG.GAMES.COLOR_TRADING) return ColorBet;
+  return null;
+}
+
+/**
+ * Check if a bet may move between two results
+ * @param {string} from - Current result
+ * @param {string} to - Requested result
+ * @returns {boolean} True if the transition is allowed
+ */
+function isValidTransition(from, to) {
+  const allowed = BET_HISTORY_CONFIG.TRANSITIONS[from];
+  return !!allowed && allowed.includes(to);
+}
+
+/**
+ * Format a stored bet for responses
+ * @param {Object} record - Bet document (lean)
+ * @returns {Object} Bet data
+ */
+function formatBetRecord(record) {
+  const data = {
+    betId: record.betId,
+    game: record.game,
+    roundId: record.roundId,
+    amount: record.amount,
+    result: record.result,
+    payout: record.payout,
+    profit: record.profit,
+    placedAt: record.placedAt,
+    settledAt: record.settledAt
+  };
+
+  if (record.game === BET_HISTORY_CONFIG.GAMES.CRASH) {
+    data.slot = record.slot || 1;
+    data.remainingAmount = record.remainingAmount;
+    data.settlements = record.settlements || [];
+    data.autoCashoutAt = record.autoCashoutAt;
+    data.cashoutMultiplier = record.cashoutMultiplier;
+    data.cashoutType = record.cashoutType;
+    data.cashedOutAt = record.cashedOutAt;
+  } else if (record.game === BET_HISTORY_CONFIG.GAMES.COLOR_TRADING) {
+    data.color = record.color;
+    data.winningColor = record.winningColor;
+  }
+
+  return data;
+}
+
+/**
+ * Store a newly placed (pending) bet
+ * @param {string} game - Game type
+ * @param {Object} bet - In-memory bet ({ betId, userId, roundId, amount, placedAt, slot?, autoCashoutAt?, color? })
+ * @returns {Promise<boolean>} True if the bet was stored
+ */
+async function recordBetPlaced(game, bet) {
+  const Model = getBetModel(game);
+  if (!Model) {
+    throw new Error(`Unknown game type: ${game}`);
+  }
+
+  if (!isPersistenceAvailable()) {
+    return false;
+  }
+
+  const fields = {
+    betId: bet.betId,
+    userId: bet.userId,
+    roundId: bet.roundId,
+    amount: bet.amount,
+    placedAt: bet.placedAt
+  };
+  if (game === BET_HISTORY_CONFIG.GAMES.CRASH) {
+    fields.slot = bet.slot;
+    fields.remainingAmount = bet.amount;
+    fields.autoCashoutAt = bet.autoCashoutAt;
+  } else if (game === BET_HISTORY_CONFIG.GAMES.COLOR_TRADING) {
+    fields.color = bet.color;
+  }
+
+  try {
+    await Model.create(fields);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Move a pending bet to its final result
+ * The update only matches pending bets, so two settlements can never both
+ * apply - the second is reported as rejected.
+ * @param {string} game - Game type
+ * @param {string} betId - Bet identifier
+ * @param {Object} outcome - { result, payout, profit, ...game fields }
+ * @returns {Promise<Object>} Operation result
+ */
+async function settleBet(game, betId, outcome) {
+  const Model = getBetModel(game);
+  if (!Model) {
+    return { success: false, error: `Unknown game type: ${game}` };
+  }
+
+  if (!isValidTransition('pending', outcome.result)) {
+    return { success: false, error: `Invalid bet result: ${outcome.result}` };
+  }
+
+  if (!isPersistenceAvailable()) {
+    return { success: false, error: 'Bet persistence unavailable' };
+  }
+
+  const record = await Model.findOneAndUpdate(
+    { betId, result: 'pending' },
+    { $set: { ...outcome, settledAt: new Date() } },
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!record) {
+    const existing = await Model.findOne({ betId }).select('result').lean();
+    return {
+      success: false,
+      error: existing
+        ? `Bet already settled (${existing.result}) - cannot move to ${outcome.result}`
+        : 'Bet not found'
+    };
+  }
+
+  return {
+    success: true,
+    bet: formatBetRecord(record)
+  };
+}
+
+/**
+ * Store a partial cash-out of a crash bet that stays pending
+ * The settlement is appended only if the stored list is one shorter, so a
+ * retried write cannot record the same exit twice.
+ * @param {Object} bet - In-memory bet after the partial cash-out
+ * @returns {Promise<Object>} Operation result
+ */
+async function recordPartialCashout(bet) {
+  if (!isPersistenceAvailable()) {
+    return { success: false, error: 'Bet persistence unavailable' };
+  }
+
+  const index = bet.settlements.length - 1;
+  const settlement = bet.settlements[index];
+
+  const result = await CrashBet.updateOne(
+    { betId: bet.betId, result: 'pending', settlements: { $size: index } },
+    {
+      $push: { settlements: { ...settlement, settledAt: new Date(settlement.settledAt) } },
+      $set: { remainingAmount: bet.remainingAmount, payout: bet.payout }
+    },
+    { runValidators: true }
+  );
+
+  return result.modifiedCount === 1
+    ? { success: true }
+    : { success: false, error: 'Bet not found, already settled or settlement already stored' };
+}
+
+/**
+ * Mark a set of pending crash bets as crashed in one update
+ * Takes the IDs from the in-memory round, so bets already cashed out are
+ * never touched even if their win update is still in flight. Payouts from
+ * partial cash-outs are kept; only the remaining stake is lost.
+ * @param {Array} betIds - Crashed bet identifiers
+ * @returns {Promise<number>} Number of bets settled
+ */
+async function settleCrashedBets(betIds) {
+  if (!betIds.length || !isPersistenceAvailable()) {
+    return 0;
+  }
+
+  const result = await CrashBet.updateMany(
+    { betId: { $in: betIds }, result: 'pending' },
+    [{
+      $set: {
+        result: 'crashed',
+        remainingAmount: 0,
+        profit: { $subtract: ['$payout', '$amount'] },
+        settledAt: '$$NOW'
+      }
+    }]
+  );
+
+  return result.modifiedCount;
+}
+
+/**
+ * Get a user's bets, newest first, with filters
+ * @param {string} userId - User identifier
+ * @param {Object} filters - { game, result, from, to, limit, before }
+ * @returns {Promise<Object>} Bets and the cursor for the next page
+ */
+async function getUserBets(userId, filters = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(filters.limit, 10) || BET_HISTORY_CONFIG.DEFAULT_PAGE_SIZE, 1),
+    BET_HISTORY_CONFIG.MAX_PAGE_SIZE
+  );
+
+  const query = { userId: new mongoose.Types.ObjectId(String(userId)) };
+
+  if (filters.game) {
+    query.game = filters.game;
+  }
+  if (filters.result) {
+    query.result = filters.result;
+  }
+  if (filters.from || filters.to) {
+    query.placedAt = {};
+    if (filters.from) query.placedAt.$gte = filters.from;
+    if (filters.to) query.placedAt.$lte = filters.to;
+  }
+  if (filters.before) {
+    query._id = { $lt: filters.before };
+  }
+
+  const records = await Bet.find(query).sort({ _id: -1 }).limit(limit + 1).lean();
+  const hasMore = records.length > limit;
+  const page = records.slice(0, limit);
+
+  return {
+    bets: page.map(formatBetRecord),
+    nextCursor: hasMore ? String(page[page.length - 1]._id) : null
+  };
+}
+
+/**
+ * Validate bet history filters from a query string
+ * @param {Object} query - Raw query ({ game, result, from, to, limit, before })
+ * @returns {Object} Validation result with parsed filters
+ */
+function validateBetFilters(query = {}) {
+  const errors = [];
+  const filters = { limit: query.limit };
+
+  if (query.game !== undefined) {
+    if (!Object.values(BET_HISTORY_CONFIG.GAMES).includes(query.game)) {
+      errors.push(`game must be one of: ${Object.values(BET_HISTORY_CONFIG.GAMES).join(', ')}`);
+    }
+    filters.game = query.game;
+  }
+
+  if (query.result !== undefined) {
+    if (!['pending', 'win', 'loss', 'crashed', 'refunded'].includes(query.result)) {
+      errors.push('result must be one of: pending, win, loss, crashed, refunded');
+    }
+    filters.result = query.result;
+  }
+
+  ['from', 'to'].forEach((field) => {
+    if (query[field] === undefined) {
+      return;
+    }
+    const date = new Date(query[field]);
+    if (isNaN(date.getTime())) {
+      errors.push(`${field} must be a valid date`);
+    }
+    filters[field] = date;
+  });
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('from must be before to');
+  }
+
+  if (query.before !== undefined) {
+    if (!mongoose.isValidObjectId(query.before)) {
+      errors.push('before must be a cursor from a previous page');
+    }
+    filters.before = query.before;
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    filters
+  };
+}
+
+// Export bet history functions and constants
+module.exports = {
+  BET_HISTORY_CONFIG,
+  isValidTransition,
+  formatBetRecord,
+  recordBetPlaced,
+  settleBet,
+  recordPartialCashout,
+  settleCrashedBets,
+  getUserBets,
+  validateBetFilters
+};
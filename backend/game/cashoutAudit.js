@@ -0,0 +1,199 @@
+// backend/game/cashoutAudit.js - Crash Cash-out Audit Log for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Records every judged cash-out with its timing evidence so disputes can be replayed
+
+const mongoose = require('mongoose');
+const { CashoutAudit } = require('../database/models');
+const { judgeCashout, ENGINE_CONFIG } = require('./engine');
+const { isPersistenceAvailable } = require('./roundHistory');
+
+/**
+ * Cashout Audit Configuration
+ */
+const CASHOUT_AUDIT_CONFIG = {
+  // Recent decisions kept in memory (used when the database is unavailable)
+  MAX_MEMORY_RECORDS: 1000,
+
+  // Page size limits for audit queries
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200
+};
+
+// Most recent decisions, oldest first
+const recentAudits = [];
+let auditSequence = 0;
+
+/**
+ * Snapshot the judging settings so a replay uses the rule in force at the time
+ * @param {Object} judging - Judging settings (ENGINE_CONFIG.CASHOUT_JUDGING shape)
+ * @returns {Object} Stored settings ({ graceEnabled, rttShare, maxGraceMs })
+ */
+function snapshotJudging(judging = ENGINE_CONFIG.CASHOUT_JUDGING) {
+  return {
+    graceEnabled: judging.GRACE_ENABLED,
+    rttShare: judging.RTT_SHARE,
+    maxGraceMs: judging.MAX_GRACE_MS
+  };
+}
+
+/**
+ * Record one cash-out decision
+ * Requests rejected before judging (no bet, round not in flight) are logged
+ * too, with empty timing evidence. The database write is not awaited - an
+ * audit failure never delays or changes the payout.
+ * @param {Object} entry - { roundId, betId, userId, transport, fraction, receivedAt, rttMs, result }
+ * (result is the roundManager.cashOut result, with its judgement when one was made)
+ * @returns {Object} Stored audit record
+ */
+function recordCashoutDecision(entry) {
+  const { result = {} } = entry;
+  const judgement = result.judgement || null;
+
+  auditSequence++;
+  const record = {
+    auditId: `cashout_audit_${Date.now()}_${auditSequence}`,
+    roundId: result.roundId || entry.roundId || null,
+    betId: result.betId || entry.betId || null,
+    userId: String(entry.userId),
+    transport: entry.transport,
+    fraction: entry.fraction === undefined ? 1 : entry.fraction,
+    decision: result.success ? 'accepted' : 'rejected',
+    reason: judgement ? judgement.reason : null,
+    error: result.success ? null : (result.error || null),
+    receivedAt: new Date(entry.receivedAt),
+    receivedElapsedMs: judgement ? judgement.receivedElapsedMs : null,
+    rttMs: judgement ? judgement.rttMs : (entry.rttMs === undefined ? null : entry.rttMs),
+    graceMs: judgement ? judgement.graceMs : 0,
+    judgedElapsedMs: judgement ? judgement.judgedElapsedMs : null,
+    crashTimeMs: judgement ? judgement.crashTimeMs : null,
+    crashMultiplier: judgement ? judgement.crashMultiplier : null,
+    multiplier: judgement ? judgement.multiplier : null,
+    judging: snapshotJudging(),
+    createdAt: new Date().toISOString()
+  };
+
+  recentAudits.push(record);
+  if (recentAudits.length > CASHOUT_AUDIT_CONFIG.MAX_MEMORY_RECORDS) {
+    recentAudits.shift();
+  }
+
+  if (record.roundId && isPersistenceAvailable()) {
+    CashoutAudit.create(record).catch(error => {
+      console.error(`Cashout audit ${record.auditId} not saved:`, error.message);
+    });
+  }
+
+  return record;
+}
+
+/**
+ * Get recorded decisions, newest first
+ * @param {Object} filters - { roundId, userId, limit }
+ * @returns {Promise<Array>} Audit records
+ */
+async function getCashoutAudits(filters = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(filters.limit, 10) || CASHOUT_AUDIT_CONFIG.DEFAULT_PAGE_SIZE, 1),
+    CASHOUT_AUDIT_CONFIG.MAX_PAGE_SIZE
+  );
+
+  if (isPersistenceAvailable()) {
+    const query = {};
+    if (filters.roundId) {
+      query.roundId = filters.roundId;
+    }
+    if (filters.userId) {
+      query.userId = new mongoose.Types.ObjectId(String(filters.userId));
+    }
+
+    const records = await CashoutAudit.find(query).sort({ _id: -1 }).limit(limit).lean();
+    return records.map(formatAuditRecord);
+  }
+
+  return recentAudits
+    .filter(record => !filters.roundId || record.roundId === filters.roundId)
+    .filter(record => !filters.userId || record.userId === String(filters.userId))
+    .slice(-limit)
+    .reverse();
+}
+
+/**
+ * Find one recorded decision
+ * @param {string} auditId - Audit identifier
+ * @returns {Promise<Object|null>} Audit record
+ */
+async function findCashoutAudit(auditId) {
+  if (isPersistenceAvailable()) {
+    const record = await CashoutAudit.findOne({ auditId }).lean();
+    if (record) {
+      return formatAuditRecord(record);
+    }
+  }
+
+  return recentAudits.find(record => record.auditId === auditId) || null;
+}
+
+/**
+ * Format a stored audit document for API responses
+ * @param {Object} record - CashoutAudit document (lean)
+ * @returns {Object} Audit record
+ */
+function formatAuditRecord(record) {
+  const { _id, __v, updatedAt, ...fields } = record;
+  return {
+    ...fields,
+    userId: String(record.userId),
+    receivedAt: new Date(record.receivedAt),
+    createdAt: new Date(record.createdAt).toISOString()
+  };
+}
+
+/**
+ * Recompute a recorded decision from its stored evidence and settings
+ * Decisions rejected before judging carry no evidence and cannot be replayed.
+ * @param {Object} record - Audit record
+ * @returns {Object} Replay result ({ success, matches, recorded, replayed })
+ */
+function replayCashoutDecision(record) {
+  if (record.receivedElapsedMs === null || record.crashTimeMs === null) {
+    return {
+      success: false,
+      error: 'Decision was rejected before judging - no timing evidence to replay'
+    };
+  }
+
+  const replayed = judgeCashout({
+    receivedElapsedMs: record.receivedElapsedMs,
+    rttMs: record.rttMs,
+    crashTimeMs: record.crashTimeMs,
+    crashMultiplier: record.crashMultiplier
+  }, {
+    GRACE_ENABLED: record.judging.graceEnabled,
+    RTT_SHARE: record.judging.rttShare,
+    MAX_GRACE_MS: record.judging.maxGraceMs
+  });
+
+  return {
+    success: true,
+    auditId: record.auditId,
+    matches: replayed.accepted === (record.reason === 'before_crash') &&
+      replayed.judgedElapsedMs === record.judgedElapsedMs &&
+      replayed.multiplier === record.multiplier,
+    recorded: {
+      decision: record.decision,
+      reason: record.reason,
+      graceMs: record.graceMs,
+      judgedElapsedMs: record.judgedElapsedMs,
+      multiplier: record.multiplier
+    },
+    replayed
+  };
+}
+
+module.exports = {
+  CASHOUT_AUDIT_CONFIG,
+  recordCashoutDecision,
+  getCashoutAudits,
+  findCashoutAudit,
+  replayCashoutDecision
+};
@@ -2,6 +2,8 @@
 // Educational demo only - No real money transactions
 // Timer-based color trading game with server-controlled outcomes
 
+const { RNG_CONFIG, createRng, hashString, deriveNumericSeed, isNumericSeedAlgorithm } = require('./rng');
+
 /**
  * Game Configuration Constants
  * All values are for demo/educational purposes only
@@ -40,6 +42,7 @@ const COLOR_GAME_CONFIG = {
   TIMING: {
     ROUND_DURATION: 10000,        // 10 seconds per round
     PRE_ROUND_DELAY: 3000,        // 3 seconds before round starts
+    REVEAL_DURATION: 2000,        // 2 seconds showing the result (betting closed)
     POST_ROUND_DELAY: 5000,       // 5 seconds between rounds
     COUNTDOWN_INTERVAL: 1000      // 1 second countdown updates
   },
@@ -57,6 +60,10 @@ const COLOR_GAME_CONFIG = {
   // Seed for deterministic random generation
   BASE_SEED: 0x12345678,
   
+  // Generator for numeric seeds (simulations) when none is requested - live
+  // rounds use the HMAC stream keyed by their server seed (see fairness.js)
+  RNG_ALGORITHM: RNG_CONFIG.DEFAULT_ALGORITHM,
+  
   // Maximum rounds to track for statistics
   MAX_HISTORY_ROUNDS: 100
 };
@@ -73,38 +80,13 @@ const COLOR_GAME_STATES = {
 };
 
 /**
- * Deterministic pseudo-random number generator for color selection
- * Uses linear congruential generator for predictable results
- * @param {number} seed - Initial seed value
+ * Create the generator for a color round
+ * @param {number} seed - Round seed (the seed returned with the round's result)
+ * @param {string} algorithm - Generator name (defaults to COLOR_GAME_CONFIG.RNG_ALGORITHM)
  * @returns {Function} PRNG function
  */
-function createColorPRNG(seed) {
-  const MODULUS = 2 ** 31;
-  const MULTIPLIER = 1103515245;
-  const INCREMENT = 12345;
-  
-  let currentSeed = seed;
-  
-  return function() {
-    currentSeed = (MULTIPLIER * currentSeed + INCREMENT) % MODULUS;
-    return currentSeed / MODULUS; // Returns value between 0 and 1
-  };
-}
-
-/**
- * Hash function for string to number conversion
- * Used for seed generation from round IDs
- * @param {string} str - Input string
- * @returns {number} Hash value
- */
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return Math.abs(hash);
+function createColorPRNG(seed, algorithm = COLOR_GAME_CONFIG.RNG_ALGORITHM) {
+  return createRng(algorithm, seed);
 }
 
 /**
@@ -114,6 +96,9 @@ function hashString(str) {
  * @param {string} options.roundId - Unique round identifier
  * @param {number} options.lossBias - Probability of platform win (0-1)
  * @param {number} options.customSeed - Optional custom seed
+ * @param {string} options.rngAlgorithm - Numeric-seeded generator (default mulberry32; lcg31 only replays old rounds)
+ * @param {Function} options.prng - Optional ready-made generator (live rounds pass the stream keyed by
+ *                                  their secret server seed); replaces the roundId/seed derivation entirely
  * @param {Array} options.recentWinners - Recently winning colors for streak control
  * @returns {Object} Color selection result
  */
@@ -122,6 +107,8 @@ function generateWinningColor(options = {}) {
     roundId = Date.now().toString(),
     lossBias = COLOR_GAME_CONFIG.MECHANICS.LOSS_BIAS,
     customSeed = null,
+    rngAlgorithm = COLOR_GAME_CONFIG.RNG_ALGORITHM,
+    prng: suppliedPrng = null,
     recentWinners = []
   } = options;
   
@@ -130,13 +117,20 @@ function generateWinningColor(options = {}) {
     throw new Error('lossBias must be between 0 and 1');
   }
   
-  // Create deterministic seed from roundId
-  const seedHash = hashString(roundId);
-  const baseSeed = customSeed !== null ? customSeed : COLOR_GAME_CONFIG.BASE_SEED;
-  const finalSeed = baseSeed ^ seedHash;
+  if (!suppliedPrng && !isNumericSeedAlgorithm(rngAlgorithm)) {
+    throw new Error(`rngAlgorithm must be a numeric-seeded generator, got ${rngAlgorithm}`);
+  }
   
-  // Initialize deterministic PRNG
-  const prng = createColorPRNG(finalSeed);
+  let prng = suppliedPrng;
+  let finalSeed = null;
+  
+  if (!prng) {
+    // Create deterministic seed from roundId (public - simulations only)
+    finalSeed = deriveNumericSeed(customSeed !== null ? customSeed : COLOR_GAME_CONFIG.BASE_SEED, roundId);
+    
+    // Initialize deterministic PRNG
+    prng = createColorPRNG(finalSeed, rngAlgorithm);
+  }
   
   // Determine if this is a platform win (loss for players)
   const isPlatformWin = prng() < lossBias;
@@ -165,6 +159,7 @@ function generateWinningColor(options = {}) {
     isWinRound,
     isPlatformWin,
     seed: finalSeed,
+    rngAlgorithm: prng.algorithm || null,
     generatedAt: new Date().toISOString(),
     metadata: {
       roundId,
@@ -452,6 +447,7 @@ function simulateColorRounds(roundCount, options = {}) {
       ...options,
       roundId,
       customSeed: COLOR_GAME_CONFIG.BASE_SEED + i,
+      rngAlgorithm: options.rngAlgorithm || RNG_CONFIG.SIMULATION_ALGORITHM,
       recentWinners: [...recentWinners]
     };
     
@@ -565,7 +561,7 @@ function validateColorBet(betData) {
   const errors = [];
   
   // Validate color
-  if (!COLOR_GAME_CONFIG.COLORS[color.toUpperCase()]) {
+  if (typeof color !== 'string' || !COLOR_GAME_CONFIG.COLORS[color.toUpperCase()]) {
     errors.push(`Invalid color. Must be one of: ${Object.keys(COLOR_GAME_CONFIG.COLORS).join(', ')}`);
   }
   
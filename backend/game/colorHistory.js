@@ -0,0 +1,217 @@
+// backend/game/colorHistory.js - Color Round Persistence for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Stores completed color trading rounds in the ColorRound model and pages through them
+
+const mongoose = require('mongoose');
+const { ColorRound } = require('../database/models');
+const { isPersistenceAvailable } = require('./roundHistory');
+const { FAIRNESS_CONFIG } = require('./fairness');
+
+/**
+ * Color History Configuration
+ */
+const COLOR_HISTORY_CONFIG = {
+  // Colors tracked in per-color bet totals
+  COLORS: ['red', 'green', 'violet'],
+
+  // Page size limits for history queries
+  DEFAULT_PAGE_SIZE: 10,
+  MAX_PAGE_SIZE: 50
+};
+
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function toCents(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Total the bets, stakes and payouts per color
+ * @param {Array} bets - Bets placed on the round
+ * @returns {Object} Totals keyed by color
+ */
+function calculateBetTotals(bets = []) {
+  const totals = {};
+  COLOR_HISTORY_CONFIG.COLORS.forEach((color) => {
+    totals[color] = { bets: 0, wagered: 0, payout: 0 };
+  });
+
+  bets.forEach((bet) => {
+    const colorTotals = totals[bet.color];
+    if (!colorTotals) {
+      return;
+    }
+    colorTotals.bets++;
+    colorTotals.wagered += bet.amount;
+    colorTotals.payout += bet.payout || 0;
+  });
+
+  COLOR_HISTORY_CONFIG.COLORS.forEach((color) => {
+    totals[color].wagered = toCents(totals[color].wagered);
+    totals[color].payout = toCents(totals[color].payout);
+  });
+
+  return totals;
+}
+
+/**
+ * Build a ColorRound document from a settled round
+ * @param {Object} round - Completed color round (from game/index.js)
+ * @param {Object} summary - Result of settling the round ({ players, creditedPayout })
+ * @returns {Object} ColorRound model fields
+ */
+function toColorRoundRecord(round, summary = {}) {
+  const winningBets = round.bets.filter(bet => bet.result === 'win').length;
+
+  return {
+    roundId: round.roundId,
+    winningColor: round.winningColor,
+    isWinRound: round.isWinRound,
+    seed: round.seed,
+    lossBias: round.lossBias,
+    settingsVersion: round.settingsVersion,
+    fairness: {
+      serverSeed: round.fairness.serverSeed,
+      serverSeedHash: round.fairness.serverSeedHash,
+      rngAlgorithm: round.fairness.rngAlgorithm,
+      chainId: round.fairness.chainId,
+      chainIndex: round.fairness.chainIndex
+    },
+    roundDuration: round.roundDuration,
+    startedAt: round.startedAt,
+    endedAt: round.endedAt,
+    betTotals: calculateBetTotals(round.bets),
+    settlement: {
+      totalBets: round.statistics.totalBets,
+      totalWagered: toCents(round.statistics.totalWagered),
+      totalPayout: toCents(round.statistics.totalPayout),
+      creditedPayout: summary.creditedPayout || 0,
+      players: summary.players || 0,
+      winningBets,
+      losingBets: round.bets.length - winningBets,
+      settledAt: new Date()
+    }
+  };
+}
+
+/**
+ * Format a stored color round for responses
+ * @param {Object} record - ColorRound document (lean)
+ * @param {boolean} includeAdmin - Include engine parameters and seed (admin only)
+ * @returns {Object} Round data
+ */
+function formatColorRoundRecord(record, includeAdmin = false) {
+  const data = {
+    roundId: record.roundId,
+    state: 'completed',
+    winningColor: record.winningColor,
+    isWinRound: record.isWinRound,
+    roundDuration: record.roundDuration,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    betTotals: record.betTotals,
+    settlement: record.settlement,
+    settingsVersion: record.settingsVersion
+  };
+
+  // Revealed inputs (rounds stored before color seeds existed have none)
+  if (record.fairness && record.fairness.serverSeed) {
+    data.fairness = {
+      serverSeedHash: record.fairness.serverSeedHash,
+      chainId: record.fairness.chainId,
+      chainIndex: record.fairness.chainIndex,
+      serverSeed: record.fairness.serverSeed,
+      clientSeed: FAIRNESS_CONFIG.DEFAULT_CLIENT_SEED,
+      rngAlgorithm: record.fairness.rngAlgorithm,
+      lossBias: record.lossBias
+    };
+  }
+
+  if (includeAdmin) {
+    data.seed = record.seed;
+    data.lossBias = record.lossBias;
+  }
+
+  return data;
+}
+
+/**
+ * Persist a settled color round
+ * The unique roundId index makes saving the same round twice harmless.
+ * @param {Object} round - Completed color round
+ * @param {Object} summary - Settlement summary
+ * @returns {Promise<boolean>} True if the round was stored
+ */
+async function saveCompletedColorRound(round, summary) {
+  if (!isPersistenceAvailable()) {
+    return false;
+  }
+
+  try {
+    await ColorRound.create(toColorRoundRecord(round, summary));
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a page of completed color rounds, newest first
+ * @param {Object} options - { limit, before } where before is the previous page's nextCursor
+ * @returns {Promise<Object>} Rounds and the cursor for the next page
+ */
+async function getCompletedColorRounds(options = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(options.limit, 10) || COLOR_HISTORY_CONFIG.DEFAULT_PAGE_SIZE, 1),
+    COLOR_HISTORY_CONFIG.MAX_PAGE_SIZE
+  );
+
+  const query = {};
+  if (options.before) {
+    if (!mongoose.isValidObjectId(options.before)) {
+      throw new Error('Invalid cursor');
+    }
+    query._id = { $lt: options.before };
+  }
+
+  const records = await ColorRound.find(query).sort({ _id: -1 }).limit(limit + 1).lean();
+  const hasMore = records.length > limit;
+  const page = records.slice(0, limit);
+
+  return {
+    rounds: page.map(record => formatColorRoundRecord(record)),
+    nextCursor: hasMore ? String(page[page.length - 1]._id) : null
+  };
+}
+
+/**
+ * Find a stored completed color round
+ * @param {string} roundId - Round identifier
+ * @param {boolean} includeAdmin - Include engine parameters and seed
+ * @returns {Promise<Object|null>} Round data or null
+ */
+async function findCompletedColorRound(roundId, includeAdmin = false) {
+  if (!isPersistenceAvailable()) {
+    return null;
+  }
+
+  const record = await ColorRound.findOne({ roundId }).lean();
+  return record ? formatColorRoundRecord(record, includeAdmin) : null;
+}
+
+// Export color history functions and constants
+module.exports = {
+  COLOR_HISTORY_CONFIG,
+  calculateBetTotals,
+  toColorRoundRecord,
+  formatColorRoundRecord,
+  saveCompletedColorRound,
+  getCompletedColorRounds,
+  findCompletedColorRound
+};
@@ -0,0 +1,305 @@
+// backend/game/colorRounds.js - Color Round Scheduler for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Walks every color round through IDLE → COUNTDOWN → RUNNING → REVEAL → COMPLETED → IDLE
+
+const { COLOR_GAME_CONFIG, COLOR_GAME_STATES } = require('./colorEngine');
+
+/**
+ * Color Scheduler Configuration
+ * Phase durations in milliseconds (defaults from COLOR_GAME_CONFIG.TIMING)
+ */
+const COLOR_SCHEDULER_CONFIG = {
+  COUNTDOWN_DURATION: COLOR_GAME_CONFIG.TIMING.PRE_ROUND_DELAY,
+  ROUND_DURATION: COLOR_GAME_CONFIG.TIMING.ROUND_DURATION,
+  REVEAL_DURATION: COLOR_GAME_CONFIG.TIMING.REVEAL_DURATION,
+  IDLE_DURATION: COLOR_GAME_CONFIG.TIMING.POST_ROUND_DELAY,
+  COUNTDOWN_INTERVAL: COLOR_GAME_CONFIG.TIMING.COUNTDOWN_INTERVAL
+};
+
+/**
+ * Color Round Scheduler Class
+ * Owns the phase timers; the game controller owns the round itself and
+ * reacts to the phase events (create round, open betting, reveal, settle).
+ */
+class ColorRoundScheduler {
+  constructor() {
+    this.config = { ...COLOR_SCHEDULER_CONFIG };
+
+    // Current phase and when it ends (null while held by a pause)
+    this.state = COLOR_GAME_STATES.IDLE;
+    this.phaseStartedAt = null;
+    this.phaseEndsAt = null;
+
+    // Loop status - a paused loop finishes its round but starts no new one
+    this.isRunning = false;
+    this.isPaused = false;
+
+    // Number of rounds the scheduler has started
+    this.cycle = 0;
+
+    // Timers for the current phase and the countdown ticks
+    this.phaseTimer = null;
+    this.countdownTimer = null;
+
+    // Callbacks for phase events
+    this.eventCallbacks = {
+      onCountdown: [],
+      onCountdownTick: [],
+      onRunning: [],
+      onReveal: [],
+      onCompleted: [],
+      onIdle: []
+    };
+  }
+
+  /**
+   * Start the round loop with an immediate countdown
+   * @param {Object} options - Phase duration overrides (COUNTDOWN_DURATION, ROUND_DURATION, ...)
+   * @returns {boolean} True if the loop was started
+   */
+  start(options = {}) {
+    if (this.isRunning) {
+      return false;
+    }
+
+    this.config = { ...COLOR_SCHEDULER_CONFIG, ...options };
+    this.isRunning = true;
+    this.isPaused = false;
+
+    console.log('Color Round Scheduler started');
+    this.enterCountdown();
+    return true;
+  }
+
+  /**
+   * Stop the loop immediately (the current round is abandoned)
+   */
+  stop() {
+    this.clearTimers();
+
+    this.isRunning = false;
+    this.isPaused = false;
+    this.state = COLOR_GAME_STATES.IDLE;
+    this.phaseStartedAt = null;
+    this.phaseEndsAt = null;
+
+    console.log('Color Round Scheduler stopped');
+  }
+
+  /**
+   * Pause the loop (the current round finishes, no new round starts)
+   * @returns {boolean} True if the loop was running and not paused
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) {
+      return false;
+    }
+
+    this.isPaused = true;
+
+    // Between rounds, hold the next countdown right away
+    if (this.state === COLOR_GAME_STATES.IDLE) {
+      this.clearTimers();
+      this.phaseEndsAt = null;
+    }
+
+    console.log('Color Round Scheduler paused');
+    return true;
+  }
+
+  /**
+   * Resume a paused loop, starting a countdown held back by pause()
+   * @returns {boolean} True if the loop was paused
+   */
+  resume() {
+    if (!this.isPaused) {
+      return false;
+    }
+
+    this.isPaused = false;
+    console.log('Color Round Scheduler resumed');
+
+    if (this.state === COLOR_GAME_STATES.IDLE && !this.phaseTimer) {
+      this.enterCountdown();
+    }
+
+    return true;
+  }
+
+  /**
+   * Enter a phase and schedule the next one
+   * @param {string} state - Phase to enter
+   * @param {number|null} duration - Phase length (null holds the phase)
+   * @param {Function} next - Phase entered when this one ends
+   */
+  enterPhase(state, duration, next) {
+    this.clearTimers();
+
+    this.state = state;
+    this.phaseStartedAt = Date.now();
+    this.phaseEndsAt = duration === null ? null : this.phaseStartedAt + duration;
+
+    if (duration !== null) {
+      this.phaseTimer = setTimeout(() => {
+        this.phaseTimer = null;
+        next.call(this);
+      }, duration);
+    }
+  }
+
+  /**
+   * COUNTDOWN - the round is created (result decided) and counted down
+   */
+  enterCountdown() {
+    this.cycle++;
+    this.enterPhase(COLOR_GAME_STATES.COUNTDOWN, this.config.COUNTDOWN_DURATION, this.enterRunning);
+
+    this.triggerEvent('onCountdown', {
+      cycle: this.cycle,
+      countdownDuration: this.config.COUNTDOWN_DURATION,
+      roundDuration: this.config.ROUND_DURATION,
+      startsAt: new Date(this.phaseEndsAt).toISOString()
+    });
+
+    this.countdownTimer = setInterval(() => {
+      const timeRemaining = Math.max(0, this.phaseEndsAt - Date.now());
+      if (timeRemaining <= 0) {
+        return;
+      }
+
+      this.triggerEvent('onCountdownTick', {
+        cycle: this.cycle,
+        timeRemaining,
+        secondsRemaining: Math.ceil(timeRemaining / 1000)
+      });
+    }, this.config.COUNTDOWN_INTERVAL);
+  }
+
+  /**
+   * RUNNING - betting is open for the round duration
+   */
+  enterRunning() {
+    this.enterPhase(COLOR_GAME_STATES.RUNNING, this.config.ROUND_DURATION, this.enterReveal);
+    this.triggerEvent('onRunning', {
+      cycle: this.cycle,
+      endsAt: new Date(this.phaseEndsAt).toISOString()
+    });
+  }
+
+  /**
+   * REVEAL - betting is closed, then the winning color is shown
+   */
+  enterReveal() {
+    this.enterPhase(COLOR_GAME_STATES.REVEAL, this.config.REVEAL_DURATION, this.enterCompleted);
+    this.triggerEvent('onReveal', { cycle: this.cycle });
+  }
+
+  /**
+   * COMPLETED - the round is settled, then the loop idles
+   */
+  enterCompleted() {
+    this.state = COLOR_GAME_STATES.COMPLETED;
+    this.triggerEvent('onCompleted', { cycle: this.cycle });
+    this.enterIdle();
+  }
+
+  /**
+   * IDLE - wait between rounds (held while paused)
+   */
+  enterIdle() {
+    this.enterPhase(
+      COLOR_GAME_STATES.IDLE,
+      this.isPaused ? null : this.config.IDLE_DURATION,
+      this.enterCountdown
+    );
+    this.triggerEvent('onIdle', {
+      cycle: this.cycle,
+      isPaused: this.isPaused,
+      nextCountdownAt: this.phaseEndsAt ? new Date(this.phaseEndsAt).toISOString() : null
+    });
+  }
+
+  /**
+   * Clear the phase and countdown timers
+   */
+  clearTimers() {
+    if (this.phaseTimer) {
+      clearTimeout(this.phaseTimer);
+      this.phaseTimer = null;
+    }
+
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+  }
+
+  /**
+   * Register event callback
+   * @param {string} eventName - Event to listen for
+   * @param {Function} callback - Callback function
+   */
+  on(eventName, callback) {
+    if (this.eventCallbacks[eventName]) {
+      this.eventCallbacks[eventName].push(callback);
+    }
+  }
+
+  /**
+   * Trigger event callbacks
+   * @param {string} eventName - Event name
+   * @param {any} data - Event data
+   */
+  triggerEvent(eventName, data) {
+    if (this.eventCallbacks[eventName]) {
+      this.eventCallbacks[eventName].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${eventName} callback:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} Scheduler status information
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isPaused: this.isPaused,
+      state: this.state,
+      cycle: this.cycle,
+      phaseStartedAt: this.phaseStartedAt ? new Date(this.phaseStartedAt).toISOString() : null,
+      phaseEndsAt: this.phaseEndsAt ? new Date(this.phaseEndsAt).toISOString() : null,
+      config: { ...this.config }
+    };
+  }
+}
+
+// Create singleton instance
+const colorScheduler = new ColorRoundScheduler();
+
+// Export functions and classes
+module.exports = {
+  ColorRoundScheduler,
+  colorScheduler, // Singleton instance
+  COLOR_SCHEDULER_CONFIG,
+
+  // Convenience functions
+  startColorScheduler: (options) => colorScheduler.start(options),
+  stopColorScheduler: () => colorScheduler.stop(),
+  pauseColorScheduler: () => colorScheduler.pause(),
+  resumeColorScheduler: () => colorScheduler.resume(),
+  getColorSchedulerStatus: () => colorScheduler.getStatus(),
+
+  // Event registration
+  onColorCountdown: (callback) => colorScheduler.on('onCountdown', callback),
+  onColorCountdownTick: (callback) => colorScheduler.on('onCountdownTick', callback),
+  onColorRunning: (callback) => colorScheduler.on('onRunning', callback),
+  onColorReveal: (callback) => colorScheduler.on('onReveal', callback),
+  onColorCompleted: (callback) => colorScheduler.on('onCompleted', callback),
+  onColorIdle: (callback) => colorScheduler.on('onIdle', callback)
+};
@@ -0,0 +1,349 @@
+// backend/game/distributions.js - Crash Point Distributions for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Registry of crash-point models, each with its theoretical return to player (RTP)
+
+/**
+ * Distribution Configuration
+ */
+const DISTRIBUTION_CONFIG = {
+  // Model used when a round manager does not select one
+  DEFAULT_MODEL: 'bias',
+
+  // Headline RTP is reported for a player cashing out at this multiplier
+  RTP_REFERENCE_TARGET: 2.0,
+
+  // Cash-out targets included in the RTP table
+  RTP_TARGETS: [1.5, 2, 3, 5, 10, 50],
+
+  // Crash points below this count as loss rounds in the models without buckets
+  LOSS_THRESHOLD: 2.0,
+
+  // Model defaults
+  CLASSIC: {
+    HOUSE_EDGE: 0.01
+  },
+  FIXED_RTP: {
+    TARGET_RTP: 0.97
+  },
+  PIECEWISE: {
+    TABLE: [
+      { min: 1.0, max: 1.5, weight: 0.45 },
+      { min: 1.5, max: 2.0, weight: 0.2 },
+      { min: 2.0, max: 5.0, weight: 0.2 },
+      { min: 5.0, max: 20.0, weight: 0.1 },
+      { min: 20.0, max: 100.0, weight: 0.05 }
+    ],
+    MAX_BUCKETS: 20
+  }
+};
+
+// Registered models (name → model)
+const registry = new Map();
+
+/**
+ * Standard normal cumulative distribution function
+ * Abramowitz-Stegun 7.1.26 approximation (error below 1.5e-7).
+ * @param {number} z - Standard score
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Survival function of a log-uniform variable on [min, max)
+ * @param {number} x - Multiplier
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} P(value >= x)
+ */
+function logUniformSurvival(x, min, max) {
+  if (x <= min) return 1;
+  if (x >= max) return 0;
+  return Math.log(max / x) / Math.log(max / min);
+}
+
+/**
+ * Register a crash-point model
+ * A model provides:
+ *   description          - One-line summary shown to students
+ *   defaults             - Default parameters
+ *   validateParams(p)    - Array of error messages for bad parameters
+ *   sample(prng, p)      - { crashMultiplier, isLossRound } from the round's PRNG
+ *   survival(x, p)       - P(crash point >= x), used for the theoretical RTP
+ * Parameters always include lossBias and maxWinMultiplier from the round.
+ * @param {string} name - Model name
+ * @param {Object} model - Model implementation
+ */
+function registerDistribution(name, model) {
+  ['sample', 'survival'].forEach((method) => {
+    if (typeof model[method] !== 'function') {
+      throw new Error(`Distribution ${name} must implement ${method}()`);
+    }
+  });
+
+  registry.set(name, {
+    defaults: {},
+    validateParams: () => [],
+    ...model,
+    name
+  });
+}
+
+/**
+ * Get a registered model
+ * @param {string} name - Model name
+ * @returns {Object|null} Model or null if unknown
+ */
+function getDistribution(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Merge a model's defaults with round and caller parameters
+ * @param {Object} model - Registered model
+ * @param {Object} params - Caller parameters
+ * @returns {Object} Effective parameters
+ */
+function resolveParams(model, params = {}) {
+  return { ...model.defaults, ...params };
+}
+
+/**
+ * Validate a model selection
+ * @param {string} name - Model name
+ * @param {Object} params - Model parameters
+ * @returns {Object} Validation result
+ */
+function validateDistribution(name, params = {}) {
+  const model = getDistribution(name);
+  if (!model) {
+    return {
+      isValid: false,
+      errors: [`Unknown distribution: ${name}. Available: ${[...registry.keys()].join(', ')}`]
+    };
+  }
+
+  const errors = model.validateParams(resolveParams(model, params));
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Draw a crash point from a model
+ * @param {string} name - Model name
+ * @param {Function} prng - Round PRNG
+ * @param {Object} params - Model parameters (including lossBias and maxWinMultiplier)
+ * @returns {Object} { crashMultiplier, isLossRound }
+ */
+function sampleCrashPoint(name, prng, params = {}) {
+  const model = getDistribution(name);
+  if (!model) {
+    throw new Error(`Unknown distribution: ${name}`);
+  }
+
+  const result = model.sample(prng, resolveParams(model, params));
+  return {
+    crashMultiplier: Math.max(1, result.crashMultiplier),
+    isLossRound: result.isLossRound
+  };
+}
+
+/**
+ * Theoretical RTP of a model
+ * A player who always cashes out at x gets x back with probability
+ * P(crash point >= x), so RTP(x) = x · P(crash point >= x).
+ * @param {string} name - Model name
+ * @param {Object} params - Model parameters
+ * @returns {Object} RTP at the reference target and per cash-out target
+ */
+function getTheoreticalRtp(name, params = {}) {
+  const model = getDistribution(name);
+  if (!model) {
+    throw new Error(`Unknown distribution: ${name}`);
+  }
+
+  const effective = resolveParams(model, params);
+  const rtpAt = target => parseFloat((target * model.survival(target, effective)).toFixed(4));
+
+  return {
+    referenceTarget: DISTRIBUTION_CONFIG.RTP_REFERENCE_TARGET,
+    rtp: rtpAt(DISTRIBUTION_CONFIG.RTP_REFERENCE_TARGET),
+    byTarget: DISTRIBUTION_CONFIG.RTP_TARGETS.map(target => ({ target, rtp: rtpAt(target) }))
+  };
+}
+
+/**
+ * List every registered model with its theoretical RTP
+ * @param {Object} params - Round parameters (lossBias, maxWinMultiplier)
+ * @returns {Array} Model summaries
+ */
+function listDistributions(params = {}) {
+  return [...registry.values()].map(model => ({
+    name: model.name,
+    description: model.description,
+    defaults: model.defaults,
+    theoreticalRtp: getTheoreticalRtp(model.name, params)
+  }));
+}
+
+// ============================================
+// BUILT-IN MODELS
+// (the original bias model is registered by engine.js, which owns its math)
+// ============================================
+
+/**
+ * Validate the win cap shared by every model
+ * @param {Object} params - Model parameters
+ * @returns {Array} Error messages
+ */
+function validateWinCap(params) {
+  return typeof params.maxWinMultiplier === 'number' && params.maxWinMultiplier >= 1
+    ? []
+    : ['maxWinMultiplier must be a number of at least 1'];
+}
+
+registerDistribution('classic', {
+  description: 'House-edge inverse distribution: crash = (1 - edge) / U, so every cash-out target returns 1 - edge',
+  defaults: { houseEdge: DISTRIBUTION_CONFIG.CLASSIC.HOUSE_EDGE },
+  validateParams(params) {
+    const errors = validateWinCap(params);
+    if (typeof params.houseEdge !== 'number' || params.houseEdge < 0 || params.houseEdge >= 1) {
+      errors.push('houseEdge must be a number between 0 and 1');
+    }
+    return errors;
+  },
+  sample(prng, params) {
+    // 1 - prng() is in (0, 1], so the division is always finite
+    const crashMultiplier = Math.min((1 - params.houseEdge) / (1 - prng()), params.maxWinMultiplier);
+    return {
+      crashMultiplier,
+      isLossRound: crashMultiplier < DISTRIBUTION_CONFIG.LOSS_THRESHOLD
+    };
+  },
+  survival(x, params) {
+    if (x <= 1) return 1;
+    if (x > params.maxWinMultiplier) return 0;
+    return Math.min(1, (1 - params.houseEdge) / x);
+  }
+});
+
+registerDistribution('fixed-rtp', {
+  description: 'The bias model with its loss bias solved so a cash-out at the reference target returns exactly targetRtp',
+  defaults: {
+    targetRtp: DISTRIBUTION_CONFIG.FIXED_RTP.TARGET_RTP,
+    referenceTarget: DISTRIBUTION_CONFIG.RTP_REFERENCE_TARGET
+  },
+  validateParams(params) {
+    const errors = validateWinCap(params);
+    if (typeof params.targetRtp !== 'number' || params.targetRtp <= 0 || params.targetRtp > 1) {
+      errors.push('targetRtp must be a number above 0 and at most 1');
+    }
+    if (typeof params.referenceTarget !== 'number' || params.referenceTarget <= 1) {
+      errors.push('referenceTarget must be a number above 1');
+    }
+    return errors;
+  },
+  /**
+   * Loss bias that gives targetRtp at the reference target
+   * RTP(x) = x · (lb · S_loss(x) + (1 - lb) · S_win(x)), solved for lb.
+   * @param {Object} params - Model parameters
+   * @returns {number} Loss bias clamped to [0, 1]
+   */
+  solveLossBias(params) {
+    const bias = getDistribution('bias');
+    const x = params.referenceTarget;
+    const lossSurvival = bias.survival(x, { ...params, lossBias: 1 });
+    const winSurvival = bias.survival(x, { ...params, lossBias: 0 });
+
+    if (winSurvival === lossSurvival) {
+      return params.lossBias;
+    }
+
+    const lossBias = (winSurvival - params.targetRtp / x) / (winSurvival - lossSurvival);
+    return Math.min(Math.max(lossBias, 0), 1);
+  },
+  sample(prng, params) {
+    const bias = getDistribution('bias');
+    return bias.sample(prng, { ...params, lossBias: this.solveLossBias(params) });
+  },
+  survival(x, params) {
+    const bias = getDistribution('bias');
+    return bias.survival(x, { ...params, lossBias: this.solveLossBias(params) });
+  }
+});
+
+registerDistribution('piecewise', {
+  description: 'Custom table of multiplier ranges, each picked by weight and sampled log-uniformly',
+  defaults: { table: DISTRIBUTION_CONFIG.PIECEWISE.TABLE },
+  validateParams(params) {
+    const errors = validateWinCap(params);
+    const { table } = params;
+
+    if (!Array.isArray(table) || table.length === 0 || table.length > DISTRIBUTION_CONFIG.PIECEWISE.MAX_BUCKETS) {
+      errors.push(`table must be an array of 1 to ${DISTRIBUTION_CONFIG.PIECEWISE.MAX_BUCKETS} ranges`);
+      return errors;
+    }
+
+    table.forEach((bucket, index) => {
+      if (!bucket || typeof bucket.min !== 'number' || typeof bucket.max !== 'number' ||
+          bucket.min < 1 || bucket.max <= bucket.min) {
+        errors.push(`table[${index}] needs 1 <= min < max`);
+      }
+      if (!bucket || typeof bucket.weight !== 'number' || !(bucket.weight > 0)) {
+        errors.push(`table[${index}].weight must be a positive number`);
+      }
+    });
+
+    return errors;
+  },
+  sample(prng, params) {
+    const { table } = params;
+    const totalWeight = table.reduce((sum, bucket) => sum + bucket.weight, 0);
+
+    // Pick a range by weight, then a point within it
+    let pick = prng() * totalWeight;
+    let bucket = table[table.length - 1];
+    for (const candidate of table) {
+      if (pick < candidate.weight) {
+        bucket = candidate;
+        break;
+      }
+      pick -= candidate.weight;
+    }
+
+    const value = bucket.min * Math.exp(prng() * Math.log(bucket.max / bucket.min));
+    const crashMultiplier = Math.min(value, params.maxWinMultiplier);
+    return {
+      crashMultiplier,
+      isLossRound: crashMultiplier < DISTRIBUTION_CONFIG.LOSS_THRESHOLD
+    };
+  },
+  survival(x, params) {
+    if (x > params.maxWinMultiplier) return 0;
+
+    const totalWeight = params.table.reduce((sum, bucket) => sum + bucket.weight, 0);
+    return params.table.reduce(
+      (sum, bucket) => sum + (bucket.weight / totalWeight) * logUniformSurvival(x, bucket.min, bucket.max),
+      0
+    );
+  }
+});
+
+// Export distribution registry and helpers
+module.exports = {
+  DISTRIBUTION_CONFIG,
+  normalCdf,
+  logUniformSurvival,
+  registerDistribution,
+  getDistribution,
+  validateDistribution,
+  sampleCrashPoint,
+  getTheoreticalRtp,
+  listDistributions
+};
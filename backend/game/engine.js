@@ -2,6 +2,9 @@
 // Educational demo only - No real money transactions
 // Deterministic server-controlled crash multiplier generation
 
+const { RNG_CONFIG, createRng, deriveNumericSeed, isNumericSeedAlgorithm } = require('./rng');
+const distributions = require('./distributions');
+
 /**
  * Game Engine Configuration
  * All values are for demo/educational purposes only
@@ -10,6 +13,13 @@ const ENGINE_CONFIG = {
   // Base seed for deterministic random number generation
   SEED: 0xABCD1234,
   
+  // Generator for numeric seeds (custom seeds, batches) when none is requested -
+  // live rounds use the HMAC stream (see fairness.js)
+  RNG_ALGORITHM: RNG_CONFIG.DEFAULT_ALGORITHM,
+  
+  // Crash-point model (see distributions.js; 'bias' is the loss/win bucket model below)
+  DISTRIBUTION: distributions.DISTRIBUTION_CONFIG.DEFAULT_MODEL,
+  
   // Minimum crash multiplier (game always starts above this)
   MIN_MULTIPLIER: 1.0,
   
@@ -19,8 +29,47 @@ const ENGINE_CONFIG = {
   // Multiplier increment per "tick" (controls game speed)
   MULTIPLIER_INCREMENT: 0.01,
   
-  // Maximum game duration in milliseconds (safety limit)
-  MAX_GAME_DURATION: 60000, // 60 seconds
+  // Multiplier curve: multiplier(t) = exp(GROWTH_RATE · t), t in ms since the
+  // round started, truncated to PRECISION decimals. The curve is strictly
+  // increasing, so a crash at multiplier m happens at exactly ln(m) / GROWTH_RATE.
+  // Crash points are truncated to the same PRECISION, so the curve reads
+  // exactly the crash point at the crash time. Each round commits to the rule
+  // it used; rounds recorded without one rounded to the nearest step instead
+  // and had no MAX_GAME_DURATION cap, and still verify that way.
+  CURVE: {
+    GROWTH_RATE: 0.0002, // Per ms - the multiplier grows by a factor e every 5 seconds
+    PRECISION: 4,
+    ROUNDING_RULES: {
+      ROUND: 'round',      // toFixed(PRECISION) - legacy
+      TRUNCATE: 'truncate' // Truncated like the curve, capped at MAX_GAME_DURATION
+    },
+    ROUNDING_RULE: 'truncate',
+    LEGACY_ROUNDING_RULE: 'round'
+  },
+  
+  // Longest flight in ms. Rounds are normally bounded by maxWinMultiplier
+  // (the admin maximum of 10000x lands at ~46s); this caps any crash point,
+  // including ones verified or simulated with unchecked parameters.
+  MAX_GAME_DURATION: 60000,
+  
+  // Live cash-out judging. A request is judged at its server receive time,
+  // moved earlier by a grace of RTT_SHARE of the client's measured round trip
+  // (capped at MAX_GRACE_MS). It wins only if that judged time is strictly
+  // before the crash time - ties go to the crash. The crash is announced
+  // MAX_GRACE_MS late so requests in flight can still be judged; a player
+  // who learns of the crash inside the grace could still win, so keep it small.
+  // Off by default: the round trip is measured with pings the client answers
+  // itself, and a modified client can delay its pongs to claim the full grace.
+  // PROCESSING_BUFFER_MS is always added to the announcement: a request
+  // received before the crash may still be in its session lookups when the
+  // curve gets there. It only delays the announcement - requests received
+  // after the crash time are still rejected - so it gives nobody extra time.
+  CASHOUT_JUDGING: {
+    GRACE_ENABLED: false,
+    RTT_SHARE: 0.5, // One-way latency estimate
+    MAX_GRACE_MS: 100,
+    PROCESSING_BUFFER_MS: 250
+  },
   
   // Loss round configurations
   LOSS_ROUND: {
@@ -40,28 +89,20 @@ const ENGINE_CONFIG = {
     MIN_WIN: 2.0,
     // Maximum crash point is controlled by admin settings
     DEFAULT_MAX_WIN: 100.0
+  },
+  
+  // Bet limits for live rounds (demo currency)
+  BETTING: {
+    MIN_BET_AMOUNT: 1,
+    MAX_BET_AMOUNT: 100000,
+    // Range for a bet's optional auto-cashout target
+    MIN_AUTO_CASHOUT: 1.01,
+    MAX_AUTO_CASHOUT: 10000,
+    // Independent bets one player may hold in the same round (slots 1..N)
+    MAX_BET_SLOTS: 2
   }
 };
 
-/**
- * Deterministic pseudo-random number generator (PRNG)
- * Uses a linear congruential generator for predictable results
- * @param {number} seed - Initial seed value
- * @returns {Function} PRNG function
- */
-function createDeterministicPRNG(seed) {
-  const MODULUS = 2 ** 31;
-  const MULTIPLIER = 1103515245;
-  const INCREMENT = 12345;
-  
-  let currentSeed = seed;
-  
-  return function() {
-    currentSeed = (MULTIPLIER * currentSeed + INCREMENT) % MODULUS;
-    return currentSeed / MODULUS; // Returns value between 0 and 1
-  };
-}
-
 /**
  * Generate a crash multiplier based on game parameters
  * @param {Object} options - Game generation options
@@ -69,6 +110,14 @@ function createDeterministicPRNG(seed) {
  * @param {number} options.maxWinMultiplier - Maximum allowed win multiplier
  * @param {string} options.roundId - Unique round identifier for seed generation
  * @param {number} options.customSeed - Optional custom seed for deterministic testing
+ * @param {string} options.rngAlgorithm - Numeric-seeded generator (default mulberry32; lcg31 only replays old rounds)
+ * @param {Function} options.prng - Optional ready-made generator (e.g. a provably fair HMAC stream);
+ *                                  replaces the roundId/seed derivation entirely
+ * @param {string} options.distribution - Crash-point model name (default ENGINE_CONFIG.DISTRIBUTION)
+ * @param {Object} options.distributionParams - Model parameters (houseEdge, targetRtp, table, ...)
+ * @param {number} options.forcedCrashMultiplier - Optional admin-forced crash point (skips the model draw)
+ * @param {string} options.roundingRule - How the crash point is fitted to the curve precision
+ *                                        (default ENGINE_CONFIG.CURVE.ROUNDING_RULE)
  * @returns {Object} Game result with multiplier and metadata
  */
 function generateCrashMultiplier(options = {}) {
@@ -76,7 +125,13 @@ function generateCrashMultiplier(options = {}) {
     lossBias = ENGINE_CONFIG.DEFAULT_LOSS_BIAS,
     maxWinMultiplier = ENGINE_CONFIG.WIN_ROUND.DEFAULT_MAX_WIN,
     roundId = Date.now().toString(),
-    customSeed = null
+    customSeed = null,
+    rngAlgorithm = ENGINE_CONFIG.RNG_ALGORITHM,
+    prng: suppliedPrng = null,
+    distribution = ENGINE_CONFIG.DISTRIBUTION,
+    distributionParams = {},
+    forcedCrashMultiplier = null,
+    roundingRule = ENGINE_CONFIG.CURVE.ROUNDING_RULE
   } = options;
   
   // Validate input parameters
@@ -88,48 +143,73 @@ function generateCrashMultiplier(options = {}) {
     throw new Error(`maxWinMultiplier must be at least ${ENGINE_CONFIG.MIN_MULTIPLIER}`);
   }
   
-  // Create deterministic seed from roundId and base seed
-  const seedHash = hashString(roundId);
-  const baseSeed = customSeed !== null ? customSeed : ENGINE_CONFIG.SEED;
-  const finalSeed = baseSeed ^ seedHash;
+  if (forcedCrashMultiplier !== null &&
+      (!Number.isFinite(forcedCrashMultiplier) || forcedCrashMultiplier < ENGINE_CONFIG.MIN_MULTIPLIER)) {
+    throw new Error(`forcedCrashMultiplier must be at least ${ENGINE_CONFIG.MIN_MULTIPLIER}`);
+  }
+  
+  if (!Object.values(ENGINE_CONFIG.CURVE.ROUNDING_RULES).includes(roundingRule)) {
+    throw new Error(`roundingRule must be one of: ${Object.values(ENGINE_CONFIG.CURVE.ROUNDING_RULES).join(', ')}`);
+  }
+  
+  const modelParams = { ...distributionParams, lossBias, maxWinMultiplier };
+  const distributionCheck = distributions.validateDistribution(distribution, modelParams);
+  if (!distributionCheck.isValid) {
+    throw new Error(distributionCheck.errors.join('; '));
+  }
+  
+  if (!suppliedPrng && !isNumericSeedAlgorithm(rngAlgorithm)) {
+    throw new Error(`rngAlgorithm must be a numeric-seeded generator, got ${rngAlgorithm}`);
+  }
   
-  // Initialize deterministic PRNG
-  const prng = createDeterministicPRNG(finalSeed);
+  let prng = suppliedPrng;
+  let finalSeed = null;
   
-  // Determine if this is a loss or win round based on loss bias
-  const isLossRound = prng() < lossBias;
+  if (!prng) {
+    // Create deterministic seed from roundId and base seed
+    finalSeed = deriveNumericSeed(customSeed !== null ? customSeed : ENGINE_CONFIG.SEED, roundId);
+    
+    // Initialize deterministic PRNG
+    prng = createRng(rngAlgorithm, finalSeed);
+  }
   
   let crashMultiplier;
   let roundType;
+  let isLossRound;
   
-  if (isLossRound) {
-    // Generate loss round - crashes early
-    roundType = 'loss';
-    crashMultiplier = generateLossMultiplier(prng);
+  if (forcedCrashMultiplier !== null) {
+    // Admin forced the crash point for a live demo
+    roundType = 'forced';
+    crashMultiplier = forcedCrashMultiplier;
+    isLossRound = forcedCrashMultiplier < ENGINE_CONFIG.WIN_ROUND.MIN_WIN;
   } else {
-    // Generate win round - crashes later, capped by maxWinMultiplier
-    roundType = 'win';
-    crashMultiplier = generateWinMultiplier(prng, maxWinMultiplier);
+    // Draw the crash point from the selected model
+    const sample = distributions.sampleCrashPoint(distribution, prng, modelParams);
+    crashMultiplier = sample.crashMultiplier;
+    isLossRound = sample.isLossRound;
+    roundType = isLossRound ? 'loss' : 'win';
   }
   
-  // Calculate game duration based on multiplier
+  // The round lasts exactly until the curve reaches the (published) crash point
+  crashMultiplier = fitCrashPoint(crashMultiplier, roundingRule);
   const gameDuration = calculateGameDuration(crashMultiplier);
   
-  // Generate crash curve (multiplier progression over time)
-  const crashCurve = generateCrashCurve(crashMultiplier, gameDuration, prng);
-  
   return {
-    crashMultiplier: parseFloat(crashMultiplier.toFixed(4)),
+    crashMultiplier,
     roundType,
     isLossRound,
     gameDuration,
-    crashCurve,
     seed: finalSeed,
+    rngAlgorithm: prng.algorithm || null,
+    roundingRule,
     generatedAt: new Date().toISOString(),
     metadata: {
       lossBias,
       maxWinMultiplier,
-      roundId
+      distribution,
+      distributionParams,
+      roundId,
+      isForced: forcedCrashMultiplier !== null
     }
   };
 }
@@ -176,70 +256,140 @@ function generateWinMultiplier(prng, maxWinMultiplier) {
 }
 
 /**
- * Generate crash curve (multiplier progression over time)
- * @param {number} crashMultiplier - Final crash multiplier
- * @param {number} duration - Total game duration in ms
- * @param {Function} prng - Deterministic PRNG function
- * @returns {Array} Array of [time, multiplier] points
+ * Survival function of the bias model
+ * Mixes the clamped-normal loss bucket and the log-uniform win bucket.
+ * @param {number} x - Multiplier
+ * @param {Object} params - { lossBias, maxWinMultiplier }
+ * @returns {number} P(crash point >= x)
  */
-function generateCrashCurve(crashMultiplier, duration, prng) {
-  const curve = [];
-  const points = 100; // Number of points in the curve
+function biasSurvival(x, { lossBias, maxWinMultiplier }) {
+  const { MIN_CRASH, MAX_CRASH, DISTRIBUTION } = ENGINE_CONFIG.LOSS_ROUND;
+  
+  // Clamping piles the normal tails onto MIN_CRASH and MAX_CRASH
+  let lossSurvival;
+  if (x <= MIN_CRASH) {
+    lossSurvival = 1;
+  } else if (x > MAX_CRASH) {
+    lossSurvival = 0;
+  } else {
+    lossSurvival = 1 - distributions.normalCdf((x - DISTRIBUTION.MEAN) / DISTRIBUTION.STD_DEV);
+  }
   
-  // Base growth follows exponential curve
-  const growthFactor = Math.log(crashMultiplier) / (points - 1);
+  // Win rounds are log-uniform from MIN_WIN up to the cap (all at the cap if it is lower)
+  const minWin = Math.min(ENGINE_CONFIG.WIN_ROUND.MIN_WIN, maxWinMultiplier);
+  let winSurvival;
+  if (x > maxWinMultiplier) {
+    winSurvival = 0;
+  } else if (minWin === maxWinMultiplier) {
+    winSurvival = 1;
+  } else {
+    winSurvival = x === maxWinMultiplier ? 0 : distributions.logUniformSurvival(x, minWin, maxWinMultiplier);
+  }
   
-  for (let i = 0; i < points; i++) {
-    const progress = i / (points - 1);
-    const time = (duration * progress);
-    
-    // Exponential base growth
-    let multiplier = Math.exp(growthFactor * i);
-    
-    // Add small random fluctuations for realism (deterministic)
-    if (i > 10 && i < points - 10) { // Don't fluctuate at start or end
-      const fluctuation = (prng() - 0.5) * 0.02 * multiplier;
-      multiplier += fluctuation;
+  return lossBias * lossSurvival + (1 - lossBias) * winSurvival;
+}
+
+// The original loss/win bucket model
+distributions.registerDistribution('bias', {
+  description: 'Loss rounds (probability lossBias) crash early on a clamped normal; win rounds are log-uniform up to the win cap',
+  validateParams(params) {
+    const errors = [];
+    if (typeof params.lossBias !== 'number' || params.lossBias < 0 || params.lossBias > 1) {
+      errors.push('lossBias must be between 0 and 1');
     }
-    
-    // Ensure multiplier doesn't decrease (except for tiny fluctuations)
-    if (i > 0) {
-      multiplier = Math.max(multiplier, curve[i - 1].multiplier * 0.999);
+    if (typeof params.maxWinMultiplier !== 'number' || params.maxWinMultiplier < ENGINE_CONFIG.MIN_MULTIPLIER) {
+      errors.push(`maxWinMultiplier must be at least ${ENGINE_CONFIG.MIN_MULTIPLIER}`);
     }
-    
-    // Cap at crash multiplier
-    multiplier = Math.min(multiplier, crashMultiplier);
-    
-    curve.push({
-      time: Math.round(time),
-      multiplier: parseFloat(multiplier.toFixed(4))
-    });
-  }
-  
-  // Ensure last point is exactly the crash multiplier
-  if (curve.length > 0) {
-    curve[curve.length - 1].multiplier = crashMultiplier;
+    return errors;
+  },
+  sample(prng, { lossBias, maxWinMultiplier }) {
+    // Determine if this is a loss or win round based on loss bias
+    const isLossRound = prng() < lossBias;
+    return {
+      // Loss rounds crash early; win rounds crash later, capped by maxWinMultiplier
+      crashMultiplier: isLossRound ? generateLossMultiplier(prng) : generateWinMultiplier(prng, maxWinMultiplier),
+      isLossRound
+    };
+  },
+  survival: biasSurvival
+});
+
+/**
+ * Truncate a multiplier to the curve precision
+ * Shared by the curve and the crash point so both read the same value. The
+ * tiny relative offset stops float error turning e.g. 1.15 into 1.1499.
+ * @param {number} value - Multiplier
+ * @returns {number} Multiplier truncated to ENGINE_CONFIG.CURVE.PRECISION decimals
+ */
+function truncateMultiplier(value) {
+  const scale = 10 ** ENGINE_CONFIG.CURVE.PRECISION;
+  return Math.floor(value * scale * (1 + 1e-12)) / scale;
+}
+
+/**
+ * Fit a drawn crash point to the curve precision under a round's rounding rule
+ * @param {number} multiplier - Drawn (or forced) crash point
+ * @param {string} roundingRule - ENGINE_CONFIG.CURVE.ROUNDING_RULES value
+ * @returns {number} Crash point
+ */
+function fitCrashPoint(multiplier, roundingRule) {
+  if (roundingRule === ENGINE_CONFIG.CURVE.ROUNDING_RULES.ROUND) {
+    return parseFloat(multiplier.toFixed(ENGINE_CONFIG.CURVE.PRECISION));
   }
   
-  return curve;
+  return Math.min(truncateMultiplier(multiplier), getMultiplierAtTime(ENGINE_CONFIG.MAX_GAME_DURATION));
+}
+
+/**
+ * Multiplier on the curve at a point in the round
+ * Truncated (never rounded up) so a cash-out never pays above the curve.
+ * @param {number} elapsed - Milliseconds since the round started
+ * @returns {number} Multiplier (1.0 at the start)
+ */
+function getMultiplierAtTime(elapsed) {
+  return truncateMultiplier(Math.exp(ENGINE_CONFIG.CURVE.GROWTH_RATE * Math.max(0, elapsed)));
+}
+
+/**
+ * Time at which the curve reaches a multiplier
+ * @param {number} multiplier - Multiplier (at least 1)
+ * @returns {number} Milliseconds since the round started
+ */
+function getTimeForMultiplier(multiplier) {
+  return Math.log(Math.max(ENGINE_CONFIG.MIN_MULTIPLIER, multiplier)) / ENGINE_CONFIG.CURVE.GROWTH_RATE;
 }
 
 /**
  * Calculate game duration based on crash multiplier
+ * Kept unrounded - rounding the time (either way) can leave the curve one
+ * step off the crash point at the crash.
  * @param {number} multiplier - Crash multiplier
- * @returns {number} Duration in milliseconds
+ * @returns {number} Exact crash time in milliseconds
  */
 function calculateGameDuration(multiplier) {
-  // Base duration increases with multiplier, but not linearly
-  const baseDuration = Math.log(multiplier) * 5000; // ~5 seconds per order of magnitude
-  
-  // Add some random variation (deterministic seed already applied)
-  const duration = Math.min(
-    baseDuration * (0.8 + Math.log(multiplier + 1) * 0.2),
-    ENGINE_CONFIG.MAX_GAME_DURATION
-  );
-  
-  return Math.round(duration);
+  return getTimeForMultiplier(multiplier);
+}
+
+/**
+ * Published description of the multiplier curve
+ * Enough for a client to draw the curve and check any cash-out.
+ * @returns {Object} Curve formula and parameters
+ */
+function getCurveInfo() {
+  const { GROWTH_RATE, PRECISION, ROUNDING_RULE } = ENGINE_CONFIG.CURVE;
+  return {
+    formula: `multiplier(t) = floor(exp(${GROWTH_RATE} * t) * 10^${PRECISION}) / 10^${PRECISION}, t = ms since round start`,
+    crashTimeFormula: `crashTime = ln(crashMultiplier) / ${GROWTH_RATE} ms`,
+    growthRate: GROWTH_RATE,
+    timeUnit: 'ms',
+    precision: PRECISION,
+    maxDuration: ENGINE_CONFIG.MAX_GAME_DURATION,
+    // New rounds; each round's reveal names the rule it used
+    roundingRule: ROUNDING_RULE,
+    // The live multiplier keeps climbing past the crash point until the crash
+    // is announced - only the announcement and cash-out judging end the round
+    runsUntilAnnounced: true
+  };
 }
 
 /**
@@ -257,47 +407,63 @@ function generateNormalDistribution(prng) {
   return z0;
 }
 
-/**
- * Simple hash function to convert string to number
- * Used for seed generation from roundId
- * @param {string} str - Input string
- * @returns {number} Hash value
- */
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return Math.abs(hash);
-}
-
 /**
  * Validate if a cashout is successful at a given multiplier
+ * Simulates a click at the multiplier whose request reaches the server
+ * cashoutDelay ms later, judged by the live rule (judgeCashout, no RTT grace).
  * @param {number} cashoutMultiplier - Multiplier at which user tries to cash out
  * @param {number} crashMultiplier - Actual crash multiplier for the round
  * @param {number} cashoutDelay - Simulated network/processing delay in ms
- * @param {number} gameDuration - Total game duration in ms
  * @returns {boolean} True if cashout succeeds, false if it crashes before
  */
-function validateCashout(cashoutMultiplier, crashMultiplier, cashoutDelay = 100, gameDuration = 10000) {
+function validateCashout(cashoutMultiplier, crashMultiplier, cashoutDelay = 100) {
   // Cashout multiplier must be less than crash multiplier to succeed
   if (cashoutMultiplier >= crashMultiplier) {
     return false;
   }
   
-  // Calculate time at which user would reach cashout multiplier
-  const cashoutTime = (cashoutMultiplier / crashMultiplier) * gameDuration;
+  const decision = judgeCashout({
+    receivedElapsedMs: getTimeForMultiplier(cashoutMultiplier) + cashoutDelay,
+    rttMs: null,
+    crashTimeMs: getTimeForMultiplier(crashMultiplier),
+    crashMultiplier
+  });
   
-  // Account for network/processing delay
-  const effectiveCashoutTime = cashoutTime + cashoutDelay;
+  return decision.accepted;
+}
+
+/**
+ * Judge a live cash-out request against the crash time
+ * Pure function of the recorded evidence, so a stored decision can be replayed.
+ * @param {Object} evidence - Timing evidence
+ * @param {number} evidence.receivedElapsedMs - Server receive time, ms after the round started
+ * @param {number|null} evidence.rttMs - Client round trip measured from WebSocket pings (null if unknown)
+ * @param {number} evidence.crashTimeMs - Exact crash time on the curve
+ * @param {number} evidence.crashMultiplier - Crash point
+ * @param {Object} judging - Judging settings (default ENGINE_CONFIG.CASHOUT_JUDGING)
+ * @returns {Object} Decision with the grace applied, the judged time and the multiplier
+ */
+function judgeCashout(evidence, judging = ENGINE_CONFIG.CASHOUT_JUDGING) {
+  const { receivedElapsedMs, rttMs = null, crashTimeMs, crashMultiplier } = evidence;
   
-  // Calculate crash time
-  const crashTime = gameDuration;
+  const hasRtt = typeof rttMs === 'number' && Number.isFinite(rttMs) && rttMs >= 0;
+  const graceMs = judging.GRACE_ENABLED && hasRtt
+    ? parseFloat(Math.min(rttMs * judging.RTT_SHARE, judging.MAX_GRACE_MS).toFixed(3))
+    : 0;
+  const judgedElapsedMs = parseFloat(Math.max(0, receivedElapsedMs - graceMs).toFixed(3));
+  const accepted = judgedElapsedMs < crashTimeMs;
   
-  // Cashout succeeds if it happens before crash
-  return effectiveCashoutTime < crashTime;
+  return {
+    accepted,
+    reason: accepted ? 'before_crash' : 'crash_first',
+    receivedElapsedMs,
+    rttMs: hasRtt ? rttMs : null,
+    graceMs,
+    judgedElapsedMs,
+    crashTimeMs,
+    crashMultiplier,
+    multiplier: accepted ? Math.min(getMultiplierAtTime(judgedElapsedMs), crashMultiplier) : null
+  };
 }
 
 /**
@@ -312,6 +478,58 @@ function calculateProfit(betAmount, cashoutMultiplier) {
   return parseFloat(profit.toFixed(2));
 }
 
+/**
+ * Validate a crash bet placement
+ * @param {Object} betData - Bet information
+ * @param {number} betData.amount - Bet amount
+ * @param {number} betData.autoCashoutAt - Optional multiplier to cash out at automatically
+ * @param {number} betData.slot - Optional bet slot (1..MAX_BET_SLOTS)
+ * @returns {Object} Validation result
+ */
+function validateCrashBet(betData = {}) {
+  const { amount } = betData;
+  const autoCashoutAt = betData.autoCashoutAt === undefined ? null : betData.autoCashoutAt;
+  const slot = betData.slot === undefined ? null : betData.slot;
+  const errors = [];
+  
+  // Validate amount
+  if (typeof amount !== 'number' || isNaN(amount)) {
+    errors.push('Bet amount must be a valid number');
+  } else {
+    if (amount < ENGINE_CONFIG.BETTING.MIN_BET_AMOUNT) {
+      errors.push(`Minimum bet amount is ${ENGINE_CONFIG.BETTING.MIN_BET_AMOUNT}`);
+    }
+    if (amount > ENGINE_CONFIG.BETTING.MAX_BET_AMOUNT) {
+      errors.push(`Maximum bet amount is ${ENGINE_CONFIG.BETTING.MAX_BET_AMOUNT}`);
+    }
+  }
+  
+  // Validate auto-cashout target
+  if (autoCashoutAt !== null) {
+    if (typeof autoCashoutAt !== 'number' || !Number.isFinite(autoCashoutAt) ||
+        autoCashoutAt < ENGINE_CONFIG.BETTING.MIN_AUTO_CASHOUT ||
+        autoCashoutAt > ENGINE_CONFIG.BETTING.MAX_AUTO_CASHOUT) {
+      errors.push(`Auto-cashout must be between ${ENGINE_CONFIG.BETTING.MIN_AUTO_CASHOUT}x and ${ENGINE_CONFIG.BETTING.MAX_AUTO_CASHOUT}x`);
+    }
+  }
+  
+  // Validate bet slot (null = first free slot)
+  if (slot !== null && (!Number.isInteger(slot) || slot < 1 || slot > ENGINE_CONFIG.BETTING.MAX_BET_SLOTS)) {
+    errors.push(`Bet slot must be a whole number between 1 and ${ENGINE_CONFIG.BETTING.MAX_BET_SLOTS}`);
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors,
+    validatedBet: errors.length === 0 ? {
+      amount: parseFloat(amount.toFixed(2)),
+      autoCashoutAt: autoCashoutAt !== null ? parseFloat(autoCashoutAt.toFixed(2)) : null,
+      slot,
+      placedAt: new Date().toISOString()
+    } : null
+  };
+}
+
 /**
  * Generate a batch of rounds for statistical analysis
  * @param {number} count - Number of rounds to generate
@@ -326,7 +544,8 @@ function generateRoundBatch(count, options = {}) {
     const roundOptions = {
       ...options,
       roundId,
-      customSeed: ENGINE_CONFIG.SEED + i // Ensure determinism across batch
+      customSeed: ENGINE_CONFIG.SEED + i, // Ensure determinism across batch
+      rngAlgorithm: options.rngAlgorithm || RNG_CONFIG.SIMULATION_ALGORITHM
     };
     
     const round = generateCrashMultiplier(roundOptions);
@@ -383,6 +602,11 @@ module.exports = {
   generateRoundBatch,
   analyzeRoundStatistics,
   validateCashout,
+  validateCrashBet,
   calculateProfit,
+  getMultiplierAtTime,
+  getTimeForMultiplier,
+  getCurveInfo,
+  judgeCashout,
   ENGINE_CONFIG
 };
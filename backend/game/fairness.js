@@ -0,0 +1,384 @@
+// backend/game/fairness.js - Provably Fair Seeds for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// SHA-256 server seed chains, round commitments, client seeds and verification
+
+const crypto = require('crypto');
+const { generateCrashMultiplier, ENGINE_CONFIG } = require('./engine');
+const { validateDistribution } = require('./distributions');
+const { RNG_CONFIG, createRng } = require('./rng');
+
+/**
+ * Fairness Configuration
+ */
+const FAIRNESS_CONFIG = {
+  // Rounds served by one seed chain before a new chain is generated
+  CHAIN_LENGTH: 10000,
+
+  // Bytes of randomness in the chain's final (secret) seed
+  SEED_BYTES: 32,
+
+  // Generator driven by the round seeds (rounds without a recorded algorithm
+  // predate it and used a 32-bit HMAC-derived seed with the legacy LCG)
+  RNG_ALGORITHM: RNG_CONFIG.ALGORITHMS.HMAC_SHA256,
+  LEGACY_RNG_ALGORITHM: RNG_CONFIG.ALGORITHMS.LCG31,
+
+  // Client seed used when no player contributed one
+  DEFAULT_CLIENT_SEED: 'aviiaor-demo-public-seed',
+
+  // Limits for player-supplied client seeds
+  MAX_CLIENT_SEED_LENGTH: 64,
+  MAX_CLIENT_SEEDS_PER_ROUND: 100
+};
+
+/**
+ * SHA-256 hex digest
+ * @param {string} value - Input string
+ * @returns {string} Hex digest
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted (stable across runs)
+ * @param {any} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Pick the round parameters covered by the commitment
+ * The rounding rule is only committed when it is not the legacy rule, so
+ * commitments published before rounds recorded a rule still verify.
+ * @param {Object} params - Round parameters
+ * @returns {Object} Committed parameters
+ */
+function toCommittedParams(params = {}) {
+  const committed = {
+    lossBias: params.lossBias,
+    maxWinMultiplier: params.maxWinMultiplier,
+    distribution: params.distribution || ENGINE_CONFIG.DISTRIBUTION,
+    distributionParams: params.distributionParams || {},
+    forcedCrashMultiplier: params.forcedCrashMultiplier || null,
+    settingsVersion: params.settingsVersion === undefined ? null : params.settingsVersion,
+    rngAlgorithm: params.rngAlgorithm || FAIRNESS_CONFIG.RNG_ALGORITHM
+  };
+  
+  if (params.roundingRule && params.roundingRule !== ENGINE_CONFIG.CURVE.LEGACY_ROUNDING_RULE) {
+    committed.roundingRule = params.roundingRule;
+  }
+  
+  return committed;
+}
+
+/**
+ * Commit to a round's parameters
+ * Published with the server seed hash before any bet, so the loss bias, win
+ * cap, model, forced crash point and settings version cannot change once
+ * players can see the round. Keyed by the secret server seed, so the hash
+ * gives nothing away until the seed is revealed.
+ * @param {string} serverSeed - Round server seed
+ * @param {string} roundId - Round identifier
+ * @param {Object} params - Round parameters (see toCommittedParams)
+ * @returns {string} Parameter commitment (hex)
+ */
+function commitRoundParams(serverSeed, roundId, params) {
+  return crypto
+    .createHmac('sha256', serverSeed)
+    .update(`${roundId}:${canonicalJson(toCommittedParams(params))}`)
+    .digest('hex');
+}
+
+/**
+ * Server Seed Chain Class
+ * seeds[i] = sha256(seeds[i + 1]) and rounds use seeds[0], seeds[1], ...
+ * A revealed seed therefore proves the seed of the round before it
+ * (sha256(seed) equals the previous seed) but says nothing about the next one.
+ */
+class SeedChain {
+  constructor(length = FAIRNESS_CONFIG.CHAIN_LENGTH) {
+    this.chainId = crypto.randomBytes(8).toString('hex');
+    this.createdAt = new Date().toISOString();
+    this.seeds = new Array(length);
+
+    this.seeds[length - 1] = crypto.randomBytes(FAIRNESS_CONFIG.SEED_BYTES).toString('hex');
+    for (let i = length - 2; i >= 0; i--) {
+      this.seeds[i] = sha256(this.seeds[i + 1]);
+    }
+
+    // Published up front: sha256 of the first seed the chain will reveal
+    this.commitment = sha256(this.seeds[0]);
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Check whether every seed has been handed out
+   * @returns {boolean} True if the chain is used up
+   */
+  isExhausted() {
+    return this.nextIndex >= this.seeds.length;
+  }
+
+  /**
+   * Take the next seed for a round
+   * @returns {Object} Round seed ({ serverSeed, serverSeedHash, chainId, chainIndex })
+   */
+  take() {
+    if (this.isExhausted()) {
+      throw new Error('Seed chain exhausted');
+    }
+
+    const chainIndex = this.nextIndex++;
+    const serverSeed = this.seeds[chainIndex];
+
+    return {
+      serverSeed,
+      serverSeedHash: sha256(serverSeed),
+      chainId: this.chainId,
+      chainIndex
+    };
+  }
+
+  /**
+   * Get public chain information (never includes unrevealed seeds)
+   * @returns {Object} Chain information
+   */
+  getPublicData() {
+    return {
+      chainId: this.chainId,
+      commitment: this.commitment,
+      length: this.seeds.length,
+      roundsUsed: this.nextIndex,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+// Active chain per game (a new one replaces it when exhausted). Each game
+// has its own chain so a revealed seed only ever links rounds of one game.
+const activeChains = {
+  crash: null,
+  color: null
+};
+
+/**
+ * Get a game's active seed chain, generating one if needed
+ * @param {string} game - 'crash' or 'color'
+ * @returns {SeedChain} Active chain
+ */
+function getActiveChain(game = 'crash') {
+  if (!activeChains[game] || activeChains[game].isExhausted()) {
+    activeChains[game] = new SeedChain();
+    console.log(`New ${game} seed chain ${activeChains[game].chainId} committed: ${activeChains[game].commitment}`);
+  }
+  return activeChains[game];
+}
+
+/**
+ * Take the server seed for the next crash round
+ * @returns {Object} Round seed ({ serverSeed, serverSeedHash, chainId, chainIndex })
+ */
+function nextRoundSeed() {
+  return getActiveChain('crash').take();
+}
+
+/**
+ * Take the server seed for the next color round
+ * @returns {Object} Round seed ({ serverSeed, serverSeedHash, chainId, chainIndex })
+ */
+function nextColorRoundSeed() {
+  return getActiveChain('color').take();
+}
+
+/**
+ * Validate a player-supplied client seed
+ * @param {any} clientSeed - Candidate client seed
+ * @returns {Object} Validation result
+ */
+function validateClientSeed(clientSeed) {
+  if (typeof clientSeed !== 'string' || clientSeed.trim() === '') {
+    return { isValid: false, error: 'Client seed must be a non-empty string' };
+  }
+
+  if (clientSeed.length > FAIRNESS_CONFIG.MAX_CLIENT_SEED_LENGTH) {
+    return { isValid: false, error: `Client seed cannot exceed ${FAIRNESS_CONFIG.MAX_CLIENT_SEED_LENGTH} characters` };
+  }
+
+  return { isValid: true, clientSeed: clientSeed.trim() };
+}
+
+/**
+ * Combine the client seeds contributed to a round
+ * Seeds are sorted first so the result does not depend on bet order.
+ * @param {Array} clientSeeds - Contributed client seeds
+ * @returns {string} Round client seed
+ */
+function combineClientSeeds(clientSeeds = []) {
+  if (clientSeeds.length === 0) {
+    return FAIRNESS_CONFIG.DEFAULT_CLIENT_SEED;
+  }
+
+  return sha256([...clientSeeds].sort().join(':'));
+}
+
+/**
+ * Create the generator for a round
+ * HMAC-SHA256 stream keyed by the server seed over "clientSeed:roundId".
+ * @param {string} serverSeed - Round server seed
+ * @param {string} clientSeed - Round client seed
+ * @param {string} roundId - Round identifier
+ * @returns {Function} Generator for the crash engine
+ */
+function createRoundRng(serverSeed, clientSeed, roundId) {
+  return createRng(FAIRNESS_CONFIG.RNG_ALGORITHM, {
+    key: serverSeed,
+    message: `${clientSeed}:${roundId}`
+  });
+}
+
+/**
+ * Create the generator for a color round
+ * Color rounds take no client seeds, so the default client seed stands in.
+ * @param {string} serverSeed - Round server seed
+ * @param {string} roundId - Round identifier
+ * @returns {Function} Generator for the color engine
+ */
+function createColorRoundRng(serverSeed, roundId) {
+  return createRoundRng(serverSeed, FAIRNESS_CONFIG.DEFAULT_CLIENT_SEED, roundId);
+}
+
+/**
+ * Derive the legacy engine seed for a round (lcg31 rounds only)
+ * HMAC-SHA256 keyed by the server seed over "clientSeed:roundId", first 32 bits.
+ * @param {string} serverSeed - Revealed server seed
+ * @param {string} clientSeed - Round client seed
+ * @param {string} roundId - Round identifier
+ * @returns {number} Unsigned 32-bit engine seed
+ */
+function deriveRoundSeed(serverSeed, clientSeed, roundId) {
+  const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${roundId}`).digest('hex');
+  return parseInt(digest.slice(0, 8), 16);
+}
+
+/**
+ * Recompute a crash round from its revealed inputs
+ * @param {Object} inputs - Revealed round inputs
+ * @param {string} inputs.serverSeed - Revealed server seed
+ * @param {string} inputs.clientSeed - Round client seed
+ * @param {string} inputs.roundId - Round identifier
+ * @param {number} inputs.lossBias - Loss bias the round used
+ * @param {number} inputs.maxWinMultiplier - Win cap the round used
+ * @param {string} inputs.distribution - Crash-point model the round used (default: the engine default)
+ * @param {Object} inputs.distributionParams - Model parameters the round used
+ * @param {string} inputs.rngAlgorithm - Generator the round used (default hmac-sha256)
+ * @param {string} inputs.roundingRule - Crash-point rounding rule the round used (default: the legacy
+ *                                       rule, which rounds recorded before the rule existed used)
+ * @param {number} inputs.forcedCrashMultiplier - Crash point the admin forced before the round was committed (optional)
+ * @param {number} inputs.settingsVersion - AdminSettings version the round used (optional)
+ * @param {string} inputs.serverSeedHash - Optional commitment published before the round
+ * @param {string} inputs.paramsCommitment - Optional parameter commitment published before the round
+ * @param {string} inputs.previousServerSeed - Optional seed of the round before (chain check)
+ * @returns {Object} Verification result
+ */
+function verifyCrashRound(inputs = {}) {
+  const { serverSeed, clientSeed, roundId, lossBias, maxWinMultiplier, serverSeedHash, paramsCommitment, previousServerSeed } = inputs;
+  const forcedCrashMultiplier = inputs.forcedCrashMultiplier || null;
+  const rngAlgorithm = inputs.rngAlgorithm || FAIRNESS_CONFIG.RNG_ALGORITHM;
+  const roundingRule = inputs.roundingRule || ENGINE_CONFIG.CURVE.LEGACY_ROUNDING_RULE;
+  const model = {
+    distribution: inputs.distribution || ENGINE_CONFIG.DISTRIBUTION,
+    distributionParams: inputs.distributionParams || {}
+  };
+
+  const errors = [];
+  if (typeof serverSeed !== 'string' || serverSeed === '') errors.push('serverSeed is required');
+  if (typeof clientSeed !== 'string' || clientSeed === '') errors.push('clientSeed is required');
+  if (typeof roundId !== 'string' || roundId === '') errors.push('roundId is required');
+  if (typeof lossBias !== 'number' || lossBias < 0 || lossBias > 1) errors.push('lossBias must be a number between 0 and 1');
+  if (typeof maxWinMultiplier !== 'number' || maxWinMultiplier < 1) errors.push('maxWinMultiplier must be a number of at least 1');
+  if (forcedCrashMultiplier !== null && (typeof forcedCrashMultiplier !== 'number' || forcedCrashMultiplier < ENGINE_CONFIG.MIN_MULTIPLIER)) {
+    errors.push(`forcedCrashMultiplier must be a number of at least ${ENGINE_CONFIG.MIN_MULTIPLIER}`);
+  }
+  if (rngAlgorithm !== FAIRNESS_CONFIG.RNG_ALGORITHM && rngAlgorithm !== FAIRNESS_CONFIG.LEGACY_RNG_ALGORITHM) {
+    errors.push(`rngAlgorithm must be ${FAIRNESS_CONFIG.RNG_ALGORITHM} or ${FAIRNESS_CONFIG.LEGACY_RNG_ALGORITHM}`);
+  }
+  if (!Object.values(ENGINE_CONFIG.CURVE.ROUNDING_RULES).includes(roundingRule)) {
+    errors.push(`roundingRule must be one of: ${Object.values(ENGINE_CONFIG.CURVE.ROUNDING_RULES).join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  const validation = validateDistribution(model.distribution, { ...model.distributionParams, lossBias, maxWinMultiplier });
+  if (!validation.isValid) {
+    return { isValid: false, errors: validation.errors };
+  }
+
+  const roundParams = { lossBias, maxWinMultiplier, roundId, forcedCrashMultiplier, roundingRule, ...model };
+  const result = rngAlgorithm === FAIRNESS_CONFIG.RNG_ALGORITHM
+    ? generateCrashMultiplier({ ...roundParams, prng: createRoundRng(serverSeed, clientSeed, roundId) })
+    : generateCrashMultiplier({ ...roundParams, rngAlgorithm, customSeed: deriveRoundSeed(serverSeed, clientSeed, roundId) });
+
+  return {
+    isValid: true,
+    crashMultiplier: result.crashMultiplier,
+    roundType: result.roundType,
+    distribution: model.distribution,
+    rngAlgorithm,
+    roundingRule,
+    commitmentValid: serverSeedHash ? sha256(serverSeed) === serverSeedHash : null,
+    paramsCommitmentValid: paramsCommitment
+      ? commitRoundParams(serverSeed, roundId, {
+        lossBias,
+        maxWinMultiplier,
+        ...model,
+        forcedCrashMultiplier,
+        settingsVersion: inputs.settingsVersion,
+        rngAlgorithm,
+        roundingRule
+      }) === paramsCommitment
+      : null,
+    chainLinkValid: previousServerSeed ? sha256(serverSeed) === previousServerSeed : null
+  };
+}
+
+/**
+ * Get public information about the active seed chain
+ * @returns {Object} Chain information
+ */
+function getFairnessInfo() {
+  return {
+    algorithm: 'HMAC-SHA256(serverSeed, clientSeed:roundId:n) blocks → 32-bit draws for the crash and color engines (color rounds use the default client seed)',
+    rngAlgorithm: FAIRNESS_CONFIG.RNG_ALGORITHM,
+    chain: getActiveChain('crash').getPublicData(),
+    colorChain: getActiveChain('color').getPublicData(),
+    defaultClientSeed: FAIRNESS_CONFIG.DEFAULT_CLIENT_SEED
+  };
+}
+
+// Export fairness functions and constants
+module.exports = {
+  FAIRNESS_CONFIG,
+  SeedChain,
+  sha256,
+  canonicalJson,
+  commitRoundParams,
+  nextRoundSeed,
+  nextColorRoundSeed,
+  validateClientSeed,
+  combineClientSeeds,
+  createRoundRng,
+  createColorRoundRng,
+  deriveRoundSeed,
+  verifyCrashRound,
+  getFairnessInfo
+};
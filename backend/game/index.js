@@ -2,9 +2,22 @@
 // Educational demo only - No real money transactions
 // Main controller that manages all game types and exposes game APIs
 
+const crypto = require('crypto');
 const crashEngine = require('./engine');
 const roundManager = require('./rounds');
 const colorEngine = require('./colorEngine');
+const roundHistory = require('./roundHistory');
+const betHistory = require('./betHistory');
+const colorHistory = require('./colorHistory');
+const colorRounds = require('./colorRounds');
+const fairness = require('./fairness');
+const rng = require('./rng');
+const distributions = require('./distributions');
+const autoBet = require('./autoBet');
+const cashoutAudit = require('./cashoutAudit');
+const { AdminSettings } = require('../database/models');
+const ledger = require('../users/ledger');
+const { recordBetStatistics } = require('../users/userStore');
 
 /**
  * Game Types supported by the demo platform
@@ -29,7 +42,8 @@ const GAME_CONFIG = {
   COLOR_TRADING: {
     ROUND_DURATION: 10000, // 10 seconds
     LOSS_BIAS: 0.65, // 65% platform wins
-    MAX_WIN_CAP: 10000
+    MAX_WIN_CAP: 10000,
+    AUTO_START: true
   },
   
   // Platform-wide settings
@@ -59,9 +73,10 @@ class GameController {
     };
     
     // Game history for both game types
+    // Keyed by game type, the same keys addToHistory() uses
     this.gameHistory = {
-      crash: [],
-      colorTrading: []
+      [GAME_TYPES.CRASH]: [],
+      [GAME_TYPES.COLOR_TRADING]: []
     };
     
     // Statistics tracking
@@ -84,12 +99,37 @@ class GameController {
     this.eventCallbacks = {
       onCrashRoundStart: [],
       onCrashRoundCrash: [],
+      onColorRoundCountdown: [],
+      onColorCountdown: [],
       onColorRoundStart: [],
-      onColorRoundEnd: []
+      onColorRoundReveal: [],
+      onColorRoundEnd: [],
+      onPlayerEvent: []
+    };
+    
+    // Engine options for rounds started by the color scheduler
+    this.colorRoundOptions = {};
+    
+    // Crash-point model for crash rounds (kept across crash game restarts)
+    this.crashDistribution = {
+      name: crashEngine.ENGINE_CONFIG.DISTRIBUTION,
+      params: {}
     };
     
-    // Color trading round timer
-    this.colorRoundTimer = null;
+    // Scheduler listeners are registered once, however often games restart
+    this.crashListenersAttached = false;
+    this.colorListenersAttached = false;
+    
+    // Defaults until initialize() merges options (so rounds can start early)
+    this.config = { ...GAME_CONFIG };
+    
+    // Live game parameters (replaced by AdminSettings once loaded)
+    this.settings = {
+      lossBias: GAME_CONFIG.CRASH.LOSS_BIAS,
+      maxWinMultiplier: GAME_CONFIG.CRASH.MAX_WIN_MULTIPLIER,
+      colorLossBias: GAME_CONFIG.COLOR_TRADING.LOSS_BIAS,
+      version: null
+    };
   }
   
   /**
@@ -102,16 +142,15 @@ class GameController {
     // Merge configuration
     this.config = { ...GAME_CONFIG, ...options };
     
-    // Initialize crash game round manager
+    // Initialize crash game round manager with the live settings
     if (this.config.CRASH.AUTO_START) {
-      this.startCrashGame({
-        lossBias: this.config.CRASH.LOSS_BIAS,
-        maxWinMultiplier: this.config.CRASH.MAX_WIN_MULTIPLIER
-      });
+      this.startCrashGame();
     }
     
-    // Register event listeners for crash game
-    this.setupCrashGameListeners();
+    // Start the automatic color round loop
+    if (this.config.COLOR_TRADING.AUTO_START) {
+      this.startColorTrading();
+    }
     
     console.log('Game Controller initialized');
     return this.getStatus();
@@ -129,12 +168,18 @@ class GameController {
   startCrashGame(options = {}) {
     try {
       const crashOptions = {
-        lossBias: options.lossBias || this.config.CRASH.LOSS_BIAS,
-        maxWinMultiplier: options.maxWinMultiplier || this.config.CRASH.MAX_WIN_MULTIPLIER,
+        lossBias: this.settings.lossBias,
+        maxWinMultiplier: this.settings.maxWinMultiplier,
+        distribution: this.crashDistribution.name,
+        distributionParams: this.crashDistribution.params,
+        settingsVersion: this.settings.version,
         ...options
       };
       
-      // Start round manager
+      // Listeners must be in place before the first betting window closes
+      this.setupCrashGameListeners();
+      
+      // Start round manager (restarts the loop if it is already running)
       roundManager.startRoundManager(crashOptions);
       
       // Update game status
@@ -164,6 +209,8 @@ class GameController {
    */
   stopCrashGame() {
     try {
+      // No round will open for running auto-bet programs
+      autoBet.stopAllAutoBets('Crash game stopped');
       roundManager.roundManager.stop();
       
       this.gameStatus.crash.isActive = false;
@@ -185,6 +232,330 @@ class GameController {
     }
   }
   
+  /**
+   * Load live game parameters from AdminSettings
+   * Called at startup; later changes arrive through applySettings().
+   * @returns {Promise<Object>} Operation result with the applied settings
+   */
+  async loadSettings() {
+    try {
+      const settings = await AdminSettings.getSettings();
+      const result = this.applySettings(settings);
+      
+      console.log(`Game settings loaded (v${settings.version})`);
+      return result;
+    } catch (error) {
+      console.error('Failed to load game settings, keeping defaults:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Apply an AdminSettings document to the running games
+   * Crash parameters take effect from the next round that has not started,
+   * color parameters from the next color round - no restart needed.
+   * @param {Object} settings - AdminSettings document or plain object
+   * @returns {Object} Operation result
+   */
+  applySettings(settings) {
+    this.settings = {
+      lossBias: settings.lossBias,
+      maxWinMultiplier: settings.maxWinMultiplier,
+      colorLossBias: settings.colorLossBias,
+      version: settings.version
+    };
+    
+    const crashResult = this.updateCrashSettings({
+      lossBias: this.settings.lossBias,
+      maxWinMultiplier: this.settings.maxWinMultiplier,
+      settingsVersion: this.settings.version
+    });
+    
+    return {
+      success: true,
+      settings: { ...this.settings },
+      committedRounds: crashResult.success ? crashResult.committedRounds : []
+    };
+  }
+  
+  /**
+   * Get the live game parameters
+   * @returns {Object} Current settings and their AdminSettings version
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+  
+  /**
+   * Update crash engine settings for rounds queued from now on
+   * Rounds already committed keep their published parameters.
+   * @param {Object} settings - Engine settings (lossBias, maxWinMultiplier, settingsVersion)
+   * @returns {Object} Operation result
+   */
+  updateCrashSettings(settings = {}) {
+    try {
+      const roundOptions = {};
+      if (settings.lossBias !== undefined) roundOptions.lossBias = settings.lossBias;
+      if (settings.maxWinMultiplier !== undefined) roundOptions.maxWinMultiplier = settings.maxWinMultiplier;
+      if (settings.settingsVersion !== undefined) roundOptions.settingsVersion = settings.settingsVersion;
+      
+      const committedRounds = roundManager.roundManager.updateRoundOptions(roundOptions);
+      
+      this.gameStatus.crash.lastUpdated = new Date().toISOString();
+      
+      console.log('Crash settings updated:', roundOptions);
+      
+      return {
+        success: true,
+        gameType: GAME_TYPES.CRASH,
+        settings: roundOptions,
+        committedRounds
+      };
+    } catch (error) {
+      console.error('Failed to update crash settings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Select the crash-point model for crash rounds that have not started yet
+   * @param {string} name - Model name (see distributions.js)
+   * @param {Object} params - Model parameters
+   * @returns {Object} Operation result with the model's theoretical RTP
+   */
+  setCrashDistribution(name, params = {}) {
+    try {
+      const result = roundManager.roundManager.setDistribution(name, params);
+      
+      if (result.success) {
+        this.crashDistribution = { name, params };
+        this.gameStatus.crash.lastUpdated = new Date().toISOString();
+        console.log(`Crash distribution set to ${name}`);
+      }
+      
+      return { gameType: GAME_TYPES.CRASH, ...result };
+    } catch (error) {
+      console.error('Failed to set crash distribution:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * List the crash-point models with their theoretical RTP at the live settings
+   * @returns {Object} Active model and available models
+   */
+  getCrashDistributions() {
+    try {
+      const roundParams = {
+        lossBias: this.settings.lossBias,
+        maxWinMultiplier: this.settings.maxWinMultiplier
+      };
+      
+      return {
+        success: true,
+        gameType: GAME_TYPES.CRASH,
+        active: {
+          ...this.crashDistribution,
+          theoreticalRtp: distributions.getTheoreticalRtp(this.crashDistribution.name, {
+            ...this.crashDistribution.params,
+            ...roundParams
+          })
+        },
+        distributions: distributions.listDistributions(roundParams)
+      };
+    } catch (error) {
+      console.error('Error listing crash distributions:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Force a crash for a live demo
+   * @param {number|null} multiplier - Crash point for the next round, or null to crash the running round now
+   * @returns {Object} Operation result
+   */
+  forceCrash(multiplier = null) {
+    try {
+      const result = roundManager.roundManager.forceCrash(multiplier);
+      
+      if (result.success) {
+        console.log(result.immediate
+          ? `Crash forced on ${result.roundId} (immediate)`
+          : `Crash forced at ${result.crashMultiplier}x for the next queued round`);
+      }
+      
+      return { gameType: GAME_TYPES.CRASH, ...result };
+    } catch (error) {
+      console.error('Failed to force crash:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Pause the crash round loop
+   * @returns {Object} Operation result
+   */
+  pauseCrashGame() {
+    const paused = roundManager.roundManager.pause();
+    
+    return paused ? {
+      success: true,
+      gameType: GAME_TYPES.CRASH,
+      status: 'paused'
+    } : {
+      success: false,
+      error: 'Crash game is already paused'
+    };
+  }
+  
+  /**
+   * Resume the crash round loop
+   * @returns {Object} Operation result
+   */
+  resumeCrashGame() {
+    const resumed = roundManager.roundManager.resume();
+    
+    return resumed ? {
+      success: true,
+      gameType: GAME_TYPES.CRASH,
+      status: 'active'
+    } : {
+      success: false,
+      error: 'Crash game is not paused'
+    };
+  }
+  
+  /**
+   * Reveal a completed crash round's outcome (for education)
+   * @param {string} roundId - Round identifier
+   * @returns {Promise<Object>} Revealed round data
+   */
+  async revealCrashRound(roundId) {
+    // Recent rounds are in memory; older ones (and rounds from before a restart) in the database
+    const round = roundManager.roundManager.getCompletedRound(roundId) ||
+                  await roundHistory.findCompletedRound(roundId);
+    
+    if (!round) {
+      return {
+        success: false,
+        error: 'Completed round not found'
+      };
+    }
+    
+    return {
+      success: true,
+      gameType: GAME_TYPES.CRASH,
+      round
+    };
+  }
+  
+  /**
+   * Verify a crash round's outcome from its revealed seeds
+   * With only a roundId, the stored inputs of that completed round are used
+   * and the result is compared with the recorded crash point. Otherwise the
+   * caller supplies every input (serverSeed, clientSeed, roundId, lossBias,
+   * maxWinMultiplier and optionally forcedCrashMultiplier, settingsVersion, roundingRule,
+   * serverSeedHash / paramsCommitment / previousServerSeed).
+   * @param {Object} input - Round identifier or explicit verification inputs
+   * @returns {Promise<Object>} Verification result
+   */
+  async verifyCrashRound(input = {}) {
+    try {
+      if (input.serverSeed === undefined) {
+        if (!input.roundId) {
+          return {
+            success: false,
+            error: 'roundId or serverSeed is required'
+          };
+        }
+        
+        const round = roundManager.roundManager.getCompletedRound(input.roundId) ||
+                      await roundHistory.findCompletedRound(input.roundId);
+        
+        if (!round) {
+          return {
+            success: false,
+            notFound: true,
+            error: 'Completed round not found'
+          };
+        }
+        
+        if (!round.fairness || !round.fairness.serverSeed) {
+          return {
+            success: false,
+            error: 'Round has no provably fair seeds'
+          };
+        }
+        
+        const result = fairness.verifyCrashRound({
+          serverSeed: round.fairness.serverSeed,
+          clientSeed: round.fairness.clientSeed,
+          roundId: round.roundId,
+          lossBias: round.fairness.lossBias,
+          maxWinMultiplier: round.fairness.maxWinMultiplier,
+          distribution: round.fairness.distribution,
+          distributionParams: round.fairness.distributionParams,
+          rngAlgorithm: round.fairness.rngAlgorithm,
+          roundingRule: round.fairness.roundingRule,
+          forcedCrashMultiplier: round.fairness.forcedCrashMultiplier,
+          settingsVersion: round.fairness.settingsVersion,
+          serverSeedHash: round.fairness.serverSeedHash,
+          paramsCommitment: round.fairness.paramsCommitment
+        });
+        
+        return {
+          success: true,
+          verification: {
+            ...result,
+            roundId: round.roundId,
+            inputs: round.fairness,
+            recordedCrashMultiplier: round.crashMultiplier,
+            matchesRecord: result.crashMultiplier === round.crashMultiplier,
+            // Immediate forced crashes deliberately override the committed result
+            isForced: round.roundType === 'forced'
+          }
+        };
+      }
+      
+      const result = fairness.verifyCrashRound(input);
+      if (!result.isValid) {
+        return {
+          success: false,
+          errors: result.errors
+        };
+      }
+      
+      return {
+        success: true,
+        verification: {
+          ...result,
+          roundId: input.roundId
+        }
+      };
+    } catch (error) {
+      console.error('Error verifying crash round:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
   /**
    * Get current crash round data
    * @returns {Object} Current round information
@@ -220,19 +591,60 @@ class GameController {
   }
   
   /**
-   * Get crash round history
+   * Get internal crash round data including undisclosed outcomes (admin only)
+   * @returns {Object} Admin round information
+   */
+  getCrashRoundAdminData() {
+    try {
+      const rounds = roundManager.getAdminRoundData();
+      
+      return {
+        success: true,
+        gameType: GAME_TYPES.CRASH,
+        isActive: !!rounds.current,
+        ...rounds
+      };
+    } catch (error) {
+      console.error('Error getting crash round admin data:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Get crash round history, newest first
+   * Pages through the database when connected; otherwise falls back to the
+   * rounds still held in memory (no further pages).
    * @param {number} limit - Number of rounds to retrieve
-   * @returns {Object} Round history
+   * @param {string} before - Optional cursor (nextCursor from the previous page)
+   * @returns {Promise<Object>} Round history and the next page cursor
    */
-  getCrashRoundHistory(limit = 10) {
+  async getCrashRoundHistory(limit = 10, before = null) {
     try {
-      const history = roundManager.getRoundHistory(limit);
+      if (!roundHistory.isPersistenceAvailable()) {
+        const history = roundManager.getRoundHistory(limit);
+        
+        return {
+          success: true,
+          gameType: GAME_TYPES.CRASH,
+          history,
+          totalRounds: history.length,
+          nextCursor: null,
+          source: 'memory'
+        };
+      }
+      
+      const page = await roundHistory.getCompletedRounds({ limit, before });
       
       return {
         success: true,
         gameType: GAME_TYPES.CRASH,
-        history,
-        totalRounds: history.length
+        history: page.rounds,
+        totalRounds: page.rounds.length,
+        nextCursor: page.nextCursor,
+        source: 'database'
       };
     } catch (error) {
       console.error('Error getting crash round history:', error);
@@ -279,13 +691,12 @@ class GameController {
    */
   validateCrashCashout(cashoutData) {
     try {
-      const { cashoutMultiplier, crashMultiplier, cashoutDelay = 100, gameDuration = 10000 } = cashoutData;
+      const { cashoutMultiplier, crashMultiplier, cashoutDelay = 100 } = cashoutData;
       
       const isValid = crashEngine.validateCashout(
         cashoutMultiplier,
         crashMultiplier,
-        cashoutDelay,
-        gameDuration
+        cashoutDelay
       );
       
       const profit = isValid ? 
@@ -308,9 +719,313 @@ class GameController {
   }
   
   /**
-   * Setup event listeners for crash game
+   * Place a bet on the current crash round (stake is debited from the user's balance)
+   * @param {Object} betData - Bet information (userId, amount, optional autoCashoutAt and slot)
+   * @returns {Promise<Object>} Bet result with the new balance
+   */
+  async placeCrashBet(betData = {}) {
+    try {
+      // Reserve the seat first so a closed round never debits a stake. The
+      // seat cannot be cashed out until its stake is posted and is dropped if
+      // the round starts before then.
+      const result = roundManager.placeBet(betData);
+      
+      if (!result.success) {
+        return result;
+      }
+      
+      const stakeReference = { game: GAME_TYPES.CRASH, roundId: result.roundId, betId: result.bet.betId };
+      const stake = await ledger.postEntry({
+        userId: result.bet.userId,
+        type: ledger.LEDGER_CONFIG.ENTRY_TYPES.BET_STAKE,
+        amount: -result.bet.amount,
+        idempotencyKey: `crash:stake:${result.bet.betId}`,
+        reference: stakeReference
+      });
+      
+      // A duplicate means this request did not post the stake
+      if (!stake.success || stake.duplicate) {
+        if (!roundManager.cancelBet(result.roundId, result.bet.betId)) {
+          console.warn(`Crash bet ${result.bet.betId} was already dropped when its stake failed`);
+        }
+        return {
+          success: false,
+          error: stake.success ? 'Bet stake was already used - please place the bet again' : stake.error
+        };
+      }
+      
+      const bet = roundManager.confirmStake(result.roundId, result.bet.betId);
+      if (!bet) {
+        // The round started (or was cancelled) while the stake was being posted
+        await ledger.postEntry({
+          userId: result.bet.userId,
+          type: ledger.LEDGER_CONFIG.ENTRY_TYPES.PAYOUT,
+          amount: result.bet.amount,
+          idempotencyKey: `crash:refund:${result.bet.betId}`,
+          reference: stakeReference,
+          description: 'Stake returned - round started before the bet was accepted'
+        });
+        return {
+          success: false,
+          error: 'Round started before the bet was accepted'
+        };
+      }
+      
+      await this.persistBet(GAME_TYPES.CRASH, bet);
+      
+      this.gameStatus.crash.lastUpdated = new Date().toISOString();
+      
+      console.log(`Crash bet placed: ${bet.betId}, $${bet.amount} on ${result.roundId}`);
+      
+      this.emitPlayerEvent(bet.userId, 'bet_accepted', {
+        gameType: GAME_TYPES.CRASH,
+        roundId: result.roundId,
+        bet,
+        balance: stake.balance
+      });
+      
+      return {
+        success: true,
+        gameType: GAME_TYPES.CRASH,
+        roundId: result.roundId,
+        bet,
+        balance: stake.balance
+      };
+    } catch (error) {
+      console.error('Error placing crash bet:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Cash out a bet on the current crash round (payout is credited to the user's balance)
+   * Every decision, accepted or not, is written to the cash-out audit log.
+   * @param {Object} cashoutData - Cashout information (betId or slot, userId, optional fraction for a partial cash-out,
+   *   receivedAt and rttMs stamped by the transport, transport 'ws' or 'http')
+   * @returns {Promise<Object>} Cashout result with the new balance and the judgement
+   */
+  async cashOutCrashBet(cashoutData = {}) {
+    try {
+      const slot = cashoutData.slot === undefined ? null : cashoutData.slot;
+      const fraction = cashoutData.fraction === undefined ? 1 : cashoutData.fraction;
+      const receivedAt = cashoutData.receivedAt || Date.now();
+      const rttMs = cashoutData.rttMs === undefined ? null : cashoutData.rttMs;
+      const result = roundManager.cashOut(cashoutData.betId, cashoutData.userId, { slot, fraction, receivedAt, rttMs });
+      
+      const audit = cashoutAudit.recordCashoutDecision({
+        betId: cashoutData.betId,
+        userId: cashoutData.userId,
+        transport: cashoutData.transport || 'http',
+        fraction,
+        receivedAt,
+        rttMs,
+        result
+      });
+      
+      if (!result.success) {
+        this.emitPlayerEvent(cashoutData.userId, 'cashout_result', {
+          gameType: GAME_TYPES.CRASH,
+          success: false,
+          betId: cashoutData.betId || null,
+          slot,
+          error: result.error,
+          judgement: result.judgement || null
+        });
+        return { ...result, auditId: audit.auditId };
+      }
+      
+      const balance = await this.creditCrashWin(result.roundId, result.bet);
+      
+      return {
+        success: true,
+        gameType: GAME_TYPES.CRASH,
+        roundId: result.roundId,
+        bet: result.bet,
+        settlement: result.settlement,
+        isPartial: result.isPartial,
+        judgement: result.judgement,
+        auditId: audit.auditId,
+        balance
+      };
+    } catch (error) {
+      console.error('Error cashing out crash bet:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Credit, persist and announce a crash bet's latest cash-out (manual or automatic, full or partial)
+   * @param {string} roundId - Round identifier
+   * @param {Object} bet - Bet whose last settlement was just made
+   * @returns {Promise<number|null>} New balance, or null if the credit failed
+   */
+  async creditCrashWin(roundId, bet) {
+    const index = bet.settlements.length - 1;
+    const settlement = bet.settlements[index];
+    const isPartial = bet.result === 'pending';
+    
+    // The exit is decided; the per-settlement idempotency key makes a retried credit safe
+    const payout = await ledger.postEntry({
+      userId: bet.userId,
+      type: ledger.LEDGER_CONFIG.ENTRY_TYPES.PAYOUT,
+      amount: settlement.payout,
+      idempotencyKey: `crash:payout:${bet.betId}:${index}`,
+      reference: { game: GAME_TYPES.CRASH, roundId, betId: bet.betId }
+    });
+    
+    if (!payout.success) {
+      console.error(`Crash payout for ${bet.betId} not credited: ${payout.error}`);
+    }
+    
+    if (isPartial) {
+      await this.persistPartialCashout(bet);
+    } else {
+      await this.persistSettlement(GAME_TYPES.CRASH, bet, {
+        cashoutMultiplier: bet.cashoutMultiplier,
+        cashoutType: bet.cashoutType,
+        cashedOutAt: bet.cashedOutAt,
+        remainingAmount: 0,
+        settlements: bet.settlements
+      });
+    }
+    
+    const balance = payout.success ? payout.balance : null;
+    this.emitPlayerEvent(bet.userId, 'cashout_result', {
+      gameType: GAME_TYPES.CRASH,
+      success: true,
+      roundId,
+      bet,
+      settlement,
+      isPartial,
+      balance
+    });
+    
+    if (!isPartial) {
+      this.recordAutoBetSettlement(bet);
+    }
+    this.gameStatus.crash.lastUpdated = new Date().toISOString();
+    
+    console.log(isPartial
+      ? `Crash bet partly cashed out: ${bet.betId} ${settlement.amount} at ${settlement.multiplier}x (${bet.remainingAmount} riding)`
+      : `Crash bet cashed out (${bet.cashoutType}): ${bet.betId} at ${bet.cashoutMultiplier}x`);
+    
+    return balance;
+  }
+  
+  // ============================================
+  // CRASH AUTO-BET
+  // ============================================
+  
+  /**
+   * Start an auto-bet program for a player
+   * Its first bet goes on the next round that opens for betting.
+   * @param {string} userId - Player
+   * @param {Object} config - Program configuration (see game/autoBet.js)
+   * @returns {Object} Operation result with the program
+   */
+  startAutoBet(userId, config = {}) {
+    try {
+      const result = autoBet.startAutoBet(userId, config);
+      if (result.success) {
+        this.emitPlayerEvent(userId, 'auto_bet_updated', { gameType: GAME_TYPES.CRASH, program: result.program });
+      }
+      return { gameType: GAME_TYPES.CRASH, ...result };
+    } catch (error) {
+      console.error('Error starting auto-bet:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Stop a player's auto-bet program
+   * @param {string} userId - Player
+   * @returns {Object} Operation result with the program
+   */
+  stopAutoBet(userId) {
+    try {
+      const result = autoBet.stopAutoBet(userId);
+      if (result.success) {
+        this.emitPlayerEvent(userId, 'auto_bet_updated', { gameType: GAME_TYPES.CRASH, program: result.program });
+      }
+      return { gameType: GAME_TYPES.CRASH, ...result };
+    } catch (error) {
+      console.error('Error stopping auto-bet:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Get a player's latest auto-bet program
+   * @param {string} userId - Player
+   * @returns {Object} Program (null if the player never started one)
+   */
+  getAutoBet(userId) {
+    return {
+      success: true,
+      gameType: GAME_TYPES.CRASH,
+      program: autoBet.getAutoBet(userId)
+    };
+  }
+  
+  /**
+   * Place the bets running auto-bet programs want on the round that just opened
+   * @returns {Promise<number>} Number of bets placed
+   */
+  async placeAutoBets() {
+    let placed = 0;
+    
+    for (const request of autoBet.getAutoBetsToPlace()) {
+      const result = await this.placeCrashBet({
+        userId: request.userId,
+        amount: request.amount,
+        autoCashoutAt: request.autoCashoutAt,
+        slot: request.slot
+      });
+      
+      const program = autoBet.recordAutoBetPlaced(request.userId, result);
+      if (program) {
+        this.emitPlayerEvent(request.userId, 'auto_bet_updated', { gameType: GAME_TYPES.CRASH, program });
+      }
+      if (result.success) {
+        placed++;
+      }
+    }
+    
+    return placed;
+  }
+  
+  /**
+   * Report a settled crash bet to the auto-bet program that placed it
+   * @param {Object} bet - Settled bet
+   */
+  recordAutoBetSettlement(bet) {
+    const program = autoBet.recordAutoBetSettled(bet);
+    if (program) {
+      this.emitPlayerEvent(bet.userId, 'auto_bet_updated', { gameType: GAME_TYPES.CRASH, program });
+    }
+  }
+  
+  /**
+   * Setup event listeners for crash game (once)
    */
   setupCrashGameListeners() {
+    if (this.crashListenersAttached) {
+      return;
+    }
+    this.crashListenersAttached = true;
+    
     // Round start event
     roundManager.onRoundStart((roundData) => {
       this.gameStatus.crash.currentRound = roundData;
@@ -342,6 +1057,20 @@ class GameController {
         timestamp: new Date().toISOString()
       });
       
+      // Only bets the round itself marked crashed - cashed-out bets keep their win
+      const crashedBets = roundManager.getRoundBets(roundData.roundId)
+        .filter(bet => bet.result === 'crashed');
+      // Bets partly cashed out are stored one by one with their full settlement
+      // list, so a partial write still in flight cannot be lost
+      const untouchedIds = crashedBets.filter(bet => bet.settlements.length === 0).map(bet => bet.betId);
+      betHistory.settleCrashedBets(untouchedIds).catch((error) => {
+        console.error(`Failed to persist crashed bets for ${roundData.roundId}:`, error.message);
+      });
+      crashedBets.filter(bet => bet.settlements.length > 0).forEach((bet) => {
+        this.persistSettlement(GAME_TYPES.CRASH, bet, { remainingAmount: 0, settlements: bet.settlements });
+      });
+      crashedBets.forEach(bet => this.recordAutoBetSettlement(bet));
+      
       // Trigger callbacks
       this.triggerEvent('onCrashRoundCrash', roundData);
     });
@@ -355,6 +1084,82 @@ class GameController {
         this.statistics.crash.totalPayout += roundData.statistics.totalPayout || 0;
       }
     });
+    
+    // Auto-cashout targets reached on the curve - credit them like manual cash-outs
+    roundManager.onAutoCashout(({ roundId, bets }) => {
+      bets.forEach((bet) => {
+        this.creditCrashWin(roundId, bet).catch((error) => {
+          console.error(`Failed to credit auto-cashout ${bet.betId}:`, error);
+        });
+      });
+    });
+    
+    // New betting window - running auto-bet programs place their next bets
+    roundManager.onBettingOpen(() => {
+      this.placeAutoBets().catch((error) => {
+        console.error('Failed to place auto-bets:', error);
+      });
+    });
+    
+    // Round cancelled by stop() - return the stakes of undecided bets
+    roundManager.onRoundCancelled((roundData) => {
+      this.refundCrashBets(roundData).catch((error) => {
+        console.error(`Failed to refund bets for ${roundData.roundId}:`, error);
+      });
+    });
+  }
+  
+  /**
+   * Refund the pending bets of a cancelled crash round
+   * @param {Object} roundData - Cancelled round ({ roundId, bets })
+   * @returns {Promise<number>} Number of bets refunded
+   */
+  async refundCrashBets(roundData) {
+    let refunded = 0;
+    
+    for (const bet of roundData.bets) {
+      // A stake that was never posted is not ours to return (placeCrashBet
+      // refunds a stake that lands after the round is gone)
+      if (!bet.stakePosted) {
+        continue;
+      }
+      
+      // Only the stake still riding comes back - partial cash-outs were already paid
+      const refund = await ledger.postEntry({
+        userId: bet.userId,
+        type: ledger.LEDGER_CONFIG.ENTRY_TYPES.PAYOUT,
+        amount: bet.remainingAmount,
+        idempotencyKey: `crash:refund:${bet.betId}`,
+        reference: { game: GAME_TYPES.CRASH, roundId: roundData.roundId, betId: bet.betId },
+        description: 'Stake returned - round cancelled'
+      });
+      
+      if (!refund.success) {
+        console.error(`Crash refund for ${bet.betId} not credited: ${refund.error}`);
+        continue;
+      }
+      
+      const totalReturned = parseFloat((bet.payout + bet.remainingAmount).toFixed(2));
+      const refundedBet = {
+        ...bet,
+        result: 'refunded',
+        remainingAmount: 0,
+        payout: totalReturned,
+        profit: parseFloat((totalReturned - bet.amount).toFixed(2))
+      };
+      await this.persistSettlement(GAME_TYPES.CRASH, refundedBet, { remainingAmount: 0 });
+      
+      this.emitPlayerEvent(bet.userId, 'bet_settled', {
+        gameType: GAME_TYPES.CRASH,
+        roundId: roundData.roundId,
+        bet: refundedBet,
+        balance: refund.balance
+      });
+      this.recordAutoBetSettlement(refundedBet);
+      refunded++;
+    }
+    
+    return refunded;
   }
   
   // ============================================
@@ -362,158 +1167,412 @@ class GameController {
   // ============================================
   
   /**
-   * Start a color trading round
-   * @param {Object} options - Round options
-   * @returns {Object} Round information
+   * Start the color trading round loop
+   * Rounds then follow each other automatically (countdown, betting, reveal,
+   * settlement) until the loop is paused.
+   * @param {Object} options - Round options (roundDuration plus engine options such as lossBias)
+   * @returns {Object} Color game status
    */
-  startColorTradingRound(options = {}) {
+  startColorTrading(options = {}) {
     try {
-      // Clear any existing timer
-      if (this.colorRoundTimer) {
-        clearTimeout(this.colorRoundTimer);
-      }
-      
-      // Generate round ID
-      const roundId = `color_round_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-      
-      // Generate winning color (server decides before round starts)
-      const roundOptions = {
-        roundId,
-        lossBias: options.lossBias || this.config.COLOR_TRADING.LOSS_BIAS,
-        ...options
-      };
+      const { roundDuration, ...roundOptions } = options;
       
-      const colorResult = colorEngine.generateWinningColor(roundOptions);
+      // Listeners must be in place before the first countdown fires
+      this.setupColorGameListeners();
       
-      // Generate color timeline for the round
-      const roundDuration = options.roundDuration || this.config.COLOR_TRADING.ROUND_DURATION;
-      const prng = colorEngine.createColorPRNG(colorResult.seed);
-      const timeline = colorEngine.generateColorTimeline(
-        colorResult.winningColor,
-        roundDuration,
-        prng
-      );
+      this.colorRoundOptions = roundOptions;
+      const started = colorRounds.startColorScheduler({
+        ROUND_DURATION: roundDuration || this.config.COLOR_TRADING.ROUND_DURATION
+      });
       
-      // Create round object
-      const colorRound = {
-        roundId,
-        state: colorEngine.COLOR_GAME_STATES.RUNNING,
-        winningColor: colorResult.winningColor,
-        colorName: colorResult.colorName,
-        hexColor: colorResult.hexColor,
-        isWinRound: colorResult.isWinRound,
-        isPlatformWin: colorResult.isPlatformWin,
-        roundDuration,
-        startedAt: new Date().toISOString(),
-        endsAt: new Date(Date.now() + roundDuration).toISOString(),
-        timeline,
-        bets: [],
-        statistics: {
-          totalBets: 0,
-          totalWagered: 0,
-          totalPayout: 0,
-          redBets: 0,
-          greenBets: 0,
-          violetBets: 0
-        }
-      };
+      if (!started) {
+        return {
+          success: false,
+          error: 'Color trading is already running'
+        };
+      }
       
-      // Update game status
       this.gameStatus.colorTrading.isActive = true;
-      this.gameStatus.colorTrading.currentRound = colorRound;
       this.gameStatus.colorTrading.lastUpdated = new Date().toISOString();
       
-      // Schedule round end
-      this.colorRoundTimer = setTimeout(() => {
-        this.endColorTradingRound(roundId);
-      }, roundDuration);
+      return {
+        success: true,
+        gameType: GAME_TYPES.COLOR_TRADING,
+        status: 'active',
+        scheduler: colorRounds.getColorSchedulerStatus()
+      };
+    } catch (error) {
+      console.error('Failed to start color trading:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Pause the color round loop (the current round finishes first)
+   * @returns {Object} Operation result
+   */
+  pauseColorTrading() {
+    const paused = colorRounds.pauseColorScheduler();
+    
+    return paused ? {
+      success: true,
+      gameType: GAME_TYPES.COLOR_TRADING,
+      status: 'paused'
+    } : {
+      success: false,
+      error: 'Color trading is not running or already paused'
+    };
+  }
+  
+  /**
+   * Resume the color round loop
+   * @returns {Object} Operation result
+   */
+  resumeColorTrading() {
+    const resumed = colorRounds.resumeColorScheduler();
+    
+    return resumed ? {
+      success: true,
+      gameType: GAME_TYPES.COLOR_TRADING,
+      status: 'active'
+    } : {
+      success: false,
+      error: 'Color trading is not paused'
+    };
+  }
+  
+  /**
+   * Setup event listeners for the color round scheduler (once)
+   */
+  setupColorGameListeners() {
+    if (this.colorListenersAttached) {
+      return;
+    }
+    this.colorListenersAttached = true;
+    
+    colorRounds.onColorCountdown((phase) => this.createColorRound(phase));
+    colorRounds.onColorRunning(() => this.openColorRound());
+    colorRounds.onColorReveal(() => this.revealColorRound());
+    colorRounds.onColorCompleted(() => this.completeColorRound());
+    
+    colorRounds.onColorCountdownTick((tick) => {
+      const round = this.gameStatus.colorTrading.currentRound;
+      if (round) {
+        this.triggerEvent('onColorCountdown', {
+          roundId: round.roundId,
+          timeRemaining: tick.timeRemaining,
+          secondsRemaining: tick.secondsRemaining
+        });
+      }
+    });
+  }
+  
+  /**
+   * COUNTDOWN - create the next color round (the server decides the result now)
+   * The result is drawn from a secret server seed, committed by its hash here
+   * and revealed with the winning color, so nothing public predicts it.
+   * @param {Object} phase - Countdown details from the scheduler ({ roundDuration, startsAt })
+   * @returns {Object} Public round data
+   */
+  createColorRound(phase) {
+    // Generate round ID
+    const roundId = `color_round_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    
+    // Generate winning color (server decides before round starts)
+    const roundSeed = fairness.nextColorRoundSeed();
+    const roundOptions = {
+      roundId,
+      lossBias: this.settings.colorLossBias,
+      ...this.colorRoundOptions,
+      prng: fairness.createColorRoundRng(roundSeed.serverSeed, roundId)
+    };
+    
+    const colorResult = colorEngine.generateWinningColor(roundOptions);
+    
+    // Generate color timeline for the round (a fresh stream from the same seed)
+    const roundDuration = phase.roundDuration;
+    const timeline = colorEngine.generateColorTimeline(
+      colorResult.winningColor,
+      roundDuration,
+      fairness.createColorRoundRng(roundSeed.serverSeed, roundId)
+    );
+    
+    // Create round object (times are planned until betting opens)
+    const startsAt = new Date(phase.startsAt);
+    const colorRound = {
+      roundId,
+      state: colorEngine.COLOR_GAME_STATES.COUNTDOWN,
+      winningColor: colorResult.winningColor,
+      colorName: colorResult.colorName,
+      hexColor: colorResult.hexColor,
+      isWinRound: colorResult.isWinRound,
+      isPlatformWin: colorResult.isPlatformWin,
+      seed: colorResult.seed,
+      lossBias: colorResult.metadata.lossBias,
+      fairness: {
+        ...roundSeed,
+        rngAlgorithm: colorResult.rngAlgorithm
+      },
+      roundDuration,
+      settingsVersion: this.settings.version,
+      startedAt: startsAt.toISOString(),
+      endsAt: new Date(startsAt.getTime() + roundDuration).toISOString(),
+      timeline,
+      bets: [],
+      statistics: {
+        totalBets: 0,
+        totalWagered: 0,
+        totalPayout: 0,
+        redBets: 0,
+        greenBets: 0,
+        violetBets: 0
+      }
+    };
+    
+    // Update game status
+    this.gameStatus.colorTrading.currentRound = colorRound;
+    this.gameStatus.colorTrading.lastUpdated = new Date().toISOString();
+    
+    const publicRound = this.getColorRoundPublicData(colorRound);
+    this.triggerEvent('onColorRoundCountdown', publicRound);
+    
+    console.log(`Color trading round queued: ${roundId}, starts at ${colorRound.startedAt}`);
+    return publicRound;
+  }
+  
+  /**
+   * RUNNING - open betting on the current color round
+   * @returns {Object|null} Public round data
+   */
+  openColorRound() {
+    const colorRound = this.gameStatus.colorTrading.currentRound;
+    if (!colorRound) {
+      return null;
+    }
+    
+    colorRound.state = colorEngine.COLOR_GAME_STATES.RUNNING;
+    colorRound.startedAt = new Date().toISOString();
+    colorRound.endsAt = new Date(Date.now() + colorRound.roundDuration).toISOString();
+    this.gameStatus.colorTrading.lastUpdated = new Date().toISOString();
+    
+    // Only the public projection leaves the controller while betting is open
+    const publicRound = this.getColorRoundPublicData(colorRound);
+    
+    // Add to history
+    this.addToHistory(GAME_TYPES.COLOR_TRADING, {
+      type: 'round_start',
+      ...this.getColorRoundSummary(colorRound),
+      timestamp: new Date().toISOString()
+    });
+    
+    // Update statistics
+    this.statistics.colorTrading.totalRounds++;
+    
+    // Trigger event
+    this.triggerEvent('onColorRoundStart', publicRound);
+    
+    console.log(`Color trading round started: ${colorRound.roundId}, result committed: ${colorRound.fairness.serverSeedHash}`);
+    return publicRound;
+  }
+  
+  /**
+   * REVEAL - close betting, then show the winning color and calculate payouts
+   * @returns {Object|null} Public round data
+   */
+  revealColorRound() {
+    const colorRound = this.gameStatus.colorTrading.currentRound;
+    if (!colorRound) {
+      return null;
+    }
+    
+    // Leaving RUNNING closes betting before anything is revealed
+    colorRound.state = colorEngine.COLOR_GAME_STATES.REVEAL;
+    
+    // Seats whose stake is still being posted do not play (placeColorBet
+    // refunds the stake if it lands after all)
+    colorRound.bets = colorRound.bets.filter(bet => bet.stakePosted);
+    colorRound.endedAt = new Date().toISOString();
+    this.gameStatus.colorTrading.lastUpdated = new Date().toISOString();
+    
+    this.processColorRoundPayouts(colorRound);
+    
+    const revealedRound = this.getColorRoundPublicData(colorRound);
+    this.triggerEvent('onColorRoundReveal', revealedRound);
+    
+    console.log(`Color trading round revealed: ${colorRound.roundId}, Winning color: ${colorRound.colorName}`);
+    return revealedRound;
+  }
+  
+  /**
+   * COMPLETED - settle the current color round and clear it
+   * @returns {Object|null} Public round data
+   */
+  completeColorRound() {
+    const currentRound = this.gameStatus.colorTrading.currentRound;
+    if (!currentRound) {
+      return null;
+    }
+    
+    currentRound.state = colorEngine.COLOR_GAME_STATES.COMPLETED;
+    currentRound.completedAt = new Date().toISOString();
+    
+    // Credit winners and store the round in the background
+    this.settleColorRound(currentRound)
+      .then(summary => colorHistory.saveCompletedColorRound(currentRound, summary))
+      .catch((error) => {
+        console.error(`Failed to settle color round ${currentRound.roundId}:`, error);
+      });
+    
+    this.gameStatus.colorTrading.lastUpdated = new Date().toISOString();
+    
+    // Update statistics
+    this.statistics.colorTrading.totalBets += currentRound.statistics.totalBets;
+    this.statistics.colorTrading.totalWagered += currentRound.statistics.totalWagered;
+    this.statistics.colorTrading.totalPayout += currentRound.statistics.totalPayout;
+    
+    const completedRound = this.getColorRoundPublicData(currentRound);
+    
+    // Add to history
+    this.addToHistory(GAME_TYPES.COLOR_TRADING, {
+      type: 'round_end',
+      ...this.getColorRoundSummary(currentRound),
+      timestamp: new Date().toISOString()
+    });
+    
+    // Clear current round
+    this.gameStatus.colorTrading.currentRound = null;
+    
+    // Trigger event
+    this.triggerEvent('onColorRoundEnd', completedRound);
+    
+    console.log(`Color trading round ended: ${currentRound.roundId}, Winning color: ${completedRound.colorName}`);
+    return completedRound;
+  }
+  
+  /**
+   * Process payouts for a completed color round
+   * @param {Object} round - Round object
+   */
+  processColorRoundPayouts(round) {
+    if (!round.bets || round.bets.length === 0) {
+      return;
+    }
+    
+    let totalPayout = 0;
+    
+    round.bets.forEach(bet => {
+      const payoutResult = colorEngine.calculateColorPayout(
+        { color: bet.color, amount: bet.amount },
+        round.winningColor
+      );
+      
+      bet.state = 'settled';
+      bet.result = payoutResult.isWin ? 'win' : 'loss';
+      bet.payout = payoutResult.payout;
+      bet.profit = payoutResult.profit;
+      bet.processedAt = new Date().toISOString();
       
-      // Add to history
-      this.addToHistory(GAME_TYPES.COLOR_TRADING, {
-        type: 'round_start',
-        ...colorRound,
-        timestamp: new Date().toISOString()
+      if (payoutResult.isWin) {
+        totalPayout += payoutResult.payout;
+      }
+    });
+    
+    round.statistics.totalPayout = totalPayout;
+  }
+  
+  /**
+   * Store a newly accepted bet in the Bet model
+   * The in-memory round stays authoritative, so a storage failure is logged
+   * rather than failing a bet whose stake is already reserved.
+   * @param {string} gameType - Game type
+   * @param {Object} bet - Accepted bet
+   * @returns {Promise<void>}
+   */
+  async persistBet(gameType, bet) {
+    try {
+      await betHistory.recordBetPlaced(gameType, bet);
+    } catch (error) {
+      console.error(`Failed to persist bet ${bet.betId}:`, error.message);
+    }
+  }
+  
+  /**
+   * Move a stored bet from pending to its final result
+   * @param {string} gameType - Game type
+   * @param {Object} bet - Settled bet (result, payout, profit)
+   * @param {Object} fields - Game-specific fields to store with the result
+   * @returns {Promise<void>}
+   */
+  async persistSettlement(gameType, bet, fields = {}) {
+    if (!roundHistory.isPersistenceAvailable()) {
+      return;
+    }
+    
+    try {
+      const result = await betHistory.settleBet(gameType, bet.betId, {
+        result: bet.result,
+        payout: bet.payout,
+        profit: bet.profit,
+        ...fields
       });
       
-      // Update statistics
-      this.statistics.colorTrading.totalRounds++;
-      
-      // Trigger event
-      this.triggerEvent('onColorRoundStart', colorRound);
-      
-      console.log(`Color trading round started: ${roundId}, Winning color: ${colorResult.colorName}`);
+      if (!result.success) {
+        console.error(`Bet ${bet.betId} not settled: ${result.error}`);
+      }
+    } catch (error) {
+      console.error(`Failed to persist settlement for ${bet.betId}:`, error.message);
+    }
+  }
+  
+  /**
+   * Persist a partial cash-out of a crash bet that is still riding
+   * @param {Object} bet - Pending bet with its new settlement
+   */
+  async persistPartialCashout(bet) {
+    if (!roundHistory.isPersistenceAvailable()) {
+      return;
+    }
+    
+    try {
+      const result = await betHistory.recordPartialCashout(bet);
       
-      return {
-        success: true,
-        gameType: GAME_TYPES.COLOR_TRADING,
-        round: colorRound
-      };
+      if (!result.success) {
+        console.error(`Partial cash-out of ${bet.betId} not stored: ${result.error}`);
+      }
     } catch (error) {
-      console.error('Failed to start color trading round:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+      console.error(`Failed to persist partial cash-out for ${bet.betId}:`, error.message);
     }
   }
   
   /**
-   * End a color trading round
-   * @param {string} roundId - Round identifier
-   * @returns {Object} Round result
+   * Get a user's stored bets with filters
+   * @param {string} userId - User identifier
+   * @param {Object} filters - Validated filters ({ game, result, from, to, limit, before })
+   * @returns {Promise<Object>} Bets and the cursor for the next page
    */
-  endColorTradingRound(roundId) {
+  async getUserBetHistory(userId, filters = {}) {
     try {
-      if (!this.gameStatus.colorTrading.currentRound || 
-          this.gameStatus.colorTrading.currentRound.roundId !== roundId) {
+      if (!roundHistory.isPersistenceAvailable()) {
         return {
-          success: false,
-          error: 'Round not found or not active'
+          success: true,
+          bets: [],
+          nextCursor: null,
+          source: 'unavailable'
         };
       }
       
-      const currentRound = this.gameStatus.colorTrading.currentRound;
-      
-      // Update round state
-      currentRound.state = colorEngine.COLOR_GAME_STATES.COMPLETED;
-      currentRound.endedAt = new Date().toISOString();
-      currentRound.completedAt = new Date().toISOString();
-      
-      // Calculate payouts for all bets
-      this.processColorRoundPayouts(currentRound);
-      
-      // Update game status
-      this.gameStatus.colorTrading.isActive = false;
-      this.gameStatus.colorTrading.lastUpdated = new Date().toISOString();
-      
-      // Update statistics
-      this.statistics.colorTrading.totalBets += currentRound.statistics.totalBets;
-      this.statistics.colorTrading.totalWagered += currentRound.statistics.totalWagered;
-      this.statistics.colorTrading.totalPayout += currentRound.statistics.totalPayout;
-      
-      // Add to history
-      this.addToHistory(GAME_TYPES.COLOR_TRADING, {
-        type: 'round_end',
-        ...currentRound,
-        timestamp: new Date().toISOString()
-      });
-      
-      // Clear current round
-      const completedRound = { ...currentRound };
-      this.gameStatus.colorTrading.currentRound = null;
-      
-      // Trigger event
-      this.triggerEvent('onColorRoundEnd', completedRound);
-      
-      console.log(`Color trading round ended: ${roundId}, Winning color: ${completedRound.colorName}`);
+      const page = await betHistory.getUserBets(userId, filters);
       
       return {
         success: true,
-        gameType: GAME_TYPES.COLOR_TRADING,
-        round: completedRound
+        ...page,
+        source: 'database'
       };
     } catch (error) {
-      console.error('Failed to end color trading round:', error);
+      console.error('Error getting bet history:', error);
       return {
         success: false,
         error: error.message
@@ -522,42 +1581,85 @@ class GameController {
   }
   
   /**
-   * Process payouts for a completed color round
-   * @param {Object} round - Round object
+   * Settle a completed color round into user balances and statistics
+   * Winning payouts are credited through the ledger (keyed per bet, so a
+   * repeated settlement credits nothing twice) and every player's
+   * User.statistics gain their bets from the round.
+   * @param {Object} round - Color round with processed payouts
+   * @returns {Promise<Object>} Settlement summary
    */
-  processColorRoundPayouts(round) {
-    if (!round.bets || round.bets.length === 0) {
-      return;
-    }
-    
-    let totalPayout = 0;
+  async settleColorRound(round) {
+    const betsByUser = new Map();
+    let creditedPayout = 0;
     
-    round.bets.forEach(bet => {
-      const payoutResult = colorEngine.calculateColorPayout(
-        { color: bet.color, amount: bet.amount },
-        round.winningColor
-      );
+    for (const bet of round.bets) {
+      if (!bet.userId) {
+        continue;
+      }
       
-      bet.result = payoutResult.isWin ? 'win' : 'loss';
-      bet.payout = payoutResult.payout;
-      bet.profit = payoutResult.profit;
-      bet.processedAt = new Date().toISOString();
+      await this.persistSettlement(GAME_TYPES.COLOR_TRADING, bet, {
+        winningColor: round.winningColor
+      });
       
-      if (payoutResult.isWin) {
-        totalPayout += payoutResult.payout;
+      let balance = null;
+      if (bet.payout > 0) {
+        const payout = await ledger.postEntry({
+          userId: bet.userId,
+          type: ledger.LEDGER_CONFIG.ENTRY_TYPES.PAYOUT,
+          amount: bet.payout,
+          idempotencyKey: `color:payout:${bet.betId}`,
+          reference: { game: GAME_TYPES.COLOR_TRADING, roundId: round.roundId, betId: bet.betId }
+        });
+        
+        if (payout.success) {
+          creditedPayout += bet.payout;
+          balance = payout.balance;
+        } else {
+          console.error(`Color payout for ${bet.betId} not credited: ${payout.error}`);
+        }
       }
-    });
+      
+      this.emitPlayerEvent(bet.userId, 'bet_settled', {
+        gameType: GAME_TYPES.COLOR_TRADING,
+        roundId: round.roundId,
+        bet: { ...bet },
+        balance
+      });
+      
+      if (!betsByUser.has(bet.userId)) {
+        betsByUser.set(bet.userId, []);
+      }
+      betsByUser.get(bet.userId).push(bet);
+    }
     
-    round.statistics.totalPayout = totalPayout;
+    for (const [userId, bets] of betsByUser) {
+      await recordBetStatistics(userId, bets);
+    }
+    
+    return {
+      settledBets: round.bets.length,
+      players: betsByUser.size,
+      creditedPayout: parseFloat(creditedPayout.toFixed(2))
+    };
   }
   
   /**
-   * Place a bet on current color trading round
-   * @param {Object} betData - Bet information
-   * @returns {Object} Bet result
+   * Place a bet on current color trading round (stake is debited on placement)
+   * The seat is reserved before the stake is posted: a failed stake only
+   * releases the seat, and a refund is needed only if the round closed while
+   * a posted stake was on its way.
+   * @param {Object} betData - Bet information (userId, color, amount)
+   * @returns {Promise<Object>} Bet result with the new balance
    */
-  placeColorBet(betData) {
+  async placeColorBet(betData = {}) {
     try {
+      if (!betData.userId) {
+        return {
+          success: false,
+          error: 'A user ID is required to place a bet'
+        };
+      }
+      
       // Validate current round
       if (!this.gameStatus.colorTrading.isActive || !this.gameStatus.colorTrading.currentRound) {
         return {
@@ -568,6 +1670,14 @@ class GameController {
       
       const currentRound = this.gameStatus.colorTrading.currentRound;
       
+      // Bets are only accepted while the round is running (not during countdown or reveal)
+      if (currentRound.state !== colorEngine.COLOR_GAME_STATES.RUNNING) {
+        return {
+          success: false,
+          error: 'Betting is closed for this round'
+        };
+      }
+      
       // Validate bet
       const validation = colorEngine.validateColorBet(betData);
       if (!validation.isValid) {
@@ -577,18 +1687,63 @@ class GameController {
         };
       }
       
-      // Create bet object
+      // Create bet object (the bet ID also keys its ledger entries, so it must never repeat)
       const bet = {
-        betId: `color_bet_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        betId: `color_bet_${crypto.randomUUID()}`,
         ...validation.validatedBet,
+        userId: String(betData.userId),
         roundId: currentRound.roundId,
         placedAt: new Date().toISOString(),
-        state: 'pending'
+        state: 'pending',
+        stakePosted: false
       };
       
-      // Add bet to round
+      if (currentRound.bets.some(other => other.betId === bet.betId)) {
+        return {
+          success: false,
+          error: 'Bet ID collision - please place the bet again'
+        };
+      }
+      
+      // Reserve the seat, then post the stake
       currentRound.bets.push(bet);
       
+      const stakeReference = { game: GAME_TYPES.COLOR_TRADING, roundId: currentRound.roundId, betId: bet.betId };
+      const stake = await ledger.postEntry({
+        userId: bet.userId,
+        type: ledger.LEDGER_CONFIG.ENTRY_TYPES.BET_STAKE,
+        amount: -bet.amount,
+        idempotencyKey: `color:stake:${bet.betId}`,
+        reference: stakeReference
+      });
+      
+      // A duplicate means this request did not post the stake
+      if (!stake.success || stake.duplicate) {
+        currentRound.bets = currentRound.bets.filter(other => other !== bet);
+        return {
+          success: false,
+          error: stake.success ? 'Bet stake was already used - please place the bet again' : stake.error
+        };
+      }
+      
+      // Betting may have closed while the stake was being posted (the seat was dropped)
+      if (!currentRound.bets.includes(bet)) {
+        await ledger.postEntry({
+          userId: bet.userId,
+          type: ledger.LEDGER_CONFIG.ENTRY_TYPES.PAYOUT,
+          amount: bet.amount,
+          idempotencyKey: `color:refund:${bet.betId}`,
+          reference: stakeReference,
+          description: 'Stake returned - round ended before the bet was accepted'
+        });
+        return {
+          success: false,
+          error: 'Round ended before the bet was accepted'
+        };
+      }
+      
+      bet.stakePosted = true;
+      
       // Update round statistics
       currentRound.statistics.totalBets++;
       currentRound.statistics.totalWagered += bet.amount;
@@ -598,14 +1753,24 @@ class GameController {
         currentRound.statistics[`${bet.color}Bets`]++;
       }
       
+      await this.persistBet(GAME_TYPES.COLOR_TRADING, bet);
+      
       // Update game status
       this.gameStatus.colorTrading.lastUpdated = new Date().toISOString();
       
       console.log(`Color bet placed: ${bet.betId}, ${bet.color} $${bet.amount}`);
       
+      this.emitPlayerEvent(bet.userId, 'bet_accepted', {
+        gameType: GAME_TYPES.COLOR_TRADING,
+        roundId: currentRound.roundId,
+        bet,
+        balance: stake.balance
+      });
+      
       return {
         success: true,
         bet,
+        balance: stake.balance,
         roundId: currentRound.roundId,
         currentMultiplier: colorEngine.getPayoutMultiplier(bet.color)
       };
@@ -635,18 +1800,11 @@ class GameController {
       
       const round = this.gameStatus.colorTrading.currentRound;
       
-      // Calculate time remaining
-      const endsAt = new Date(round.endsAt);
-      const timeRemaining = Math.max(0, endsAt - Date.now());
-      
       return {
         success: true,
         gameType: GAME_TYPES.COLOR_TRADING,
         isActive: true,
-        round: {
-          ...round,
-          timeRemaining
-        }
+        round: this.getColorRoundPublicData(round)
       };
     } catch (error) {
       console.error('Error getting current color round:', error);
@@ -657,6 +1815,246 @@ class GameController {
     }
   }
   
+  /**
+   * Get current color trading round including the undisclosed result (admin only)
+   * @returns {Object} Current round information
+   */
+  getCurrentColorRoundAdmin() {
+    try {
+      const round = this.gameStatus.colorTrading.currentRound;
+      
+      if (!round) {
+        return {
+          success: false,
+          error: 'No active color trading round',
+          gameType: GAME_TYPES.COLOR_TRADING,
+          isActive: false
+        };
+      }
+      
+      return {
+        success: true,
+        gameType: GAME_TYPES.COLOR_TRADING,
+        isActive: this.gameStatus.colorTrading.isActive,
+        round: this.getColorRoundAdminData(round)
+      };
+    } catch (error) {
+      console.error('Error getting color round admin data:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Check whether a color round's result may be shown to players
+   * @param {Object} round - Color round object
+   * @returns {boolean} True once the round reaches REVEAL
+   */
+  isColorRoundRevealed(round) {
+    return round.state === colorEngine.COLOR_GAME_STATES.REVEAL ||
+           round.state === colorEngine.COLOR_GAME_STATES.COMPLETED;
+  }
+  
+  /**
+   * Get public color round data
+   * Only timeline steps up to now are included, and the winning color is
+   * withheld until the round reaches REVEAL.
+   * @param {Object} round - Color round object
+   * @returns {Object} Public round data
+   */
+  getColorRoundPublicData(round) {
+    const isRevealed = this.isColorRoundRevealed(round);
+    const elapsed = Date.now() - new Date(round.startedAt).getTime();
+    const timeRemaining = Math.max(0, new Date(round.endsAt) - Date.now());
+    
+    const publicData = {
+      roundId: round.roundId,
+      state: round.state,
+      roundDuration: round.roundDuration,
+      startedAt: round.startedAt,
+      endsAt: round.endsAt,
+      timeRemaining,
+      settingsVersion: round.settingsVersion,
+      timeline: isRevealed ? round.timeline : round.timeline.filter(step => step.time <= elapsed),
+      statistics: { ...round.statistics },
+      fairness: this.getColorRoundFairnessData(round)
+    };
+    
+    if (isRevealed) {
+      publicData.winningColor = round.winningColor;
+      publicData.colorName = round.colorName;
+      publicData.hexColor = round.hexColor;
+      publicData.isWinRound = round.isWinRound;
+      publicData.endedAt = round.endedAt || null;
+      publicData.completedAt = round.completedAt || null;
+    }
+    
+    return publicData;
+  }
+  
+  /**
+   * Get provably fair data for a color round
+   * Before the reveal only the server seed hash is public; afterwards the
+   * seed and the other inputs needed to recompute the color are added.
+   * @param {Object} round - Color round object
+   * @returns {Object} Fairness data
+   */
+  getColorRoundFairnessData(round) {
+    const data = {
+      serverSeedHash: round.fairness.serverSeedHash,
+      chainId: round.fairness.chainId,
+      chainIndex: round.fairness.chainIndex
+    };
+    
+    if (this.isColorRoundRevealed(round)) {
+      data.serverSeed = round.fairness.serverSeed;
+      data.clientSeed = fairness.FAIRNESS_CONFIG.DEFAULT_CLIENT_SEED;
+      data.rngAlgorithm = round.fairness.rngAlgorithm;
+      data.lossBias = round.lossBias;
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Get a compact color round view for history (no timeline or bet list)
+   * @param {Object} round - Color round object
+   * @returns {Object} Round summary
+   */
+  getColorRoundSummary(round) {
+    const summary = {
+      roundId: round.roundId,
+      state: round.state,
+      roundDuration: round.roundDuration,
+      startedAt: round.startedAt,
+      endsAt: round.endsAt,
+      settingsVersion: round.settingsVersion,
+      statistics: { ...round.statistics }
+    };
+    
+    if (this.isColorRoundRevealed(round)) {
+      summary.winningColor = round.winningColor;
+      summary.colorName = round.colorName;
+      summary.hexColor = round.hexColor;
+      summary.isWinRound = round.isWinRound;
+      summary.endedAt = round.endedAt || null;
+      summary.betTotals = colorHistory.calculateBetTotals(round.bets);
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Get color round history, newest first
+   * Pages through the database when connected; otherwise falls back to the
+   * rounds still held in memory (no further pages).
+   * @param {number} limit - Number of rounds to retrieve
+   * @param {string} before - Optional cursor (nextCursor from the previous page)
+   * @returns {Promise<Object>} Round history and the next page cursor
+   */
+  async getColorRoundHistory(limit = 10, before = null) {
+    try {
+      if (!roundHistory.isPersistenceAvailable()) {
+        const history = this.getRecentColorRounds().slice(0, limit);
+        
+        return {
+          success: true,
+          gameType: GAME_TYPES.COLOR_TRADING,
+          history,
+          totalRounds: history.length,
+          nextCursor: null,
+          source: 'memory'
+        };
+      }
+      
+      const page = await colorHistory.getCompletedColorRounds({ limit, before });
+      
+      return {
+        success: true,
+        gameType: GAME_TYPES.COLOR_TRADING,
+        history: page.rounds,
+        totalRounds: page.rounds.length,
+        nextCursor: page.nextCursor,
+        source: 'database'
+      };
+    } catch (error) {
+      console.error('Error getting color round history:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Get a color round by ID - the running round (public view) or a completed one
+   * @param {string} roundId - Round identifier
+   * @returns {Promise<Object>} Round information
+   */
+  async getColorRound(roundId) {
+    try {
+      const currentRound = this.gameStatus.colorTrading.currentRound;
+      if (currentRound && currentRound.roundId === roundId) {
+        return {
+          success: true,
+          gameType: GAME_TYPES.COLOR_TRADING,
+          round: this.getColorRoundPublicData(currentRound)
+        };
+      }
+      
+      // Stored rounds carry the settlement summary; recent rounds are also in memory
+      const round = await colorHistory.findCompletedColorRound(roundId) ||
+                    this.getRecentColorRounds().find(entry => entry.roundId === roundId);
+      
+      if (!round) {
+        return {
+          success: false,
+          error: 'Color round not found'
+        };
+      }
+      
+      return {
+        success: true,
+        gameType: GAME_TYPES.COLOR_TRADING,
+        round
+      };
+    } catch (error) {
+      console.error('Error getting color round:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Get completed color rounds still held in the in-memory history, newest first
+   * @returns {Array} Round summaries
+   */
+  getRecentColorRounds() {
+    return this.gameHistory[GAME_TYPES.COLOR_TRADING]
+      .filter(entry => entry.type === 'round_end')
+      .map(({ type, timestamp, ...round }) => round)
+      .reverse();
+  }
+  
+  /**
+   * Get internal color round data (admin only)
+   * @param {Object} round - Color round object
+   * @returns {Object} Full round data
+   */
+  getColorRoundAdminData(round) {
+    return {
+      ...round,
+      timeRemaining: Math.max(0, new Date(round.endsAt) - Date.now()),
+      timeline: [...round.timeline],
+      bets: round.bets.map(bet => ({ ...bet })),
+      statistics: { ...round.statistics }
+    };
+  }
+  
   /**
    * Generate a color trading result for simulation/testing
    * @param {Object} options - Generation options
@@ -785,6 +2183,25 @@ class GameController {
     }
   }
   
+  /**
+   * Emit a private event for one player
+   * Listeners must deliver it only to that player, never broadcast it.
+   * @param {string} userId - Player the event belongs to
+   * @param {string} type - Event type (bet_accepted, cashout_result, balance_changed)
+   * @param {Object} data - Event data
+   */
+  emitPlayerEvent(userId, type, data) {
+    if (!userId) {
+      return;
+    }
+    
+    this.triggerEvent('onPlayerEvent', {
+      userId: String(userId),
+      type,
+      data
+    });
+  }
+  
   /**
    * Get controller status
    * @returns {Object} Status information
@@ -805,13 +2222,14 @@ class GameController {
         colorTrading: {
           isActive: this.gameStatus.colorTrading.isActive,
           totalRounds: this.statistics.colorTrading.totalRounds,
-          totalBets: this.statistics.colorTrading.totalBets
+          totalBets: this.statistics.colorTrading.totalBets,
+          scheduler: colorRounds.getColorSchedulerStatus()
         }
       },
       statistics: this.statistics,
       historySizes: {
-        crash: this.gameHistory.crash.length,
-        colorTrading: this.gameHistory.colorTrading.length
+        crash: this.gameHistory[GAME_TYPES.CRASH].length,
+        colorTrading: this.gameHistory[GAME_TYPES.COLOR_TRADING].length
       }
     };
   }
@@ -824,13 +2242,26 @@ class GameController {
     return {
       crashEngine: {
         version: '1.0',
-        config: crashEngine.ENGINE_CONFIG
+        config: crashEngine.ENGINE_CONFIG,
+        curve: crashEngine.getCurveInfo()
       },
       colorEngine: {
         version: '1.0',
         config: colorEngine.COLOR_GAME_CONFIG
       },
-      roundManager: roundManager.getManagerStatus()
+      roundManager: roundManager.getManagerStatus(),
+      rng: {
+        algorithms: Object.values(rng.RNG_CONFIG.ALGORITHMS),
+        // Live crash and color rounds draw from their server seed's HMAC stream
+        liveAlgorithm: fairness.FAIRNESS_CONFIG.RNG_ALGORITHM,
+        // Numeric-seeded runs (custom seeds, simulations) with no algorithm requested
+        crashAlgorithm: crashEngine.ENGINE_CONFIG.RNG_ALGORITHM,
+        colorAlgorithm: colorEngine.COLOR_GAME_CONFIG.RNG_ALGORITHM,
+        // Only replays rounds recorded with it
+        legacyAlgorithm: fairness.FAIRNESS_CONFIG.LEGACY_RNG_ALGORITHM
+      },
+      fairness: fairness.getFairnessInfo(),
+      settings: this.getSettings()
     };
   }
   
@@ -843,11 +2274,8 @@ class GameController {
       this.stopCrashGame();
     }
     
-    // Stop color trading round
-    if (this.colorRoundTimer) {
-      clearTimeout(this.colorRoundTimer);
-      this.colorRoundTimer = null;
-    }
+    // Stop the color round loop
+    colorRounds.stopColorScheduler();
     
     // Clear game status
     this.gameStatus.colorTrading.isActive = false;
@@ -860,6 +2288,18 @@ class GameController {
 // Create singleton instance
 const gameController = new GameController();
 
+// Every posted ledger entry reaches the owner's connections as balance_changed
+ledger.onEntryPosted((entry) => {
+  gameController.emitPlayerEvent(entry.userId, 'balance_changed', {
+    balance: entry.balanceAfter,
+    previousBalance: entry.balanceAfter - entry.change,
+    change: entry.change,
+    reason: entry.type,
+    entryId: entry.entryId,
+    reference: entry.reference
+  });
+});
+
 // Export functions and controllers
 module.exports = {
   // Game types
@@ -873,17 +2313,42 @@ module.exports = {
   startCrashGame: (options) => gameController.startCrashGame(options),
   stopCrashGame: () => gameController.stopCrashGame(),
   getCurrentCrashRound: () => gameController.getCurrentCrashRound(),
-  getCrashRoundHistory: (limit) => gameController.getCrashRoundHistory(limit),
+  getCrashRoundAdminData: () => gameController.getCrashRoundAdminData(),
+  getCrashRoundHistory: (limit, before) => gameController.getCrashRoundHistory(limit, before),
   generateCrashMultiplier: (options) => gameController.generateCrashMultiplier(options),
   validateCrashCashout: (data) => gameController.validateCrashCashout(data),
+  updateCrashSettings: (settings) => gameController.updateCrashSettings(settings),
+  loadGameSettings: () => gameController.loadSettings(),
+  applyGameSettings: (settings) => gameController.applySettings(settings),
+  getGameSettings: () => gameController.getSettings(),
+  forceCrash: (multiplier) => gameController.forceCrash(multiplier),
+  setCrashDistribution: (name, params) => gameController.setCrashDistribution(name, params),
+  getCrashDistributions: () => gameController.getCrashDistributions(),
+  pauseCrashGame: () => gameController.pauseCrashGame(),
+  resumeCrashGame: () => gameController.resumeCrashGame(),
+  revealCrashRound: (roundId) => gameController.revealCrashRound(roundId),
+  verifyCrashRound: (input) => gameController.verifyCrashRound(input),
+  placeCrashBet: (betData) => gameController.placeCrashBet(betData),
+  cashOutCrashBet: (cashoutData) => gameController.cashOutCrashBet(cashoutData),
+  startAutoBet: (userId, config) => gameController.startAutoBet(userId, config),
+  stopAutoBet: (userId) => gameController.stopAutoBet(userId),
+  getAutoBet: (userId) => gameController.getAutoBet(userId),
   
   // Color trading game functions
-  startColorTradingRound: (options) => gameController.startColorTradingRound(options),
+  startColorTrading: (options) => gameController.startColorTrading(options),
+  pauseColorTrading: () => gameController.pauseColorTrading(),
+  resumeColorTrading: () => gameController.resumeColorTrading(),
   getCurrentColorRound: () => gameController.getCurrentColorRound(),
+  getCurrentColorRoundAdmin: () => gameController.getCurrentColorRoundAdmin(),
+  getColorRoundHistory: (limit, before) => gameController.getColorRoundHistory(limit, before),
+  getColorRound: (roundId) => gameController.getColorRound(roundId),
   placeColorBet: (betData) => gameController.placeColorBet(betData),
   generateColorResult: (options) => gameController.generateColorResult(options),
   validateColorBet: (betData) => gameController.validateColorBet(betData),
   
+  // Bet history
+  getUserBetHistory: (userId, filters) => gameController.getUserBetHistory(userId, filters),
+  
   // Controller management
   initializeGameController: (options) => gameController.initialize(options),
   getGameControllerStatus: () => gameController.getStatus(),
@@ -894,5 +2359,10 @@ module.exports = {
   onCrashRoundStart: (callback) => gameController.on('onCrashRoundStart', callback),
   onCrashRoundCrash: (callback) => gameController.on('onCrashRoundCrash', callback),
   onColorRoundStart: (callback) => gameController.on('onColorRoundStart', callback),
-  onColorRoundEnd: (callback) => gameController.on('onColorRoundEnd', callback)
+  onColorRoundEnd: (callback) => gameController.on('onColorRoundEnd', callback),
+  onColorRoundCountdown: (callback) => gameController.on('onColorRoundCountdown', callback),
+  onColorCountdown: (callback) => gameController.on('onColorCountdown', callback),
+  onColorRoundReveal: (callback) => gameController.on('onColorRoundReveal', callback),
+  onPlayerEvent: (callback) => gameController.on('onPlayerEvent', callback),
+  emitPlayerEvent: (userId, type, data) => gameController.emitPlayerEvent(userId, type, data)
 };
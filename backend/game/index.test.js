@@ -0,0 +1,282 @@
+// backend/game/index.test.js - Game Controller Tests for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Covers color round secrecy and the money-moving controller paths
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GameController, gameController } = require('./index');
+const { roundManager } = require('./rounds');
+const autoBet = require('./autoBet');
+const colorEngine = require('./colorEngine');
+const fairness = require('./fairness');
+const ledger = require('../users/ledger');
+
+const PLAYER_ID = '64b000000000000000000001';
+
+/**
+ * Replace ledger.postEntry with an in-memory stand-in for one test
+ * @param {Object} t - Test context
+ * @param {Function} handler - Optional (entry) => result override; return undefined for the default
+ * @returns {Array} Entries posted, in order
+ */
+function mockLedger(t, handler = () => undefined) {
+  const entries = [];
+  t.mock.method(ledger, 'postEntry', async (entry) => {
+    entries.push(entry);
+    const result = await handler(entry);
+    return result || { success: true, balance: 1000 };
+  });
+  return entries;
+}
+
+/**
+ * Resolve once a condition holds (polled on the event loop)
+ * @param {Function} condition - Predicate to wait for
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('color round secrecy', () => {
+  /**
+   * Create a color round the way the scheduler's countdown does
+   * @returns {Object} { controller, publicRound }
+   */
+  function createRound() {
+    const controller = new GameController();
+    const publicRound = controller.createColorRound({ roundDuration: 1000, startsAt: Date.now() });
+    return { controller, publicRound };
+  }
+
+  test('only the server seed hash is public before the reveal', () => {
+    const { publicRound } = createRound();
+
+    assert.equal(typeof publicRound.fairness.serverSeedHash, 'string');
+    assert.equal(publicRound.fairness.serverSeed, undefined);
+    assert.equal(publicRound.winningColor, undefined);
+  });
+
+  test('the result is not derived from the public round ID', () => {
+    const { controller, publicRound } = createRound();
+    const round = controller.gameStatus.colorTrading.currentRound;
+
+    // The old derivation from the round ID alone is no longer the live one
+    const guess = colorEngine.generateWinningColor({ roundId: publicRound.roundId, lossBias: round.lossBias });
+    assert.equal(round.seed, null);
+    assert.notEqual(guess.rngAlgorithm, round.fairness.rngAlgorithm);
+  });
+
+  test('the revealed seed matches the commitment and recomputes the color', () => {
+    const { controller, publicRound } = createRound();
+    const revealed = controller.revealColorRound();
+
+    assert.equal(fairness.sha256(revealed.fairness.serverSeed), publicRound.fairness.serverSeedHash);
+
+    const replay = colorEngine.generateWinningColor({
+      roundId: revealed.roundId,
+      lossBias: revealed.fairness.lossBias,
+      prng: fairness.createColorRoundRng(revealed.fairness.serverSeed, revealed.roundId)
+    });
+    assert.equal(replay.winningColor, revealed.winningColor);
+  });
+});
+
+describe('crash round cancellation', () => {
+  afterEach(() => {
+    gameController.stopCrashGame();
+  });
+
+  /**
+   * Seat a crash bet whose stake debit is held until released, then stop the game
+   * @param {Object} t - Test context
+   * @param {Object} stakeResult - Ledger result the held stake resolves with
+   * @returns {Promise<Object>} { entries, result }
+   */
+  async function cancelWhileStakeInFlight(t, stakeResult) {
+    let releaseStake;
+    const entries = mockLedger(t, (entry) => {
+      if (entry.type === ledger.LEDGER_CONFIG.ENTRY_TYPES.BET_STAKE) {
+        return new Promise((resolve) => { releaseStake = () => resolve(stakeResult); });
+      }
+      return undefined;
+    });
+
+    gameController.startCrashGame({ BETTING_WINDOW: 5000 });
+    const placing = gameController.placeCrashBet({ userId: PLAYER_ID, amount: 10 });
+
+    await waitFor(() => releaseStake);
+    gameController.stopCrashGame();
+    releaseStake();
+
+    const result = await placing;
+    await new Promise(resolve => setImmediate(resolve));
+    return { entries, result };
+  }
+
+  test('a stake that lands after the cancel is refunded once, by the bet itself', async (t) => {
+    const { entries, result } = await cancelWhileStakeInFlight(t, { success: true, balance: 990 });
+
+    assert.equal(result.success, false);
+    const refunds = entries.filter(entry => entry.type === ledger.LEDGER_CONFIG.ENTRY_TYPES.PAYOUT);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].amount, 10);
+  });
+
+  test('a stake that fails after the cancel is never refunded', async (t) => {
+    const { entries, result } = await cancelWhileStakeInFlight(t, { success: false, error: 'Insufficient demo balance' });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(entries.map(entry => entry.type), [ledger.LEDGER_CONFIG.ENTRY_TYPES.BET_STAKE]);
+  });
+});
+
+describe('crash partial cash-out', () => {
+  afterEach(() => {
+    gameController.stopCrashGame();
+  });
+
+  /**
+   * Fly one confirmed crash bet, started some way up the curve
+   * @param {Object} t - Test context
+   * @param {number} elapsedMs - Curve time the round has already run
+   * @returns {Promise<Object>} { entries, bet, round }
+   */
+  async function flyBet(t, elapsedMs) {
+    const entries = mockLedger(t);
+
+    gameController.startCrashGame({ BETTING_WINDOW: 5000 });
+    // Crash far up the curve, as an admin-forced crash point would
+    roundManager.getCurrentRound().forcedCrashMultiplier = 10;
+    const placed = await gameController.placeCrashBet({ userId: PLAYER_ID, amount: 10 });
+    assert.equal(placed.success, true);
+
+    roundManager.startCurrentRound();
+    const round = roundManager.getCurrentRound();
+    round.startedAt = new Date(Date.now() - elapsedMs);
+    return { entries, bet: placed.bet, round };
+  }
+
+  test('a crash after a partial cash-out settles only the remainder', async (t) => {
+    const { entries, bet, round } = await flyBet(t, 2000);
+
+    const partial = await gameController.cashOutCrashBet({ userId: PLAYER_ID, betId: bet.betId, fraction: 0.5 });
+    assert.equal(partial.success, true);
+    assert.equal(partial.isPartial, true);
+    assert.equal(partial.bet.remainingAmount, 5);
+
+    roundManager.forceCrash();
+    const settled = roundManager.getRoundBets(round.roundId).find(candidate => candidate.betId === bet.betId);
+    const payouts = entries.filter(entry => entry.type === ledger.LEDGER_CONFIG.ENTRY_TYPES.PAYOUT);
+
+    // The cashed-out half keeps its payout; only the riding half is lost
+    assert.equal(payouts.length, 1);
+    assert.equal(payouts[0].amount, partial.settlement.payout);
+    assert.equal(settled.result, 'crashed');
+    assert.equal(settled.remainingAmount, 0);
+    assert.equal(settled.payout, partial.settlement.payout);
+    assert.equal(settled.profit, Math.round((partial.settlement.payout - 10) * 100) / 100);
+  });
+
+  test('the remainder cannot be cashed out once the round has crashed', async (t) => {
+    const { entries, bet } = await flyBet(t, 2000);
+
+    await gameController.cashOutCrashBet({ userId: PLAYER_ID, betId: bet.betId, fraction: 0.5 });
+    roundManager.forceCrash();
+    const late = await gameController.cashOutCrashBet({ userId: PLAYER_ID, betId: bet.betId });
+
+    assert.equal(late.success, false);
+    assert.equal(entries.filter(entry => entry.type === ledger.LEDGER_CONFIG.ENTRY_TYPES.PAYOUT).length, 1);
+  });
+});
+
+describe('crash auto-bet stops', () => {
+  const { STATUSES } = autoBet.AUTO_BET_CONFIG;
+  const BASE_CONFIG = { baseAmount: 10, autoCashoutAt: 2, totalBets: 10 };
+
+  afterEach(() => {
+    gameController.stopCrashGame();
+  });
+
+  /**
+   * Let the program's bet on the open round crash below its target, then open the next round
+   */
+  async function loseRound() {
+    await waitFor(() => autoBet.getAutoBet(PLAYER_ID).pendingBetId);
+    roundManager.startCurrentRound();
+    roundManager.forceCrash();
+    roundManager.completeCurrentRound();
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  /**
+   * Count the stakes the program has posted
+   * @param {Array} entries - Ledger entries
+   * @returns {number} Stake entries
+   */
+  function countStakes(entries) {
+    return entries.filter(entry => entry.type === ledger.LEDGER_CONFIG.ENTRY_TYPES.BET_STAKE).length;
+  }
+
+  test('a program stops on its loss limit and places no further bets', async (t) => {
+    const entries = mockLedger(t);
+    assert.equal(gameController.startAutoBet(PLAYER_ID, { ...BASE_CONFIG, stopOnLoss: 20 }).success, true);
+    gameController.startCrashGame({ BETTING_WINDOW: 5000 });
+
+    await loseRound();
+    assert.equal(autoBet.getAutoBet(PLAYER_ID).status, STATUSES.RUNNING);
+
+    await loseRound();
+    const program = autoBet.getAutoBet(PLAYER_ID);
+    assert.equal(program.status, STATUSES.STOPPED);
+    assert.equal(program.stopReason, 'Loss limit reached');
+    assert.equal(program.netProfit, -20);
+
+    // The round that opened after the stop gets no bet
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(countStakes(entries), 2);
+    assert.equal(roundManager.getCurrentRound().getPlayerSlots(PLAYER_ID).length, 0);
+  });
+
+  test('a program completes once it has placed its bet count', async (t) => {
+    const entries = mockLedger(t);
+    gameController.startAutoBet(PLAYER_ID, { ...BASE_CONFIG, totalBets: 1 });
+    gameController.startCrashGame({ BETTING_WINDOW: 5000 });
+
+    await loseRound();
+    const program = autoBet.getAutoBet(PLAYER_ID);
+
+    assert.equal(program.status, STATUSES.COMPLETED);
+    assert.equal(program.stopReason, 'All bets placed');
+    assert.equal(countStakes(entries), 1);
+  });
+
+  test('a program stops after a failed stake', async (t) => {
+    const entries = mockLedger(t, entry => (entry.type === ledger.LEDGER_CONFIG.ENTRY_TYPES.BET_STAKE
+      ? { success: false, error: 'Insufficient demo balance' }
+      : undefined));
+    gameController.startAutoBet(PLAYER_ID, BASE_CONFIG);
+    gameController.startCrashGame({ BETTING_WINDOW: 5000 });
+
+    await waitFor(() => countStakes(entries) === 1);
+    await new Promise(resolve => setImmediate(resolve));
+    const program = autoBet.getAutoBet(PLAYER_ID);
+    assert.equal(program.status, STATUSES.STOPPED);
+    assert.equal(program.stopReason, 'Bet rejected: Insufficient demo balance');
+    assert.equal(program.betsPlaced, 0);
+
+    // The next round opens without another attempt
+    roundManager.startCurrentRound();
+    roundManager.forceCrash();
+    roundManager.completeCurrentRound();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(countStakes(entries), 1);
+  });
+});
@@ -0,0 +1,169 @@
+// backend/game/rng.js - Random Number Generators for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Named seeded generators shared by the crash and color engines
+
+const crypto = require('crypto');
+
+/**
+ * RNG Configuration
+ */
+const RNG_CONFIG = {
+  // Available algorithms
+  ALGORITHMS: {
+    // Original 31-bit linear congruential generator (weak low bits - only for
+    // replaying rounds recorded with it, never picked by default)
+    LCG31: 'lcg31',
+    // Fast 32-bit generator for simulations and batch analysis
+    MULBERRY32: 'mulberry32',
+    // HMAC-SHA256 stream keyed by a secret (provably fair rounds)
+    HMAC_SHA256: 'hmac-sha256'
+  },
+
+  // Algorithm used by the engines for numeric seeds when none is requested
+  // (live rounds draw from hmac-sha256 keyed by their secret server seed)
+  DEFAULT_ALGORITHM: 'mulberry32',
+
+  // Algorithm used by simulations
+  SIMULATION_ALGORITHM: 'mulberry32'
+};
+
+/**
+ * Hash a string to a non-negative 32-bit integer
+ * Used to mix round IDs into numeric seeds.
+ * @param {string} str - Input string
+ * @returns {number} Hash value
+ */
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Mix a round ID into a numeric base seed
+ * Shared by the crash and color engines. The result is unsigned: the engines
+ * before this module XORed signed, so the crash engine's high-bit base seed
+ * gave negative seeds that pushed lcg31 outside [0, 1). Those rounds stored
+ * no seeds and cannot be replayed; every round recorded since used this.
+ * @param {number} baseSeed - Base seed (engine default or a custom seed)
+ * @param {string} roundId - Round identifier
+ * @returns {number} Unsigned 32-bit seed
+ */
+function deriveNumericSeed(baseSeed, roundId) {
+  return (baseSeed ^ hashString(roundId)) >>> 0;
+}
+
+/**
+ * Linear congruential generator (legacy engine PRNG)
+ * The arithmetic is kept exactly as the engines originally ran it.
+ * @param {number} seed - Initial seed value
+ * @returns {Function} Generator returning values in [0, 1)
+ */
+function createLcg31(seed) {
+  const MODULUS = 2 ** 31;
+  const MULTIPLIER = 1103515245;
+  const INCREMENT = 12345;
+
+  let currentSeed = seed;
+
+  return function() {
+    currentSeed = (MULTIPLIER * currentSeed + INCREMENT) % MODULUS;
+    return currentSeed / MODULUS;
+  };
+}
+
+/**
+ * Mulberry32 generator (full 32-bit output, good low bits)
+ * @param {number} seed - Initial seed value
+ * @returns {Function} Generator returning values in [0, 1)
+ */
+function createMulberry32(seed) {
+  let state = seed >>> 0;
+
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * HMAC-SHA256 stream
+ * Block n is HMAC-SHA256(key, "message:n"); each block yields eight 32-bit values.
+ * @param {Object} seed - Stream seed
+ * @param {string} seed.key - Secret key (e.g. the round's server seed)
+ * @param {string} seed.message - Public message (e.g. "clientSeed:roundId")
+ * @returns {Function} Generator returning values in [0, 1)
+ */
+function createHmacStream({ key, message = '' }) {
+  if (typeof key !== 'string' || key === '') {
+    throw new Error('hmac-sha256 requires a key');
+  }
+
+  let counter = 0;
+  let block = null;
+  let offset = 0;
+
+  return function() {
+    if (!block || offset >= block.length) {
+      block = crypto.createHmac('sha256', key).update(`${message}:${counter++}`).digest();
+      offset = 0;
+    }
+
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value / 4294967296;
+  };
+}
+
+/**
+ * Create a generator
+ * Numeric seeds for lcg31 and mulberry32; { key, message } for hmac-sha256.
+ * @param {string} algorithm - Algorithm name (RNG_CONFIG.ALGORITHMS)
+ * @param {number|Object} seed - Algorithm seed
+ * @returns {Function} Generator returning values in [0, 1), tagged with its algorithm
+ */
+function createRng(algorithm = RNG_CONFIG.DEFAULT_ALGORITHM, seed) {
+  let generator;
+
+  switch (algorithm) {
+    case RNG_CONFIG.ALGORITHMS.LCG31:
+      generator = createLcg31(seed);
+      break;
+    case RNG_CONFIG.ALGORITHMS.MULBERRY32:
+      generator = createMulberry32(seed);
+      break;
+    case RNG_CONFIG.ALGORITHMS.HMAC_SHA256:
+      generator = createHmacStream(seed || {});
+      break;
+    default:
+      throw new Error(`Unknown RNG algorithm: ${algorithm}`);
+  }
+
+  generator.algorithm = algorithm;
+  return generator;
+}
+
+/**
+ * Check if an algorithm takes a numeric seed
+ * @param {string} algorithm - Algorithm name
+ * @returns {boolean} True for lcg31 and mulberry32
+ */
+function isNumericSeedAlgorithm(algorithm) {
+  return algorithm === RNG_CONFIG.ALGORITHMS.LCG31 || algorithm === RNG_CONFIG.ALGORITHMS.MULBERRY32;
+}
+
+// Export RNG functions and constants
+module.exports = {
+  RNG_CONFIG,
+  hashString,
+  deriveNumericSeed,
+  createRng,
+  isNumericSeedAlgorithm
+};
@@ -0,0 +1,169 @@
+// backend/game/rng.test.js - RNG Golden Vector Tests for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Pins the first outputs of every generator so a refactor cannot silently change how stored rounds replay
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const rng = require('./rng');
+const fairness = require('./fairness');
+const engine = require('./engine');
+const colorEngine = require('./colorEngine');
+
+/**
+ * Golden vectors - first outputs of each generator for fixed seeds
+ */
+const GOLDEN_VECTORS = {
+  hashString: [
+    { input: 'round_1', output: 1385468352 },
+    { input: 'demo_round_1700000000000_1_42', output: 1565419854 }
+  ],
+  // The crash engine's high-bit base seed and the color engine's base seed
+  numericSeed: [
+    { baseSeed: 0xABCD1234, roundId: 'round_1', output: 4183393268 },
+    { baseSeed: 0x12345678, roundId: 'round_1', output: 1084278712 }
+  ],
+  lcg31: {
+    seed: 0xABCD1234,
+    outputs: [0.8287591934204102, 0.37333202362060547, 0.5120439529418945, 0.18144893646240234, 0.5753031075000763]
+  },
+  mulberry32: {
+    seed: 0xABCD1234,
+    outputs: [0.043575112940743566, 0.5672433488070965, 0.12234267266467214, 0.7763711831066757, 0.8993735027033836]
+  },
+  'hmac-sha256': {
+    seed: { key: 'golden-server-seed', message: 'golden-client-seed:round_1' },
+    // Ten outputs cross into the second HMAC block
+    outputs: [
+      0.7547352625988424, 0.029969990253448486, 0.4278416405431926, 0.7306220405735075, 0.09520186088047922,
+      0.770045886747539, 0.2993907732889056, 0.6302059972658753, 0.7175129246897995, 0.10259552649222314
+    ]
+  }
+};
+
+/**
+ * Golden round - a fixed set of revealed inputs and the crash point they replay to
+ */
+const GOLDEN_ROUND = {
+  inputs: {
+    serverSeed: 'golden-server-seed',
+    clientSeed: 'golden-client-seed',
+    roundId: 'round_1',
+    lossBias: 0.3,
+    maxWinMultiplier: 20
+  },
+  serverSeedHash: 'ce8c242f60b7a342f6beb9b4c492ee7574ce716a903171d2cce010d54b20db41',
+  paramsCommitment: '16f21c7f388bb40b0f2ab4f431e2f3aa00644e79397da1f1a83b3b0af93a220e',
+  // Recorded without a rounding rule - rounded to the nearest step
+  crashMultiplier: {
+    'hmac-sha256': 2.1429,
+    lcg31: 2.1277
+  },
+  // The same inputs under the truncate rule new rounds commit to
+  truncate: {
+    paramsCommitment: 'd9f8207255881cfdb3ef5ddde798d59f7d6828e379345ece31bad39c6788f4cb',
+    crashMultiplier: {
+      'hmac-sha256': 2.1428,
+      lcg31: 2.1276
+    }
+  }
+};
+
+describe('rng golden vectors', () => {
+  test('hashString', () => {
+    GOLDEN_VECTORS.hashString.forEach(({ input, output }) => {
+      assert.equal(rng.hashString(input), output, `hashString("${input}")`);
+    });
+  });
+
+  test('deriveNumericSeed', () => {
+    GOLDEN_VECTORS.numericSeed.forEach(({ baseSeed, roundId, output }) => {
+      assert.equal(rng.deriveNumericSeed(baseSeed, roundId), output, `deriveNumericSeed(${baseSeed}, "${roundId}")`);
+    });
+  });
+
+  Object.values(rng.RNG_CONFIG.ALGORITHMS).forEach((algorithm) => {
+    test(algorithm, () => {
+      const vector = GOLDEN_VECTORS[algorithm];
+      assert.ok(vector, `no golden vector for ${algorithm}`);
+
+      const generator = rng.createRng(algorithm, vector.seed);
+      assert.deepEqual(vector.outputs.map(() => generator()), vector.outputs);
+    });
+  });
+});
+
+describe('crash round replay', () => {
+  Object.entries(GOLDEN_ROUND.crashMultiplier).forEach(([rngAlgorithm, crashMultiplier]) => {
+    test(`${rngAlgorithm} round replays to its recorded crash point`, () => {
+      const result = fairness.verifyCrashRound({ ...GOLDEN_ROUND.inputs, rngAlgorithm });
+
+      assert.equal(result.isValid, true);
+      assert.equal(result.crashMultiplier, crashMultiplier);
+    });
+  });
+
+  Object.entries(GOLDEN_ROUND.truncate.crashMultiplier).forEach(([rngAlgorithm, crashMultiplier]) => {
+    test(`${rngAlgorithm} truncate-rule round replays to its recorded crash point`, () => {
+      const result = fairness.verifyCrashRound({ ...GOLDEN_ROUND.inputs, rngAlgorithm, roundingRule: 'truncate' });
+
+      assert.equal(result.isValid, true);
+      assert.equal(result.crashMultiplier, crashMultiplier);
+    });
+  });
+
+  test('commitments match the revealed inputs', () => {
+    const result = fairness.verifyCrashRound({
+      ...GOLDEN_ROUND.inputs,
+      serverSeedHash: GOLDEN_ROUND.serverSeedHash,
+      paramsCommitment: GOLDEN_ROUND.paramsCommitment
+    });
+
+    assert.equal(result.commitmentValid, true);
+    assert.equal(result.paramsCommitmentValid, true);
+  });
+
+  test('the truncate rule is covered by the parameter commitment', () => {
+    const truncated = fairness.verifyCrashRound({
+      ...GOLDEN_ROUND.inputs,
+      roundingRule: 'truncate',
+      paramsCommitment: GOLDEN_ROUND.truncate.paramsCommitment
+    });
+    const swapped = fairness.verifyCrashRound({
+      ...GOLDEN_ROUND.inputs,
+      roundingRule: 'truncate',
+      paramsCommitment: GOLDEN_ROUND.paramsCommitment
+    });
+
+    assert.equal(truncated.paramsCommitmentValid, true);
+    assert.equal(swapped.paramsCommitmentValid, false);
+  });
+
+  test('changed parameters break the parameter commitment', () => {
+    const result = fairness.verifyCrashRound({
+      ...GOLDEN_ROUND.inputs,
+      lossBias: 0.1,
+      paramsCommitment: GOLDEN_ROUND.paramsCommitment
+    });
+
+    assert.equal(result.paramsCommitmentValid, false);
+  });
+});
+
+describe('numeric seeds', () => {
+  test('both engines derive the same unsigned seed from a base seed and round ID', () => {
+    const crash = engine.generateCrashMultiplier({ roundId: 'round_1', customSeed: 0xABCD1234 });
+    const color = colorEngine.generateWinningColor({ roundId: 'round_1', customSeed: 0xABCD1234 });
+
+    assert.equal(crash.seed, rng.deriveNumericSeed(0xABCD1234, 'round_1'));
+    assert.equal(color.seed, crash.seed);
+    assert.ok(crash.seed >= 0);
+  });
+
+  test('the legacy lcg31 generator is never the default', () => {
+    const crash = engine.generateCrashMultiplier({ roundId: 'round_1', customSeed: 1 });
+    const color = colorEngine.generateWinningColor({ roundId: 'round_1', customSeed: 1 });
+
+    assert.notEqual(crash.rngAlgorithm, rng.RNG_CONFIG.ALGORITHMS.LCG31);
+    assert.notEqual(color.rngAlgorithm, rng.RNG_CONFIG.ALGORITHMS.LCG31);
+  });
+});
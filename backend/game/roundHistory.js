@@ -0,0 +1,224 @@
+// backend/game/roundHistory.js - Crash Round Persistence for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Stores completed crash rounds in the Round model and pages through them
+
+const mongoose = require('mongoose');
+const { Round } = require('../database/models');
+
+/**
+ * Round History Configuration
+ */
+const HISTORY_CONFIG = {
+  // Page size limits for history queries
+  DEFAULT_PAGE_SIZE: 10,
+  MAX_PAGE_SIZE: 50
+};
+
+/**
+ * Check if the database is available
+ * Without a connection, Mongoose would buffer queries until they time out.
+ * @returns {boolean} True if connected
+ */
+function isPersistenceAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Build a Round document from a completed round
+ * @param {Object} round - Completed Round instance (from rounds.js)
+ * @returns {Object} Round model fields
+ */
+function toRoundRecord(round) {
+  return {
+    roundId: round.roundId,
+    crashMultiplier: round.crashMultiplier,
+    roundType: round.roundType,
+    seed: round.metadata.seed,
+    lossBias: round.lossBias,
+    maxWinMultiplier: round.maxWinMultiplier,
+    distribution: round.distribution,
+    distributionParams: round.distributionParams,
+    forcedCrashMultiplier: round.forcedCrashMultiplier,
+    settingsVersion: round.settingsVersion,
+    engineVersion: round.metadata.engineVersion,
+    fairness: {
+      serverSeed: round.fairness.serverSeed,
+      serverSeedHash: round.fairness.serverSeedHash,
+      paramsCommitment: round.fairness.paramsCommitment,
+      clientSeed: round.fairness.clientSeed,
+      clientSeeds: round.fairness.clientSeeds,
+      rngAlgorithm: round.fairness.rngAlgorithm,
+      roundingRule: round.fairness.roundingRule,
+      chainId: round.fairness.chainId,
+      chainIndex: round.fairness.chainIndex
+    },
+    startedAt: round.startedAt,
+    crashedAt: round.crashedAt,
+    endedAt: round.endedAt,
+    gameDuration: round.gameDuration,
+    statistics: {
+      totalPlayers: round.statistics.totalPlayers,
+      totalBets: round.statistics.totalBets,
+      totalWagered: round.statistics.totalWagered,
+      totalPayout: round.statistics.totalPayout,
+      highestBet: round.statistics.highestBet,
+      highestWin: round.statistics.highestWin,
+      playersCashedOut: round.statistics.playersCashedOut,
+      playersCrashed: round.statistics.playersCrashed,
+      partialCashouts: round.statistics.partialCashouts,
+      multiSlotPlayers: round.statistics.multiSlotPlayers,
+      slots: round.statistics.slots
+    },
+    isCompleted: true
+  };
+}
+
+/**
+ * Format a stored round the same way as the in-memory reveal view
+ * @param {Object} record - Round document
+ * @param {boolean} includeAdmin - Include engine parameters and seed (admin only)
+ * @returns {Object} Round data
+ */
+function formatRoundRecord(record, includeAdmin = false) {
+  const data = {
+    roundId: record.roundId,
+    state: 'completed',
+    startedAt: record.startedAt,
+    crashMultiplier: record.crashMultiplier,
+    roundType: record.roundType,
+    endedAt: record.endedAt,
+    crashedAt: record.crashedAt,
+    gameDuration: record.gameDuration,
+    elapsedTime: record.duration,
+    statistics: {
+      totalBets: record.statistics.totalBets,
+      totalWagered: record.statistics.totalWagered,
+      totalPayout: record.statistics.totalPayout,
+      playersCashedOut: record.statistics.playersCashedOut,
+      playersCrashed: record.statistics.playersCrashed,
+      partialCashouts: record.statistics.partialCashouts || 0,
+      // Rounds stored before bet slots existed have no per-slot totals
+      multiSlotPlayers: record.statistics.multiSlotPlayers || 0,
+      slots: record.statistics.slots || []
+    },
+    metadata: {
+      isDemo: true,
+      engineVersion: record.engineVersion,
+      settingsVersion: record.settingsVersion
+    }
+  };
+
+  // Revealed verification inputs (rounds stored before seeds existed have none)
+  if (record.fairness && record.fairness.serverSeed) {
+    data.fairness = {
+      serverSeedHash: record.fairness.serverSeedHash,
+      // Rounds stored before parameter commitments existed have none
+      paramsCommitment: record.fairness.paramsCommitment || null,
+      chainId: record.fairness.chainId,
+      chainIndex: record.fairness.chainIndex,
+      clientSeedCount: record.fairness.clientSeeds.length,
+      serverSeed: record.fairness.serverSeed,
+      clientSeed: record.fairness.clientSeed,
+      clientSeeds: record.fairness.clientSeeds,
+      // Rounds stored before the HMAC stream was recorded used the legacy LCG
+      rngAlgorithm: record.fairness.rngAlgorithm || 'lcg31',
+      // Rounds stored before the rounding rule was recorded rounded to the nearest step
+      roundingRule: record.fairness.roundingRule || 'round',
+      lossBias: record.lossBias,
+      maxWinMultiplier: record.maxWinMultiplier,
+      distribution: record.distribution || 'bias',
+      distributionParams: record.distributionParams || {},
+      forcedCrashMultiplier: record.forcedCrashMultiplier || null,
+      settingsVersion: record.settingsVersion
+    };
+  }
+
+  if (includeAdmin) {
+    data.seed = record.seed;
+    data.lossBias = record.lossBias;
+    data.maxWinMultiplier = record.maxWinMultiplier;
+    data.distribution = record.distribution || 'bias';
+    data.distributionParams = record.distributionParams || {};
+    data.forcedCrashMultiplier = record.forcedCrashMultiplier;
+    data.statistics = { ...record.statistics };
+  }
+
+  return data;
+}
+
+/**
+ * Persist a completed crash round
+ * The unique roundId index makes saving the same round twice harmless.
+ * @param {Object} round - Completed Round instance
+ * @returns {Promise<boolean>} True if the round was stored
+ */
+async function saveCompletedRound(round) {
+  if (!isPersistenceAvailable()) {
+    return false;
+  }
+
+  try {
+    await Round.create(toRoundRecord(round));
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a page of completed rounds, newest first
+ * @param {Object} options - { limit, before } where before is the previous page's nextCursor
+ * @returns {Promise<Object>} Rounds and the cursor for the next page
+ */
+async function getCompletedRounds(options = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(options.limit, 10) || HISTORY_CONFIG.DEFAULT_PAGE_SIZE, 1),
+    HISTORY_CONFIG.MAX_PAGE_SIZE
+  );
+
+  const query = { isCompleted: true };
+  if (options.before) {
+    if (!mongoose.isValidObjectId(options.before)) {
+      throw new Error('Invalid cursor');
+    }
+    query._id = { $lt: options.before };
+  }
+
+  const records = await Round.find(query).sort({ _id: -1 }).limit(limit + 1).lean();
+  const hasMore = records.length > limit;
+  const page = records.slice(0, limit);
+
+  return {
+    rounds: page.map(record => formatRoundRecord(record)),
+    nextCursor: hasMore ? String(page[page.length - 1]._id) : null
+  };
+}
+
+/**
+ * Find a stored completed round
+ * @param {string} roundId - Round identifier
+ * @param {boolean} includeAdmin - Include engine parameters and seed
+ * @returns {Promise<Object|null>} Round data or null
+ */
+async function findCompletedRound(roundId, includeAdmin = false) {
+  if (!isPersistenceAvailable()) {
+    return null;
+  }
+
+  const record = await Round.findOne({ roundId, isCompleted: true }).lean();
+  return record ? formatRoundRecord(record, includeAdmin) : null;
+}
+
+// Export round history functions and constants
+module.exports = {
+  HISTORY_CONFIG,
+  isPersistenceAvailable,
+  toRoundRecord,
+  formatRoundRecord,
+  saveCompletedRound,
+  getCompletedRounds,
+  findCompletedRound
+};
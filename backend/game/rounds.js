@@ -1,8 +1,12 @@
 // backend/game/rounds.js - Round Lifecycle Manager for Aviiaor Demo Platform
 // Educational demo only - No real money transactions
-// Manages round states and transitions: IDLE → RUNNING → CRASHED → NEXT
+// Manages round states and transitions: IDLE → BETTING → RUNNING → CRASHED → COMPLETED
 
-const { generateCrashMultiplier } = require('./engine');
+const crypto = require('crypto');
+const { generateCrashMultiplier, validateCrashBet, getMultiplierAtTime, getTimeForMultiplier, judgeCashout, ENGINE_CONFIG } = require('./engine');
+const { validateDistribution, getTheoreticalRtp } = require('./distributions');
+const { saveCompletedRound } = require('./roundHistory');
+const fairness = require('./fairness');
 
 /**
  * Round Lifecycle States
@@ -10,6 +14,7 @@ const { generateCrashMultiplier } = require('./engine');
  */
 const ROUND_STATES = {
   IDLE: 'idle',          // Round is queued but not active
+  BETTING: 'betting',    // Betting window is open, round starts when it closes
   RUNNING: 'running',    // Round is in progress, multiplier increasing
   CRASHED: 'crashed',    // Round has ended (crashed)
   COMPLETED: 'completed' // Round data has been processed
@@ -20,14 +25,11 @@ const ROUND_STATES = {
  * Demo platform settings for round management
  */
 const ROUND_CONFIG = {
-  // Time between rounds in milliseconds
-  INTERVAL_BETWEEN_ROUNDS: 5000, // 5 seconds
+  // Betting window before each round starts in milliseconds
+  BETTING_WINDOW: 5000, // 5 seconds
   
-  // Minimum round duration in milliseconds
-  MIN_ROUND_DURATION: 3000, // 3 seconds
-  
-  // Maximum round duration in milliseconds
-  MAX_ROUND_DURATION: 60000, // 60 seconds
+  // Time the crashed round stays on screen before it completes
+  COMPLETE_DELAY: 1000, // 1 second
   
   // Default loss bias (80% loss, 20% win)
   DEFAULT_LOSS_BIAS: 0.8,
@@ -35,10 +37,47 @@ const ROUND_CONFIG = {
   // Default maximum win multiplier
   DEFAULT_MAX_WIN_MULTIPLIER: 100,
   
-  // Maximum rounds to keep in memory for history
+  // Maximum rounds to keep in memory for history (older rounds live in the database)
   MAX_HISTORY_ROUNDS: 100
 };
 
+/**
+ * Round a money amount to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function toCents(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Copy a bet, including its settlement list
+ * @param {Object} bet - Bet object
+ * @returns {Object} Independent copy
+ */
+function copyBet(bet) {
+  return { ...bet, settlements: bet.settlements.map(settlement => ({ ...settlement })) };
+}
+
+/**
+ * Create empty per-slot statistics
+ * @returns {Array} One entry per bet slot
+ */
+function createSlotStatistics() {
+  const slots = [];
+  for (let slot = 1; slot <= ENGINE_CONFIG.BETTING.MAX_BET_SLOTS; slot++) {
+    slots.push({
+      slot,
+      totalBets: 0,
+      totalWagered: 0,
+      totalPayout: 0,
+      cashedOut: 0,
+      crashed: 0
+    });
+  }
+  return slots;
+}
+
 /**
  * Round Object Structure
  * Represents a single game round in the demo platform
@@ -48,19 +87,55 @@ class Round {
     this.roundId = roundId;
     
     // Game engine parameters
-    this.lossBias = options.lossBias || ROUND_CONFIG.DEFAULT_LOSS_BIAS;
-    this.maxWinMultiplier = options.maxWinMultiplier || ROUND_CONFIG.DEFAULT_MAX_WIN_MULTIPLIER;
+    // (explicit undefined checks - a loss bias of 0 is a valid admin setting)
+    this.lossBias = options.lossBias !== undefined ? options.lossBias : ROUND_CONFIG.DEFAULT_LOSS_BIAS;
+    this.maxWinMultiplier = options.maxWinMultiplier !== undefined ? options.maxWinMultiplier : ROUND_CONFIG.DEFAULT_MAX_WIN_MULTIPLIER;
+    
+    // Crash-point model and its parameters (see distributions.js)
+    this.distribution = options.distribution || ENGINE_CONFIG.DISTRIBUTION;
+    this.distributionParams = options.distributionParams || {};
+    
+    // AdminSettings version the parameters came from (null = built-in defaults)
+    this.settingsVersion = options.settingsVersion !== undefined ? options.settingsVersion : null;
+    
+    // Admin-forced crash point (null = decided by the engine)
+    this.forcedCrashMultiplier = options.forcedCrashMultiplier || null;
+    
+    // Provably fair inputs - the server seed and the parameters above are
+    // committed now (by their hashes) and only revealed once the round has
+    // crashed. The parameters never change after this point.
+    const roundSeed = options.roundSeed || fairness.nextRoundSeed();
+    this.fairness = {
+      ...roundSeed,
+      rngAlgorithm: fairness.FAIRNESS_CONFIG.RNG_ALGORITHM,
+      roundingRule: ENGINE_CONFIG.CURVE.ROUNDING_RULE,
+      clientSeeds: [],
+      clientSeed: null
+    };
+    this.fairness.paramsCommitment = fairness.commitRoundParams(roundSeed.serverSeed, roundId, {
+      lossBias: this.lossBias,
+      maxWinMultiplier: this.maxWinMultiplier,
+      distribution: this.distribution,
+      distributionParams: this.distributionParams,
+      forcedCrashMultiplier: this.forcedCrashMultiplier,
+      settingsVersion: this.settingsVersion,
+      rngAlgorithm: this.fairness.rngAlgorithm,
+      roundingRule: this.fairness.roundingRule
+    });
+    
+    // Client seed contributed by each bet (removed again if the bet is cancelled)
+    this.clientSeedsByBet = new Map();
     
     // Round state and timing
     this.state = ROUND_STATES.IDLE;
+    this.bettingClosesAt = null;
     this.startedAt = null;
     this.endedAt = null;
     this.crashMultiplier = null;
     this.roundType = null; // 'win' or 'loss'
     
     // Game progression data (populated when round starts)
-    this.crashCurve = []; // Array of {time, multiplier} points
-    this.gameDuration = 0; // Total duration in milliseconds
+    this.gameDuration = 0; // Exact crash time on the multiplier curve in milliseconds
     
     // Generated at timestamps
     this.generatedAt = null;
@@ -75,9 +150,18 @@ class Round {
       highestBet: 0,
       highestWin: 0,
       playersCashedOut: 0,
-      playersCrashed: 0
+      playersCrashed: 0,
+      // Cash-outs that left part of the stake riding
+      partialCashouts: 0,
+      // Players holding a bet in every slot at once
+      multiSlotPlayers: 0,
+      // Per-slot totals (index 0 = slot 1)
+      slots: createSlotStatistics()
     };
     
+    // Bets placed on this round (betId → bet object)
+    this.bets = new Map();
+    
     // Metadata
     this.metadata = {
       seed: null,
@@ -88,27 +172,59 @@ class Round {
   }
   
   /**
-   * Start the round - transitions from IDLE to RUNNING
+   * Open the betting window - transitions from IDLE to BETTING
+   * @param {Date} closesAt - When betting closes and the round starts
    * @returns {boolean} Success status
    */
-  start() {
+  openBetting(closesAt) {
     if (this.state !== ROUND_STATES.IDLE) {
+      console.warn(`Round ${this.roundId} cannot open betting from state: ${this.state}`);
+      return false;
+    }
+    
+    this.state = ROUND_STATES.BETTING;
+    this.bettingClosesAt = closesAt;
+    return true;
+  }
+  
+  /**
+   * Start the round - transitions from BETTING to RUNNING (closes betting)
+   * @returns {boolean} Success status
+   */
+  start() {
+    if (this.state !== ROUND_STATES.BETTING) {
       console.warn(`Round ${this.roundId} cannot start from state: ${this.state}`);
       return false;
     }
     
     try {
-      // Generate crash multiplier using game engine
+      // A bet whose stake is still being posted cannot fly; the controller
+      // refunds it if the stake lands after all
+      for (const bet of Array.from(this.bets.values())) {
+        if (!bet.stakePosted) {
+          this.cancelBet(bet.betId);
+          console.warn(`Bet ${bet.betId} dropped from round ${this.roundId} - stake not posted before the start`);
+        }
+      }
+      
+      // Client seeds are final once betting closes
+      this.fairness.clientSeed = fairness.combineClientSeeds(this.fairness.clientSeeds);
+      
+      // Generate crash multiplier using game engine, seeded from the committed server seed
       const gameResult = generateCrashMultiplier({
         lossBias: this.lossBias,
         maxWinMultiplier: this.maxWinMultiplier,
-        roundId: this.roundId
+        distribution: this.distribution,
+        distributionParams: this.distributionParams,
+        roundId: this.roundId,
+        prng: fairness.createRoundRng(this.fairness.serverSeed, this.fairness.clientSeed, this.roundId),
+        forcedCrashMultiplier: this.forcedCrashMultiplier,
+        roundingRule: this.fairness.roundingRule
       });
       
       // Set round properties from game engine
       this.crashMultiplier = gameResult.crashMultiplier;
       this.roundType = gameResult.roundType;
-      this.crashCurve = gameResult.crashCurve;
       this.gameDuration = gameResult.gameDuration;
       this.metadata.seed = gameResult.seed;
       this.generatedAt = gameResult.generatedAt;
@@ -140,7 +256,12 @@ class Round {
       // Set round state and timing
       this.state = ROUND_STATES.CRASHED;
       this.endedAt = new Date();
-      this.crashedAt = new Date().toISOString();
+      // The instant the curve reached the crash point (the announcement comes
+      // the processing buffer, and any cash-out grace, later)
+      this.crashedAt = new Date(this.startedAt.getTime() + this.gameDuration).toISOString();
+      
+      // Any bet still pending rode the plane into the crash
+      this.settleCrashedBets();
       
       // Calculate actual duration (might differ slightly from gameDuration)
       const actualDuration = this.endedAt - this.startedAt;
@@ -184,6 +305,10 @@ class Round {
   
   /**
    * Get current multiplier based on elapsed time
+   * Evaluated from the published curve formula. Not capped at the crash
+   * point: the round stays running for the cash-out grace after it, and a
+   * multiplier frozen there would reveal the crash before it is announced.
+   * Cash-outs are judged against the crash time, never against this value.
    * @returns {number} Current multiplier or null if not running
    */
   getCurrentMultiplier() {
@@ -192,16 +317,7 @@ class Round {
     }
     
     const elapsed = Date.now() - this.startedAt.getTime();
-    
-    // Find the closest point in the crash curve
-    for (let i = 0; i < this.crashCurve.length; i++) {
-      if (this.crashCurve[i].time >= elapsed) {
-        return this.crashCurve[i].multiplier;
-      }
-    }
-    
-    // If we've passed all points, return the crash multiplier
-    return this.crashMultiplier;
+    return getMultiplierAtTime(elapsed);
   }
   
   /**
@@ -237,11 +353,499 @@ class Round {
     return currentMultiplier >= cashoutMultiplier;
   }
   
+  /**
+   * Place a bet on this round (only accepted while the betting window is open)
+   * @param {Object} betData - Bet information
+   * @param {string} betData.userId - Player placing the bet
+   * @param {number} betData.amount - Bet amount
+   * @param {number} betData.autoCashoutAt - Optional multiplier to cash out at automatically
+   * @param {number} betData.slot - Optional bet slot (default: the player's first free slot)
+   * @returns {Object} Placement result with the created bet
+   */
+  placeBet(betData = {}) {
+    if (this.state !== ROUND_STATES.BETTING) {
+      return {
+        success: false,
+        error: 'Betting is closed for this round'
+      };
+    }
+    
+    if (!betData.userId) {
+      return {
+        success: false,
+        error: 'A user ID is required to place a bet'
+      };
+    }
+    
+    const validation = validateCrashBet(betData);
+    if (!validation.isValid) {
+      return {
+        success: false,
+        errors: validation.errors
+      };
+    }
+    
+    // Optional client seed mixed into this round's outcome
+    let clientSeed = null;
+    if (betData.clientSeed !== undefined && betData.clientSeed !== null) {
+      const seedValidation = fairness.validateClientSeed(betData.clientSeed);
+      if (!seedValidation.isValid) {
+        return {
+          success: false,
+          error: seedValidation.error
+        };
+      }
+      clientSeed = seedValidation.clientSeed;
+    }
+    
+    // Each slot holds one independent bet per player
+    const takenSlots = this.getPlayerSlots(betData.userId);
+    let slot = validation.validatedBet.slot;
+    if (slot === null) {
+      slot = this.findFreeSlot(takenSlots);
+      if (slot === null) {
+        return {
+          success: false,
+          error: `All ${ENGINE_CONFIG.BETTING.MAX_BET_SLOTS} bet slots are already used this round`
+        };
+      }
+    } else if (takenSlots.includes(slot)) {
+      return {
+        success: false,
+        error: `Bet slot ${slot} already holds a bet this round`
+      };
+    }
+    
+    const bet = {
+      // The bet ID also keys the ledger entries, so it must never repeat
+      betId: `crash_bet_${crypto.randomUUID()}`,
+      roundId: this.roundId,
+      userId: String(betData.userId),
+      slot,
+      amount: validation.validatedBet.amount,
+      // Stake still riding (partial cash-outs take from it)
+      remainingAmount: validation.validatedBet.amount,
+      settlements: [],
+      autoCashoutAt: validation.validatedBet.autoCashoutAt,
+      placedAt: validation.validatedBet.placedAt,
+      // Set by confirmStake once the stake debit is posted; until then the
+      // bet cannot be cashed out and is dropped if the round starts
+      stakePosted: false,
+      result: 'pending',
+      cashoutMultiplier: null,
+      cashoutType: null,
+      cashedOutAt: null,
+      payout: 0,
+      profit: 0
+    };
+    
+    if (this.bets.has(bet.betId)) {
+      return {
+        success: false,
+        error: 'Bet ID collision - please place the bet again'
+      };
+    }
+    
+    this.bets.set(bet.betId, bet);
+    
+    if (clientSeed && this.fairness.clientSeeds.length < fairness.FAIRNESS_CONFIG.MAX_CLIENT_SEEDS_PER_ROUND) {
+      this.fairness.clientSeeds.push(clientSeed);
+      this.clientSeedsByBet.set(bet.betId, clientSeed);
+    }
+    
+    if (takenSlots.length === 0) {
+      this.statistics.totalPlayers++;
+    }
+    if (takenSlots.length + 1 === ENGINE_CONFIG.BETTING.MAX_BET_SLOTS) {
+      this.statistics.multiSlotPlayers++;
+    }
+    this.updateStatistics(bet);
+    
+    return {
+      success: true,
+      bet: copyBet(bet)
+    };
+  }
+  
+  /**
+   * Confirm that a seated bet's stake was debited
+   * @param {string} betId - Bet identifier
+   * @returns {Object|null} Copy of the confirmed bet, or null if it is no longer seated
+   */
+  confirmStake(betId) {
+    const bet = this.bets.get(betId);
+    if (!bet || bet.result !== 'pending' || this.state !== ROUND_STATES.BETTING) {
+      return null;
+    }
+    
+    bet.stakePosted = true;
+    return copyBet(bet);
+  }
+  
+  /**
+   * Remove a pending bet (e.g. its stake could not be debited)
+   * @param {string} betId - Bet identifier
+   * @returns {boolean} True if the bet was removed
+   */
+  cancelBet(betId) {
+    const bet = this.bets.get(betId);
+    if (!bet || bet.result !== 'pending') {
+      return false;
+    }
+    
+    const slotsBefore = this.getPlayerSlots(bet.userId).length;
+    this.bets.delete(betId);
+    
+    // A cancelled bet takes no part in the round, so neither does its seed
+    // (once the seeds are combined at the start the list is final)
+    const clientSeed = this.clientSeedsByBet.get(betId);
+    this.clientSeedsByBet.delete(betId);
+    if (clientSeed !== undefined && this.fairness.clientSeed === null) {
+      this.fairness.clientSeeds.splice(this.fairness.clientSeeds.indexOf(clientSeed), 1);
+    }
+    
+    const slotStats = this.getSlotStatistics(bet.slot);
+    slotStats.totalBets--;
+    slotStats.totalWagered -= bet.amount;
+    
+    this.statistics.totalBets--;
+    this.statistics.totalWagered -= bet.amount;
+    if (slotsBefore === 1) {
+      this.statistics.totalPlayers--;
+    }
+    if (slotsBefore === ENGINE_CONFIG.BETTING.MAX_BET_SLOTS) {
+      this.statistics.multiSlotPlayers--;
+    }
+    this.statistics.highestBet = this.getBets().reduce((highest, other) => Math.max(highest, other.amount), 0);
+    
+    return true;
+  }
+  
+  /**
+   * Cash out a pending bet on the server-side curve
+   * The request is judged at its server receive time (less the RTT grace, see
+   * judgeCashout) and paid at the curve multiplier of that judged time.
+   * A fraction below 1 takes that share of the remaining stake off the table
+   * and leaves the rest riding; the bet stays pending until nothing remains.
+   * @param {string} betId - Bet identifier
+   * @param {string} userId - Player requesting the cashout (must own the bet)
+   * @param {Object} options - Cashout options
+   * @param {number} options.fraction - Share of the remaining stake to cash out (0-1], default 1
+   * @param {number} options.receivedAt - Server receive time (epoch ms, default now)
+   * @param {number} options.rttMs - Client round trip from WebSocket pings (null = no grace)
+   * @returns {Object} Cashout result with the bet, the settlement just made and the judgement
+   */
+  cashOut(betId, userId, options = {}) {
+    const { fraction = 1, receivedAt = Date.now(), rttMs = null } = options;
+    
+    if (typeof fraction !== 'number' || !(fraction > 0) || fraction > 1) {
+      return {
+        success: false,
+        error: 'Cash-out fraction must be a number above 0 and at most 1'
+      };
+    }
+    
+    const bet = this.bets.get(betId);
+    
+    if (!bet || (userId && bet.userId !== String(userId))) {
+      return {
+        success: false,
+        error: 'Bet not found in this round'
+      };
+    }
+    
+    if (bet.result !== 'pending') {
+      return {
+        success: false,
+        error: `Bet already settled (${bet.result})`
+      };
+    }
+    
+    if (!bet.stakePosted) {
+      return {
+        success: false,
+        error: 'Bet stake has not been posted yet'
+      };
+    }
+    
+    if (this.state !== ROUND_STATES.RUNNING) {
+      return {
+        success: false,
+        error: 'Round is not running'
+      };
+    }
+    
+    // Judge against the server clock, never a client-supplied multiplier or time
+    const judgement = judgeCashout({
+      receivedElapsedMs: receivedAt - this.startedAt.getTime(),
+      rttMs,
+      crashTimeMs: this.gameDuration,
+      crashMultiplier: this.crashMultiplier
+    });
+    if (!judgement.accepted) {
+      return {
+        success: false,
+        error: 'Cashout failed - round crashed before cashout',
+        judgement
+      };
+    }
+    const judgedMultiplier = judgement.multiplier;
+    
+    // The curve already passed this bet's auto-cashout target - it was won there
+    if (bet.autoCashoutAt !== null && judgedMultiplier >= bet.autoCashoutAt) {
+      this.settleWin(bet, bet.autoCashoutAt, 'auto');
+      return { ...this.getSettlementResult(bet), judgement };
+    }
+    
+    // Both the part taken and the part left riding must be a valid stake
+    let stake = toCents(bet.remainingAmount * fraction);
+    if (stake < bet.remainingAmount) {
+      const minimum = ENGINE_CONFIG.BETTING.MIN_BET_AMOUNT;
+      if (stake < minimum || toCents(bet.remainingAmount - stake) < minimum) {
+        return {
+          success: false,
+          error: `A partial cash-out must take and leave at least ${minimum} of the stake`,
+          judgement
+        };
+      }
+    } else {
+      stake = bet.remainingAmount;
+    }
+    
+    this.settlePortion(bet, stake, judgedMultiplier, 'manual');
+    return { ...this.getSettlementResult(bet), judgement };
+  }
+  
+  /**
+   * Build a cash-out result
+   * @param {Object} bet - Bet just (partly) settled
+   * @returns {Object} Result with a copy of the bet and its latest settlement
+   */
+  getSettlementResult(bet) {
+    return {
+      success: true,
+      bet: copyBet(bet),
+      settlement: { ...bet.settlements[bet.settlements.length - 1] },
+      isPartial: bet.result === 'pending'
+    };
+  }
+  
+  /**
+   * Settle everything still riding on a bet as won at a multiplier
+   * @param {Object} bet - Pending bet
+   * @param {number} multiplier - Cashout multiplier
+   * @param {string} cashoutType - 'manual' or 'auto'
+   */
+  settleWin(bet, multiplier, cashoutType) {
+    this.settlePortion(bet, bet.remainingAmount, multiplier, cashoutType);
+  }
+  
+  /**
+   * Cash out part (or the rest) of a bet's remaining stake
+   * A bet counts once in playersCashedOut however many exits it makes;
+   * every exit adds its payout to totalPayout. The bet becomes a win when
+   * nothing is left riding.
+   * @param {Object} bet - Pending bet
+   * @param {number} stake - Stake to cash out (at most the remaining amount)
+   * @param {number} multiplier - Cashout multiplier
+   * @param {string} cashoutType - 'manual' or 'auto'
+   */
+  settlePortion(bet, stake, multiplier, cashoutType) {
+    const settlement = {
+      amount: stake,
+      multiplier,
+      payout: toCents(stake * multiplier),
+      cashoutType,
+      settledAt: new Date().toISOString()
+    };
+    
+    const isFirstExit = bet.settlements.length === 0;
+    bet.settlements.push(settlement);
+    bet.remainingAmount = toCents(bet.remainingAmount - stake);
+    bet.payout = toCents(bet.payout + settlement.payout);
+    
+    const slotStats = this.getSlotStatistics(bet.slot);
+    slotStats.totalPayout += settlement.payout;
+    this.statistics.totalPayout += settlement.payout;
+    if (isFirstExit) {
+      slotStats.cashedOut++;
+      this.statistics.playersCashedOut++;
+    }
+    
+    if (bet.remainingAmount > 0) {
+      this.statistics.partialCashouts++;
+      return;
+    }
+    
+    bet.result = 'win';
+    bet.cashoutMultiplier = multiplier;
+    bet.cashoutType = cashoutType;
+    bet.cashedOutAt = settlement.settledAt;
+    bet.profit = toCents(bet.payout - bet.amount);
+    if (bet.profit > this.statistics.highestWin) {
+      this.statistics.highestWin = bet.profit;
+    }
+  }
+  
+  /**
+   * Get the time at which the curve first reaches a multiplier
+   * @param {number} target - Multiplier
+   * @returns {number|null} Milliseconds after start, or null if the round crashes first
+   */
+  getAutoCashoutTime(target) {
+    if (this.crashMultiplier === null || target >= this.crashMultiplier) {
+      return null;
+    }
+    
+    return getTimeForMultiplier(target);
+  }
+  
+  /**
+   * Get the next time a pending bet's auto-cashout target is reached
+   * @returns {number|null} Milliseconds after start, or null if no target will be reached
+   */
+  getNextAutoCashoutTime() {
+    let next = null;
+    
+    for (const bet of this.bets.values()) {
+      if (bet.result !== 'pending' || bet.autoCashoutAt === null) {
+        continue;
+      }
+      
+      const time = this.getAutoCashoutTime(bet.autoCashoutAt);
+      if (time !== null && (next === null || time < next)) {
+        next = time;
+      }
+    }
+    
+    return next;
+  }
+  
+  /**
+   * Settle every pending bet whose auto-cashout target the curve has reached
+   * Each bet is paid at exactly its target, whenever the timer actually fired.
+   * @param {number} upToTime - Curve time (ms after start) reached
+   * @returns {Array} Bets settled by this call
+   */
+  settleAutoCashouts(upToTime) {
+    if (this.state !== ROUND_STATES.RUNNING) {
+      return [];
+    }
+    
+    const settled = [];
+    for (const bet of this.bets.values()) {
+      if (bet.result !== 'pending' || bet.autoCashoutAt === null) {
+        continue;
+      }
+      
+      const time = this.getAutoCashoutTime(bet.autoCashoutAt);
+      if (time !== null && time <= upToTime) {
+        this.settleWin(bet, bet.autoCashoutAt, 'auto');
+        settled.push(copyBet(bet));
+      }
+    }
+    
+    return settled;
+  }
+  
+  /**
+   * Mark every still-pending bet as crashed
+   * Only the remaining stake is lost - partial cash-outs keep their payout.
+   */
+  settleCrashedBets() {
+    for (const bet of this.bets.values()) {
+      if (bet.result === 'pending') {
+        bet.result = 'crashed';
+        bet.remainingAmount = 0;
+        bet.profit = toCents(bet.payout - bet.amount);
+        this.getSlotStatistics(bet.slot).crashed++;
+        this.statistics.playersCrashed++;
+        if (bet.profit > this.statistics.highestWin) {
+          this.statistics.highestWin = bet.profit;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Check whether a player already has a bet on this round
+   * @param {string} userId - Player identifier
+   * @returns {boolean} True if the player has placed a bet
+   */
+  hasPlayer(userId) {
+    return this.getPlayerSlots(userId).length > 0;
+  }
+  
+  /**
+   * Get the bet slots a player already uses on this round
+   * @param {string} userId - Player identifier
+   * @returns {Array} Slot numbers
+   */
+  getPlayerSlots(userId) {
+    const slots = [];
+    for (const bet of this.bets.values()) {
+      if (bet.userId === String(userId)) {
+        slots.push(bet.slot);
+      }
+    }
+    return slots;
+  }
+  
+  /**
+   * Find the lowest slot not in use
+   * @param {Array} takenSlots - Slots the player already uses
+   * @returns {number|null} Free slot, or null if every slot is taken
+   */
+  findFreeSlot(takenSlots) {
+    for (let slot = 1; slot <= ENGINE_CONFIG.BETTING.MAX_BET_SLOTS; slot++) {
+      if (!takenSlots.includes(slot)) {
+        return slot;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Find a player's bet in a slot
+   * @param {string} userId - Player identifier
+   * @param {number} slot - Bet slot
+   * @returns {Object|null} Copy of the bet or null if the slot is empty
+   */
+  getPlayerBet(userId, slot) {
+    for (const bet of this.bets.values()) {
+      if (bet.userId === String(userId) && bet.slot === slot) {
+        return copyBet(bet);
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Get the statistics of one bet slot
+   * @param {number} slot - Bet slot
+   * @returns {Object} Mutable slot statistics
+   */
+  getSlotStatistics(slot) {
+    return this.statistics.slots[slot - 1];
+  }
+  
+  /**
+   * Get bets placed on this round
+   * @returns {Array} Copies of bet objects
+   */
+  getBets() {
+    return Array.from(this.bets.values()).map(copyBet);
+  }
+  
   /**
    * Update round statistics (to be called when bets are placed)
    * @param {Object} betData - Bet information
    */
   updateStatistics(betData) {
+    const slotStats = this.getSlotStatistics(betData.slot);
+    slotStats.totalBets++;
+    slotStats.totalWagered += betData.amount;
+    
     this.statistics.totalBets++;
     this.statistics.totalWagered += betData.amount;
     
@@ -268,33 +872,151 @@ class Round {
   }
   
   /**
-   * Get round data for API response
-   * @returns {Object} Public round data
+   * Check whether the crash point may be shown to players
+   * @returns {boolean} True once the round has crashed
    */
-  getPublicData() {
+  isRevealed() {
+    return this.state === ROUND_STATES.CRASHED || this.state === ROUND_STATES.COMPLETED;
+  }
+  
+  /**
+   * Get elapsed running time
+   * @returns {number} Milliseconds since start (0 if not started)
+   */
+  getElapsedTime() {
+    if (!this.startedAt) {
+      return 0;
+    }
+    
+    const endTime = this.endedAt ? this.endedAt.getTime() : Date.now();
+    return Math.max(0, endTime - this.startedAt.getTime());
+  }
+  
+  /**
+   * Get live-safe round data (never includes the outcome)
+   * Anything derived from the crash point (crashMultiplier, roundType,
+   * gameDuration, timeRemaining) is withheld here.
+   * @returns {Object} Live round data
+   */
+  getLiveData() {
     return {
       roundId: this.roundId,
       state: this.state,
-      crashMultiplier: this.crashMultiplier,
-      roundType: this.roundType,
+      bettingClosesAt: this.bettingClosesAt,
       startedAt: this.startedAt,
-      endedAt: this.endedAt,
-      gameDuration: this.gameDuration,
       currentMultiplier: this.getCurrentMultiplier(),
-      timeRemaining: this.getTimeRemaining(),
+      elapsedTime: this.state === ROUND_STATES.RUNNING ? this.getElapsedTime() : 0,
       statistics: {
         totalBets: this.statistics.totalBets,
         totalWagered: this.statistics.totalWagered,
         totalPayout: this.statistics.totalPayout,
         playersCashedOut: this.statistics.playersCashedOut,
-        playersCrashed: this.statistics.playersCrashed
+        playersCrashed: this.statistics.playersCrashed,
+        partialCashouts: this.statistics.partialCashouts,
+        multiSlotPlayers: this.statistics.multiSlotPlayers,
+        slots: this.statistics.slots.map(slot => ({ ...slot }))
       },
       metadata: {
         isDemo: this.metadata.isDemoRound,
-        engineVersion: this.metadata.engineVersion
-      }
+        engineVersion: this.metadata.engineVersion,
+        settingsVersion: this.settingsVersion
+      },
+      fairness: this.getFairnessData()
+    };
+  }
+  
+  /**
+   * Get provably fair data
+   * Before the crash only the commitment is public; afterwards every input
+   * needed to recompute the crash point is revealed.
+   * @returns {Object} Fairness data
+   */
+  getFairnessData() {
+    const data = {
+      serverSeedHash: this.fairness.serverSeedHash,
+      paramsCommitment: this.fairness.paramsCommitment,
+      chainId: this.fairness.chainId,
+      chainIndex: this.fairness.chainIndex,
+      clientSeedCount: this.fairness.clientSeeds.length
+    };
+    
+    if (this.isRevealed()) {
+      data.serverSeed = this.fairness.serverSeed;
+      data.clientSeed = this.fairness.clientSeed;
+      data.clientSeeds = [...this.fairness.clientSeeds];
+      data.rngAlgorithm = this.fairness.rngAlgorithm;
+      data.roundingRule = this.fairness.roundingRule;
+      data.lossBias = this.lossBias;
+      data.maxWinMultiplier = this.maxWinMultiplier;
+      data.distribution = this.distribution;
+      data.distributionParams = this.distributionParams;
+      data.forcedCrashMultiplier = this.forcedCrashMultiplier;
+      data.settingsVersion = this.settingsVersion;
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Get post-crash reveal data
+   * Falls back to the live view while the round has not crashed yet.
+   * @returns {Object} Revealed round data
+   */
+  getRevealData() {
+    if (!this.isRevealed()) {
+      return this.getLiveData();
+    }
+    
+    return {
+      ...this.getLiveData(),
+      crashMultiplier: this.crashMultiplier,
+      roundType: this.roundType,
+      endedAt: this.endedAt,
+      crashedAt: this.crashedAt,
+      gameDuration: this.gameDuration,
+      elapsedTime: this.getElapsedTime()
     };
   }
+  
+  /**
+   * Get internal round data for admins (includes the outcome at any state)
+   * @returns {Object} Full round data
+   */
+  getAdminData() {
+    return {
+      roundId: this.roundId,
+      state: this.state,
+      crashMultiplier: this.crashMultiplier,
+      roundType: this.roundType,
+      lossBias: this.lossBias,
+      maxWinMultiplier: this.maxWinMultiplier,
+      distribution: this.distribution,
+      distributionParams: this.distributionParams,
+      forcedCrashMultiplier: this.forcedCrashMultiplier,
+      settingsVersion: this.settingsVersion,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      crashedAt: this.crashedAt,
+      generatedAt: this.generatedAt,
+      gameDuration: this.gameDuration,
+      currentMultiplier: this.getCurrentMultiplier(),
+      elapsedTime: this.getElapsedTime(),
+      timeRemaining: this.getTimeRemaining(),
+      statistics: { ...this.statistics, slots: this.statistics.slots.map(slot => ({ ...slot })) },
+      bets: this.getBets(),
+      fairness: { ...this.fairness, clientSeeds: [...this.fairness.clientSeeds] },
+      metadata: { ...this.metadata }
+    };
+  }
+  
+  /**
+   * Get round data for API response
+   * Live-safe while the round is queued or running, revealed after the crash.
+   * @returns {Object} Public round data
+   */
+  getPublicData() {
+    return this.isRevealed() ? this.getRevealData() : this.getLiveData();
+  }
 }
 
 /**
@@ -314,44 +1036,141 @@ class RoundManager {
     // Round generation sequence
     this.roundSequence = 0;
     
-    // Timer for auto-round management
-    this.roundTimer = null;
+    // Every pending timer, so stop() can always clear them all
+    this.timers = {
+      betting: null,     // Betting window → startCurrentRound
+      crash: null,       // Running round → crashCurrentRound
+      autoCashout: null, // Next auto-cashout target reached → runAutoCashouts
+      complete: null     // Crashed round → completeCurrentRound
+    };
+    
+    // Curve time (ms after start) the autoCashout timer is due at
+    this.autoCashoutDueAt = null;
+    
+    // Loop status - a paused loop finishes the current round but opens no new betting window
+    this.isRunning = false;
+    this.isPaused = false;
+    
+    // Configuration (replaced by initialize)
+    this.config = { ...ROUND_CONFIG };
+    
+    // Engine options applied to every newly queued round
+    this.roundOptions = {};
+    
+    // Admin-forced crash point for the next round to be queued (null = none)
+    this.pendingForcedCrash = null;
     
     // Callbacks for round events
     this.eventCallbacks = {
       onRoundStart: [],
       onRoundCrash: [],
       onRoundComplete: [],
-      onNextRoundQueued: []
+      onRoundCancelled: [],
+      onAutoCashout: [],
+      onNextRoundQueued: [],
+      onBettingOpen: []
     };
   }
   
   /**
-   * Initialize the round manager
+   * Initialize the round manager and start the round loop
+   * Calling it again restarts the loop with the new options.
    * @param {Object} options - Configuration options
    */
   initialize(options = {}) {
     console.log('Initializing Round Manager...');
     
+    if (this.isRunning) {
+      this.stop();
+    }
+    
     // Merge configuration
     this.config = { ...ROUND_CONFIG, ...options };
+    this.roundOptions = {};
+    this.pendingForcedCrash = null;
+    ['lossBias', 'maxWinMultiplier', 'distribution', 'distributionParams', 'settingsVersion'].forEach((key) => {
+      if (options[key] !== undefined) this.roundOptions[key] = options[key];
+    });
     
     // Generate initial round
     this.currentRoundId = this.generateRoundId();
-    const currentRound = new Round(this.currentRoundId, options);
-    this.rounds.set(this.currentRoundId, currentRound);
+    this.rounds.set(this.currentRoundId, this.createRound(this.currentRoundId));
     
     // Queue next round
     this.queueNextRound();
     
+    this.isRunning = true;
+    this.isPaused = false;
+    this.openBetting();
+    
     console.log(`Round Manager initialized. Current round: ${this.currentRoundId}`);
   }
   
   /**
-   * Start the current round
+   * Schedule a tracked timer (replacing any timer with the same name)
+   * @param {string} name - Timer name (betting, crash, autoCashout, complete)
+   * @param {number} delay - Delay in milliseconds
+   * @param {Function} callback - Manager method to run
+   */
+  setTimer(name, delay, callback) {
+    this.clearTimer(name);
+    this.timers[name] = setTimeout(() => {
+      this.timers[name] = null;
+      callback.call(this);
+    }, delay);
+  }
+  
+  /**
+   * Clear a tracked timer
+   * @param {string} name - Timer name
+   */
+  clearTimer(name) {
+    if (this.timers[name]) {
+      clearTimeout(this.timers[name]);
+      this.timers[name] = null;
+    }
+  }
+  
+  /**
+   * Clear every tracked timer
+   */
+  clearTimers() {
+    Object.keys(this.timers).forEach(name => this.clearTimer(name));
+  }
+  
+  /**
+   * Open the betting window on the current round; the round starts when it closes
+   * @returns {boolean} Success status
+   */
+  openBetting() {
+    const round = this.getCurrentRound();
+    if (!round) {
+      console.error('No current round to open betting on');
+      return false;
+    }
+    
+    const closesAt = new Date(Date.now() + this.config.BETTING_WINDOW);
+    if (!round.openBetting(closesAt)) {
+      return false;
+    }
+    
+    this.triggerEvent('onBettingOpen', {
+      roundId: round.roundId,
+      serverSeedHash: round.fairness.serverSeedHash,
+      startsAt: closesAt.toISOString()
+    });
+    
+    this.setTimer('betting', this.config.BETTING_WINDOW, this.startCurrentRound);
+    return true;
+  }
+  
+  /**
+   * Start the current round (closes betting)
    * @returns {boolean} Success status
    */
   startCurrentRound() {
+    this.clearTimer('betting');
+    
     const round = this.getCurrentRound();
     if (!round) {
       console.error('No current round to start');
@@ -362,85 +1181,232 @@ class RoundManager {
     
     if (success) {
       // Notify listeners
-      this.triggerEvent('onRoundStart', round.getPublicData());
-      
-      // Schedule crash based on game duration
-      const crashDelay = Math.min(
-        Math.max(round.gameDuration, this.config.MIN_ROUND_DURATION),
-        this.config.MAX_ROUND_DURATION
-      );
+      this.triggerEvent('onRoundStart', round.getLiveData());
       
-      setTimeout(() => {
-        this.crashCurrentRound();
-      }, crashDelay);
+      // The curve reaches the crash point at exactly gameDuration (a 1.00x
+      // round crashes at once). The crash is announced after the processing
+      // buffer (and the cash-out grace, when enabled) so requests received in
+      // time are still judged on their timestamps.
+      const { GRACE_ENABLED, MAX_GRACE_MS, PROCESSING_BUFFER_MS } = ENGINE_CONFIG.CASHOUT_JUDGING;
+      const announceDelay = Math.ceil(round.gameDuration) + PROCESSING_BUFFER_MS + (GRACE_ENABLED ? MAX_GRACE_MS : 0);
+      this.setTimer('crash', announceDelay, this.crashCurrentRound);
+      this.scheduleAutoCashout(round);
     }
     
     return success;
   }
   
+  /**
+   * Schedule the timer for the next auto-cashout target the curve will reach
+   * @param {Round} round - Running round
+   */
+  scheduleAutoCashout(round) {
+    this.clearTimer('autoCashout');
+    
+    const nextTime = round.getNextAutoCashoutTime();
+    if (nextTime === null) {
+      this.autoCashoutDueAt = null;
+      return;
+    }
+    
+    this.autoCashoutDueAt = nextTime;
+    this.setTimer('autoCashout', Math.max(0, Math.ceil(nextTime - round.getElapsedTime())), this.runAutoCashouts);
+  }
+  
+  /**
+   * Settle the auto-cashouts that are due and schedule the next one
+   */
+  runAutoCashouts() {
+    this.clearTimer('autoCashout');
+    
+    const round = this.getCurrentRound();
+    if (!round || round.state !== ROUND_STATES.RUNNING) {
+      return;
+    }
+    
+    // Timers can fire a millisecond early, so settle up to the time that was due
+    const settled = round.settleAutoCashouts(Math.max(round.getElapsedTime(), this.autoCashoutDueAt || 0));
+    if (settled.length > 0) {
+      this.triggerEvent('onAutoCashout', {
+        roundId: round.roundId,
+        bets: settled
+      });
+    }
+    
+    this.scheduleAutoCashout(round);
+  }
+  
   /**
    * Crash the current round
    * @returns {boolean} Success status
    */
   crashCurrentRound() {
+    this.clearTimer('crash');
+    this.clearTimer('autoCashout');
+    
     const round = this.getCurrentRound();
     if (!round) {
       console.error('No current round to crash');
       return false;
     }
     
+    // Every target below the crash point was reached before the crash, even
+    // if its timer is due in the same millisecond as this one
+    const settled = round.settleAutoCashouts(round.gameDuration);
+    if (settled.length > 0) {
+      this.triggerEvent('onAutoCashout', {
+        roundId: round.roundId,
+        bets: settled
+      });
+    }
+    
     const success = round.end();
     
     if (success) {
       // Notify listeners
-      this.triggerEvent('onRoundCrash', round.getPublicData());
+      this.triggerEvent('onRoundCrash', round.getRevealData());
       
       // Complete the round after a short delay
-      setTimeout(() => {
-        this.completeCurrentRound();
-      }, 1000);
+      this.setTimer('complete', this.config.COMPLETE_DELAY, this.completeCurrentRound);
     }
     
     return success;
   }
   
   /**
-   * Complete the current round
+   * Complete the current round and move on to the next one
    * @returns {boolean} Success status
    */
   completeCurrentRound() {
+    this.clearTimer('complete');
+    
     const round = this.getCurrentRound();
     if (!round) {
       console.error('No current round to complete');
       return false;
     }
     
+    const success = this.finishRound(round);
+    
+    if (success) {
+      this.advanceToNextRound();
+    }
+    
+    return success;
+  }
+  
+  /**
+   * Complete a crashed round: record it, persist it and drop it from the active rounds
+   * @param {Round} round - Crashed round
+   * @returns {boolean} Success status
+   */
+  finishRound(round) {
     const success = round.complete();
     
     if (success) {
       // Add to history
-      this.roundHistory.push(round.getPublicData());
+      this.roundHistory.push(round.getRevealData());
       
       // Keep history size manageable
       if (this.roundHistory.length > this.config.MAX_HISTORY_ROUNDS) {
         this.roundHistory.shift();
       }
       
+      // Persist so history survives restarts (the loop never waits on the database)
+      saveCompletedRound(round).catch((error) => {
+        console.error(`Failed to persist round ${round.roundId}:`, error);
+      });
+      
       // Notify listeners
-      this.triggerEvent('onRoundComplete', round.getPublicData());
+      this.triggerEvent('onRoundComplete', round.getRevealData());
       
       // Remove from active rounds
-      this.rounds.delete(this.currentRoundId);
-      
-      // Move to next round
-      this.advanceToNextRound();
+      this.rounds.delete(round.roundId);
     }
     
     return success;
   }
   
   /**
-   * Advance to the next queued round
+   * Place a bet on the current round
+   * @param {Object} betData - Bet information (userId, amount)
+   * @returns {Object} Placement result
+   */
+  placeBet(betData) {
+    const round = this.getCurrentRound();
+    if (!round) {
+      return {
+        success: false,
+        error: 'No current round to bet on'
+      };
+    }
+    
+    const result = round.placeBet(betData);
+    return { ...result, roundId: round.roundId };
+  }
+  
+  /**
+   * Cancel a pending bet on any active round
+   * @param {string} roundId - Round the bet was placed on
+   * @param {string} betId - Bet identifier
+   * @returns {boolean} True if the bet was removed
+   */
+  cancelBet(roundId, betId) {
+    const round = this.rounds.get(roundId);
+    return round ? round.cancelBet(betId) : false;
+  }
+  
+  /**
+   * Confirm a seated bet's stake on any active round
+   * @param {string} roundId - Round the bet was placed on
+   * @param {string} betId - Bet identifier
+   * @returns {Object|null} Confirmed bet, or null if the round started without it
+   */
+  confirmStake(roundId, betId) {
+    const round = this.rounds.get(roundId);
+    return round ? round.confirmStake(betId) : null;
+  }
+  
+  /**
+   * Cash out a bet on the current round
+   * @param {string} betId - Bet identifier (optional when a slot is given)
+   * @param {string} userId - Player requesting the cashout
+   * @param {Object} options - Cashout options
+   * @param {number} options.slot - Optional bet slot, used when no betId is given
+   * @param {number} options.fraction - Share of the remaining stake to cash out (default 1)
+   * @param {number} options.receivedAt - Server receive time (epoch ms)
+   * @param {number} options.rttMs - Client round trip from WebSocket pings
+   * @returns {Object} Cashout result
+   */
+  cashOut(betId, userId, options = {}) {
+    const { slot = null, ...judging } = options;
+    
+    const round = this.getCurrentRound();
+    if (!round) {
+      return {
+        success: false,
+        error: 'No current round to cash out from'
+      };
+    }
+    
+    if (!betId && slot !== null) {
+      const bet = round.getPlayerBet(userId, slot);
+      if (!bet) {
+        return {
+          success: false,
+          error: `No bet in slot ${slot} this round`
+        };
+      }
+      betId = bet.betId;
+    }
+    
+    const result = round.cashOut(betId, userId, judging);
+    return { ...result, roundId: round.roundId, betId: betId || null };
+  }
+  
+  /**
+   * Advance to the next queued round and open its betting window
+   * While paused the new round stays queued until resume().
    */
   advanceToNextRound() {
     if (!this.nextRoundId) {
@@ -456,10 +1422,28 @@ class RoundManager {
     // Queue another next round
     this.queueNextRound();
     
-    // Start the new current round after interval
-    setTimeout(() => {
-      this.startCurrentRound();
-    }, this.config.INTERVAL_BETWEEN_ROUNDS);
+    if (this.isPaused) {
+      console.log(`Round ${this.currentRoundId} held - Round Manager is paused`);
+      return;
+    }
+    
+    this.openBetting();
+  }
+  
+  /**
+   * Create a round with the current engine options
+   * The options (and any pending forced crash) are committed into the round
+   * here; later changes only reach rounds created after them.
+   * @param {string} roundId - Round identifier
+   * @returns {Round} New round
+   */
+  createRound(roundId) {
+    const round = new Round(roundId, {
+      ...this.roundOptions,
+      forcedCrashMultiplier: this.pendingForcedCrash
+    });
+    this.pendingForcedCrash = null;
+    return round;
   }
   
   /**
@@ -467,7 +1451,7 @@ class RoundManager {
    */
   queueNextRound() {
     this.nextRoundId = this.generateRoundId();
-    const nextRound = new Round(this.nextRoundId);
+    const nextRound = this.createRound(this.nextRoundId);
     this.rounds.set(this.nextRoundId, nextRound);
     
     console.log(`Next round queued: ${this.nextRoundId}`);
@@ -475,10 +1459,169 @@ class RoundManager {
     // Notify listeners
     this.triggerEvent('onNextRoundQueued', {
       roundId: this.nextRoundId,
+      serverSeedHash: nextRound.fairness.serverSeedHash,
       queuedAt: new Date().toISOString()
     });
   }
   
+  /**
+   * Check whether a round's crash point is still undecided
+   * @param {Round} round - Round to check
+   * @returns {boolean} True for queued rounds and rounds in their betting window
+   */
+  isNotStarted(round) {
+    return round.state === ROUND_STATES.IDLE || round.state === ROUND_STATES.BETTING;
+  }
+  
+  /**
+   * Update engine options for rounds queued from now on
+   * Rounds already created have published their parameter commitment and
+   * keep the options they were committed with.
+   * @param {Object} options - Engine options (lossBias, maxWinMultiplier, distribution, distributionParams, settingsVersion)
+   * @returns {Array} IDs of not-started rounds that keep their committed options
+   */
+  updateRoundOptions(options = {}) {
+    this.roundOptions = { ...this.roundOptions, ...options };
+    
+    const committedRounds = [];
+    for (const round of this.rounds.values()) {
+      if (this.isNotStarted(round)) {
+        committedRounds.push(round.roundId);
+      }
+    }
+    
+    return committedRounds;
+  }
+  
+  /**
+   * Select the crash-point model for rounds that have not started yet
+   * @param {string} name - Model name (see distributions.js)
+   * @param {Object} params - Model parameters
+   * @returns {Object} Operation result with the model's theoretical RTP
+   */
+  setDistribution(name, params = {}) {
+    const roundParams = {
+      lossBias: this.roundOptions.lossBias !== undefined ? this.roundOptions.lossBias : ROUND_CONFIG.DEFAULT_LOSS_BIAS,
+      maxWinMultiplier: this.roundOptions.maxWinMultiplier !== undefined
+        ? this.roundOptions.maxWinMultiplier
+        : ROUND_CONFIG.DEFAULT_MAX_WIN_MULTIPLIER
+    };
+    
+    const validation = validateDistribution(name, { ...params, ...roundParams });
+    if (!validation.isValid) {
+      return {
+        success: false,
+        errors: validation.errors
+      };
+    }
+    
+    const committedRounds = this.updateRoundOptions({ distribution: name, distributionParams: params });
+    
+    return {
+      success: true,
+      distribution: name,
+      distributionParams: params,
+      theoreticalRtp: getTheoreticalRtp(name, { ...params, ...roundParams }),
+      committedRounds
+    };
+  }
+  
+  /**
+   * Force a crash (admin demo control)
+   * With a multiplier, the next round to be queued crashes exactly there -
+   * rounds already committed keep their published parameters. Without one,
+   * the running round crashes immediately at its current multiplier and is
+   * marked 'forced' (its reveal will not match the seeded crash point).
+   * @param {number|null} multiplier - Forced crash multiplier
+   * @returns {Object} Operation result
+   */
+  forceCrash(multiplier = null) {
+    const currentRound = this.getCurrentRound();
+    
+    if (multiplier === null) {
+      if (!currentRound || currentRound.state !== ROUND_STATES.RUNNING) {
+        return {
+          success: false,
+          error: 'No running round to crash'
+        };
+      }
+      
+      // The reveal must show where the plane actually stopped. A round
+      // already past its crash point (waiting for the announcement) keeps it.
+      const elapsed = currentRound.getElapsedTime();
+      if (elapsed < currentRound.gameDuration) {
+        currentRound.crashMultiplier = currentRound.getCurrentMultiplier();
+        currentRound.gameDuration = elapsed;
+        currentRound.roundType = 'forced';
+      }
+      this.crashCurrentRound();
+      
+      return {
+        success: true,
+        roundId: currentRound.roundId,
+        crashMultiplier: currentRound.crashMultiplier,
+        immediate: true
+      };
+    }
+    
+    // Committed into the next round created (see createRound)
+    this.pendingForcedCrash = multiplier;
+    
+    return {
+      success: true,
+      roundId: null,
+      crashMultiplier: multiplier,
+      immediate: false,
+      committedRounds: [...this.rounds.values()]
+        .filter(round => this.isNotStarted(round))
+        .map(round => round.roundId)
+    };
+  }
+  
+  /**
+   * Pause the round loop
+   * A round already taking bets or running plays out; no new betting window opens.
+   * @returns {boolean} True if the loop was running and not paused
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) {
+      return false;
+    }
+    
+    this.isPaused = true;
+    console.log('Round Manager paused');
+    return true;
+  }
+  
+  /**
+   * Resume the round loop, opening betting on a round held back by pause()
+   * @returns {boolean} True if the loop was paused
+   */
+  resume() {
+    if (!this.isPaused) {
+      return false;
+    }
+    
+    this.isPaused = false;
+    console.log('Round Manager resumed');
+    
+    const round = this.getCurrentRound();
+    if (this.isRunning && round && round.state === ROUND_STATES.IDLE) {
+      this.openBetting();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get completed round data by ID (revealed view)
+   * @param {string} roundId - Round identifier
+   * @returns {Object|null} Round data from history
+   */
+  getCompletedRound(roundId) {
+    return this.roundHistory.find(round => round.roundId === roundId) || null;
+  }
+  
   /**
    * Generate a unique round ID
    * @returns {string} Unique round identifier
@@ -515,6 +1658,30 @@ class RoundManager {
     return this.rounds.get(roundId) || null;
   }
   
+  /**
+   * Get copies of the bets on a round still held in memory
+   * @param {string} roundId - Round identifier
+   * @returns {Array} Bets (empty if the round is unknown)
+   */
+  getRoundBets(roundId) {
+    const round = this.getRound(roundId);
+    return round ? round.getBets() : [];
+  }
+  
+  /**
+   * Get internal data for the current and next rounds (admin only)
+   * @returns {Object} Admin round data
+   */
+  getAdminRoundData() {
+    const currentRound = this.getCurrentRound();
+    const nextRound = this.getNextRound();
+    
+    return {
+      current: currentRound ? currentRound.getAdminData() : null,
+      next: nextRound ? nextRound.getAdminData() : null
+    };
+  }
+  
   /**
    * Get recent round history
    * @param {number} limit - Maximum number of rounds to return
@@ -569,14 +1736,34 @@ class RoundManager {
   }
   
   /**
-   * Stop the round manager and clean up
+   * Stop the round manager immediately and clean up
+   * Every timer is cleared. A crashed round is completed on the spot; rounds
+   * still taking bets or running are cancelled so their pending bets can be
+   * refunded (onRoundCancelled).
    */
   stop() {
-    if (this.roundTimer) {
-      clearTimeout(this.roundTimer);
-      this.roundTimer = null;
+    this.clearTimers();
+    
+    for (const round of Array.from(this.rounds.values())) {
+      if (round.state === ROUND_STATES.CRASHED) {
+        this.finishRound(round);
+      } else if (round.state === ROUND_STATES.BETTING || round.state === ROUND_STATES.RUNNING) {
+        // Seats whose stake is still being posted are refunded by placeCrashBet
+        // once the debit lands (the round is gone, so confirmStake fails)
+        this.triggerEvent('onRoundCancelled', {
+          roundId: round.roundId,
+          state: round.state,
+          bets: round.getBets().filter(bet => bet.result === 'pending' && bet.stakePosted)
+        });
+      }
     }
     
+    this.rounds.clear();
+    this.currentRoundId = null;
+    this.nextRoundId = null;
+    this.isRunning = false;
+    this.isPaused = false;
+    
     console.log('Round Manager stopped');
   }
   
@@ -589,7 +1776,8 @@ class RoundManager {
     const nextRound = this.getNextRound();
     
     return {
-      isRunning: !!currentRound,
+      isRunning: this.isRunning,
+      isPaused: this.isPaused,
       currentRoundId: this.currentRoundId,
       nextRoundId: this.nextRoundId,
       totalRoundsManaged: this.roundSequence,
@@ -597,6 +1785,12 @@ class RoundManager {
       historySize: this.roundHistory.length,
       currentRoundState: currentRound ? currentRound.state : null,
       nextRoundState: nextRound ? nextRound.state : null,
+      bettingClosesAt: currentRound ? currentRound.bettingClosesAt : null,
+      pendingTimers: Object.keys(this.timers).filter(name => this.timers[name]),
+      distribution: {
+        name: this.roundOptions.distribution || ENGINE_CONFIG.DISTRIBUTION,
+        params: this.roundOptions.distributionParams || {}
+      },
       config: this.config
     };
   }
@@ -618,9 +1812,19 @@ module.exports = {
   getCurrentRound: () => roundManager.getCurrentRound(),
   getRoundHistory: (limit) => roundManager.getRoundHistory(limit),
   getManagerStatus: () => roundManager.getStatus(),
+  getAdminRoundData: () => roundManager.getAdminRoundData(),
+  placeBet: (betData) => roundManager.placeBet(betData),
+  cashOut: (betId, userId, options) => roundManager.cashOut(betId, userId, options),
+  cancelBet: (roundId, betId) => roundManager.cancelBet(roundId, betId),
+  confirmStake: (roundId, betId) => roundManager.confirmStake(roundId, betId),
+  getRoundBets: (roundId) => roundManager.getRoundBets(roundId),
   
   // Event registration
   onRoundStart: (callback) => roundManager.on('onRoundStart', callback),
   onRoundCrash: (callback) => roundManager.on('onRoundCrash', callback),
-  onRoundComplete: (callback) => roundManager.on('onRoundComplete', callback)
+  onRoundComplete: (callback) => roundManager.on('onRoundComplete', callback),
+  onRoundCancelled: (callback) => roundManager.on('onRoundCancelled', callback),
+  onNextRoundQueued: (callback) => roundManager.on('onNextRoundQueued', callback),
+  onBettingOpen: (callback) => roundManager.on('onBettingOpen', callback),
+  onAutoCashout: (callback) => roundManager.on('onAutoCashout', callback)
 };
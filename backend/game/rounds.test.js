@@ -0,0 +1,89 @@
+// backend/game/rounds.test.js - Crash Round Tests for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Covers the window between the crash point and the crash announcement, and round reveals
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Round } = require('./rounds');
+const { ENGINE_CONFIG } = require('./engine');
+const fairness = require('./fairness');
+
+/**
+ * Start a round with one confirmed bet and a known crash point
+ * @returns {Object} { round, bet }
+ */
+function startRoundWithBet() {
+  const round = new Round('round_grace_test', { forcedCrashMultiplier: 1.5 });
+  round.openBetting(new Date(Date.now() + 1000).toISOString());
+
+  const placed = round.placeBet({ userId: 'player_1', amount: 10 });
+  assert.equal(placed.success, true);
+  round.confirmStake(placed.bet.betId);
+
+  assert.equal(round.start(), true);
+  return { round, bet: placed.bet };
+}
+
+/**
+ * Move a running round's start back so the server clock reads a given curve time
+ * @param {Round} round - Running round
+ * @param {number} elapsedMs - Curve time to simulate
+ */
+function setElapsed(round, elapsedMs) {
+  round.startedAt = new Date(Date.now() - elapsedMs);
+}
+
+describe('cash-out grace window', () => {
+  const graceInsideMs = ENGINE_CONFIG.CASHOUT_JUDGING.MAX_GRACE_MS / 2;
+  let round;
+  let bet;
+
+  beforeEach(() => {
+    ({ round, bet } = startRoundWithBet());
+  });
+
+  test('live multiplier keeps climbing past the crash point until the crash is announced', () => {
+    setElapsed(round, round.gameDuration + graceInsideMs);
+
+    assert.ok(round.getCurrentMultiplier() > round.crashMultiplier);
+    assert.ok(round.getLiveData().currentMultiplier > round.crashMultiplier);
+  });
+
+  test('a cash-out received after the crash point is rejected', () => {
+    setElapsed(round, round.gameDuration + graceInsideMs);
+
+    const result = round.cashOut(bet.betId, 'player_1', { receivedAt: Date.now(), rttMs: 0 });
+
+    assert.equal(result.success, false);
+    assert.equal(result.judgement.reason, 'crash_first');
+    assert.equal(round.getPlayerBet('player_1', bet.slot).result, 'pending');
+  });
+
+  test('a cash-out received before the crash point is paid on the curve', () => {
+    setElapsed(round, round.gameDuration + graceInsideMs);
+
+    const receivedAt = round.startedAt.getTime() + round.gameDuration - 50;
+    const result = round.cashOut(bet.betId, 'player_1', { receivedAt, rttMs: 0 });
+
+    assert.equal(result.success, true);
+    assert.equal(result.judgement.reason, 'before_crash');
+    assert.ok(result.judgement.multiplier < round.crashMultiplier);
+  });
+});
+
+describe('round reveal', () => {
+  test('a crashed round verifies under the rounding rule it committed to', () => {
+    const round = new Round('round_reveal_test', { lossBias: 0.3, maxWinMultiplier: 20 });
+    round.openBetting(new Date(Date.now() + 1000).toISOString());
+    assert.equal(round.start(), true);
+    assert.equal(round.end(), true);
+
+    const revealed = round.getFairnessData();
+    const result = fairness.verifyCrashRound({ ...revealed, roundId: round.roundId });
+
+    assert.equal(revealed.roundingRule, ENGINE_CONFIG.CURVE.ROUNDING_RULE);
+    assert.equal(result.crashMultiplier, round.crashMultiplier);
+    assert.equal(result.commitmentValid, true);
+    assert.equal(result.paramsCommitmentValid, true);
+  });
+});
@@ -0,0 +1,312 @@
+// backend/routes/admin.routes.js - Admin API Routes for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Exposes the admin powers from docs/admin-powers.md
+
+const express = require('express');
+const router = express.Router();
+const adminControls = require('../admin/controls');
+const { authorize, PERMISSIONS } = require('../users/permissions');
+
+/**
+ * Send an admin control result in the shared response format
+ * @param {Object} res - Express response
+ * @param {Object} result - Result from an admin control ({ success, error, errors, statusCode, ... })
+ * @param {string} successMessage - Message for successful results
+ * @param {string} failureMessage - Message for failed results
+ */
+function sendControlResult(res, result, successMessage, failureMessage) {
+  const { success, error, errors, statusCode, ...data } = result;
+
+  if (!success) {
+    return res.status(statusCode || 400).json({
+      success: false,
+      message: failureMessage,
+      error,
+      ...(errors && { errors }),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: successMessage,
+    timestamp: new Date().toISOString(),
+    data
+  });
+}
+
+/**
+ * @route   GET /admin/settings
+ * @desc    Get the current admin settings (bias, win cap, links, balances)
+ * @access  Admin (settings:manage)
+ * @returns {Object} Admin settings
+ */
+router.get('/settings', authorize(PERMISSIONS.MANAGE_SETTINGS), async (req, res) => {
+  const result = await adminControls.getSettings();
+  sendControlResult(res, result, 'Admin settings retrieved successfully', 'Failed to retrieve admin settings');
+});
+
+/**
+ * @route   PUT /admin/settings
+ * @desc    Change the loss bias and/or maximum win multiplier cap
+ * @access  Admin (settings:manage)
+ * @body    {number} lossBias - Optional loss bias (0-1)
+ * @body    {number} maxWinMultiplier - Optional maximum win multiplier (1-10000)
+ * @body    {number} colorLossBias - Optional color trading loss bias (0-1)
+ * @returns {Object} Updated settings and the rounds they were applied to
+ */
+router.put('/settings', authorize(PERMISSIONS.MANAGE_SETTINGS), async (req, res) => {
+  const { lossBias, maxWinMultiplier, colorLossBias } = req.body;
+
+  const result = await adminControls.updateGameSettings({ lossBias, maxWinMultiplier, colorLossBias }, req.user);
+  sendControlResult(res, result, 'Game settings updated successfully', 'Failed to update game settings');
+});
+
+/**
+ * @route   PUT /admin/links
+ * @desc    Change the demo deposit and/or withdraw redirect links
+ * @access  Admin (settings:manage)
+ * @body    {string} depositLink - Optional relative path starting with /
+ * @body    {string} withdrawLink - Optional relative path starting with /
+ * @returns {Object} Updated settings
+ */
+router.put('/links', authorize(PERMISSIONS.MANAGE_SETTINGS), async (req, res) => {
+  const { depositLink, withdrawLink } = req.body;
+
+  const result = await adminControls.updateLinks({ depositLink, withdrawLink }, req.user);
+  sendControlResult(res, result, 'Demo links updated successfully', 'Failed to update demo links');
+});
+
+/**
+ * @route   GET /admin/crash/rounds
+ * @desc    Get the current and upcoming crash rounds with crash points and bets
+ * @access  Admin (games:manage)
+ * @returns {Object} Admin round data
+ */
+router.get('/crash/rounds', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.getCrashRounds();
+  sendControlResult(res, result, 'Admin round data retrieved successfully', 'Failed to retrieve admin round data');
+});
+
+/**
+ * @route   POST /admin/crash/force-crash
+ * @desc    Force a crash - immediately, or at a chosen multiplier on the next round
+ * @access  Admin (games:manage)
+ * @body    {number} multiplier - Optional crash point for the next round (omit to crash the running round now)
+ * @returns {Object} Forced crash result
+ */
+router.post('/crash/force-crash', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.forceCrash(req.body.multiplier);
+  sendControlResult(res, result, 'Crash forced successfully', 'Failed to force crash');
+});
+
+/**
+ * @route   POST /admin/crash/distribution
+ * @desc    Select the crash-point model for rounds that have not started yet
+ * @access  Admin (games:manage)
+ * @body    {string} distribution - Model name (bias, classic, fixed-rtp, piecewise)
+ * @body    {Object} params - Optional model parameters (houseEdge, targetRtp, referenceTarget, table)
+ * @returns {Object} Selected model with its theoretical RTP
+ */
+router.post('/crash/distribution', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.setCrashDistribution(req.body.distribution, req.body.params);
+  sendControlResult(res, result, 'Crash distribution updated successfully', 'Failed to update crash distribution');
+});
+
+/**
+ * @route   POST /admin/crash/start
+ * @desc    Start the crash round loop with the saved settings
+ * @access  Admin (games:manage)
+ * @returns {Object} Crash game status
+ */
+router.post('/crash/start', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.startCrashGame();
+  sendControlResult(res, result, 'Crash game started successfully', 'Failed to start crash game');
+});
+
+/**
+ * @route   POST /admin/crash/pause
+ * @desc    Pause the crash round loop (the running round finishes first)
+ * @access  Admin (games:manage)
+ * @returns {Object} Crash game status
+ */
+router.post('/crash/pause', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.pauseCrashGame();
+  sendControlResult(res, result, 'Crash game paused successfully', 'Failed to pause crash game');
+});
+
+/**
+ * @route   POST /admin/crash/resume
+ * @desc    Resume a paused crash round loop
+ * @access  Admin (games:manage)
+ * @returns {Object} Crash game status
+ */
+router.post('/crash/resume', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.resumeCrashGame();
+  sendControlResult(res, result, 'Crash game resumed successfully', 'Failed to resume crash game');
+});
+
+/**
+ * @route   POST /admin/color/start
+ * @desc    Start the automatic color round loop
+ * @access  Admin (games:manage)
+ * @returns {Object} Color game status
+ */
+router.post('/color/start', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.startColorGame();
+  sendControlResult(res, result, 'Color trading started successfully', 'Failed to start color trading');
+});
+
+/**
+ * @route   POST /admin/color/pause
+ * @desc    Pause the color round loop (the current round finishes first)
+ * @access  Admin (games:manage)
+ * @returns {Object} Color game status
+ */
+router.post('/color/pause', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.pauseColorGame();
+  sendControlResult(res, result, 'Color trading paused successfully', 'Failed to pause color trading');
+});
+
+/**
+ * @route   POST /admin/color/resume
+ * @desc    Resume a paused color round loop
+ * @access  Admin (games:manage)
+ * @returns {Object} Color game status
+ */
+router.post('/color/resume', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
+  const result = adminControls.resumeColorGame();
+  sendControlResult(res, result, 'Color trading resumed successfully', 'Failed to resume color trading');
+});
+
+/**
+ * @route   GET /admin/crash/rounds/:roundId/reveal
+ * @desc    Reveal a completed round's crash point for education
+ * @access  Admin (games:manage)
+ * @returns {Object} Revealed round data
+ */
+router.get('/crash/rounds/:roundId/reveal', authorize(PERMISSIONS.MANAGE_GAMES), async (req, res) => {
+  const result = await adminControls.revealCrashRound(req.params.roundId);
+  sendControlResult(res, result, 'Crash round revealed successfully', 'Failed to reveal crash round');
+});
+
+/**
+ * @route   GET /admin/crash/cashout-audit
+ * @desc    View judged cash-out requests with their receive time, round trip and grace
+ * @access  Admin (reports:view)
+ * @query   {string} roundId - Optional round filter
+ * @query   {string} userId - Optional player filter
+ * @query   {number} limit - Number of records (default: 50, max: 200)
+ * @returns {Object} Audit records, newest first
+ */
+router.get('/crash/cashout-audit', authorize(PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+  const { roundId, userId, limit } = req.query;
+
+  const result = await adminControls.getCashoutAudits({ roundId, userId, limit });
+  sendControlResult(res, result, 'Cashout audit retrieved successfully', 'Failed to retrieve cashout audit');
+});
+
+/**
+ * @route   POST /admin/crash/cashout-audit/replay
+ * @desc    Recompute a recorded cash-out decision from its stored evidence
+ * @access  Admin (reports:view)
+ * @body    {string} auditId - Audit record to replay
+ * @returns {Object} Recorded and replayed decisions and whether they match
+ */
+router.post('/crash/cashout-audit/replay', authorize(PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+  const result = await adminControls.replayCashoutDecision(req.body.auditId);
+  sendControlResult(res, result, 'Cashout decision replayed successfully', 'Failed to replay cashout decision');
+});
+
+/**
+ * @route   POST /admin/users/reset-balances
+ * @desc    Reset every demo account to the starting balance
+ * @access  Admin (accounts:reset-balance)
+ * @returns {Object} Number of accounts reset
+ */
+router.post('/users/reset-balances', authorize(PERMISSIONS.RESET_BALANCES), async (req, res) => {
+  const result = await adminControls.resetAllBalances(req.user);
+  sendControlResult(res, result, 'All demo balances reset successfully', 'Failed to reset demo balances');
+});
+
+/**
+ * @route   POST /admin/users/:userId/reset-balance
+ * @desc    Reset one demo account to the starting balance
+ * @access  Admin (accounts:reset-balance)
+ * @returns {Object} Old and new balance
+ */
+router.post('/users/:userId/reset-balance', authorize(PERMISSIONS.RESET_BALANCES), async (req, res) => {
+  const result = await adminControls.resetUserBalance(req.params.userId, req.user);
+  sendControlResult(res, result, 'Demo balance reset successfully', 'Failed to reset demo balance');
+});
+
+/**
+ * @route   POST /admin/users/:userId/adjust-balance
+ * @desc    Credit (positive amount) or debit (negative amount) a demo balance
+ * @access  Admin (accounts:adjust-balance)
+ * @body    {number} amount - Signed adjustment
+ * @body    {string} reason - Why the balance is adjusted (shown in the user's ledger)
+ * @body    {string} idempotencyKey - Unique key; retries with the same key are applied once
+ * @returns {Object} Ledger entry and new balance
+ */
+router.post('/users/:userId/adjust-balance', authorize(PERMISSIONS.ADJUST_BALANCES), async (req, res) => {
+  const { amount, reason, idempotencyKey } = req.body;
+
+  const result = await adminControls.adjustUserBalance(req.params.userId, { amount, reason, idempotencyKey }, req.user);
+  sendControlResult(res, result, 'Demo balance adjusted successfully', 'Failed to adjust demo balance');
+});
+
+/**
+ * @route   GET /admin/ledger/reconcile
+ * @desc    Check every balance against the sum of its ledger entries
+ * @access  Admin (reports:view)
+ * @returns {Object} Accounts that do not reconcile and platform account totals
+ */
+router.get('/ledger/reconcile', authorize(PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+  const result = await adminControls.reconcileBalances();
+  sendControlResult(res, result, 'Ledger reconciliation completed', 'Failed to reconcile ledger');
+});
+
+/**
+ * @route   GET /admin/users/:userId/ledger/reconcile
+ * @desc    Check one user's balance against the sum of their ledger entries
+ * @access  Admin (reports:view)
+ * @returns {Object} Balance, ledger balance and difference
+ */
+router.get('/users/:userId/ledger/reconcile', authorize(PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+  const result = await adminControls.reconcileBalances(req.params.userId);
+  sendControlResult(res, result, 'User ledger reconciliation completed', 'Failed to reconcile user ledger');
+});
+
+/**
+ * @route   GET /admin/users/:userId/bets
+ * @desc    View one user's bet history, newest first
+ * @access  Admin (accounts:view)
+ * @query   {string} game - Optional game filter (crash, color_trading)
+ * @query   {string} result - Optional result filter (pending, win, loss, crashed, refunded)
+ * @query   {string} from - Optional earliest placement date (ISO 8601)
+ * @query   {string} to - Optional latest placement date (ISO 8601)
+ * @query   {number} limit - Number of bets per page (default: 20, max: 100)
+ * @query   {string} before - Optional cursor (nextCursor from the previous page)
+ * @returns {Object} Bets and the next page cursor
+ */
+router.get('/users/:userId/bets', authorize(PERMISSIONS.VIEW_ACCOUNTS), async (req, res) => {
+  const { game, result, from, to, limit, before } = req.query;
+
+  const bets = await adminControls.getUserBets(req.params.userId, { game, result, from, to, limit, before });
+  sendControlResult(res, bets, 'User bet history retrieved successfully', 'Failed to retrieve user bet history');
+});
+
+/**
+ * @route   GET /admin/reports/wins-losses
+ * @desc    View total demo losses vs wins across games and accounts
+ * @access  Admin (reports:view)
+ * @returns {Object} Win/loss report
+ */
+router.get('/reports/wins-losses', authorize(PERMISSIONS.VIEW_REPORTS), async (req, res) => {
+  const result = await adminControls.getWinLossReport();
+  sendControlResult(res, result, 'Win/loss report generated successfully', 'Failed to generate win/loss report');
+});
+
+// Export router
+module.exports = router;
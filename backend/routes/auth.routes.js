@@ -6,6 +6,17 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { User } = require('../database/models');
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  authenticate,
+  sendAuthError,
+  AuthError
+} = require('../users/auth');
+const { authorize, PERMISSIONS } = require('../users/permissions');
+const { resetDemoBalance, grantSignupBalance } = require('../users/userStore');
+const { getUserEntries } = require('../users/ledger');
 
 /**
  * Input validation helper function
@@ -57,6 +68,18 @@ function sanitizeUser(user) {
   return userObj;
 }
 
+/**
+ * Collect client information stored with a session
+ * @param {Object} req - Express request
+ * @returns {Object} Session metadata
+ */
+function getClientMetadata(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
 /**
  * @route   POST /auth/signup
  * @desc    Register a new demo user account
@@ -64,7 +87,7 @@ function sanitizeUser(user) {
  * @body    {Object} credentials - Username and password
  * @body    {string} credentials.username - Desired username
  * @body    {string} credentials.password - Desired password
- * @returns {Object} Registration result with user data
+ * @returns {Object} Registration result with user data and session tokens
  */
 router.post('/signup', async (req, res) => {
   try {
@@ -95,18 +118,21 @@ router.post('/signup', async (req, res) => {
     const newUser = new User({
       username: username.trim(),
       password: password,
-      balance: 10000, // Starting demo balance
       role: 'player',
       language: 'en',
       isDemoAccount: true
     });
     
-    // Save user to database
+    // Save user to database, then credit the starting demo balance
     await newUser.save();
+    await grantSignupBalance(newUser);
     
     // Sanitize user data for response
     const userResponse = sanitizeUser(newUser);
     
+    // Sign the new user in straight away
+    const tokens = await createSession(newUser, getClientMetadata(req));
+    
     console.log(`New demo user registered: ${username}`);
     
     res.status(201).json({
@@ -115,6 +141,7 @@ router.post('/signup', async (req, res) => {
       timestamp: new Date().toISOString(),
       data: {
         user: userResponse,
+        tokens,
         note: 'This is a demo account only. No real money is involved.'
       }
     });
@@ -137,7 +164,7 @@ router.post('/signup', async (req, res) => {
  * @body    {Object} credentials - Username and password
  * @body    {string} credentials.username - Registered username
  * @body    {string} credentials.password - Account password
- * @returns {Object} Authentication result with user data
+ * @returns {Object} Authentication result with user data and session tokens
  */
 router.post('/login', async (req, res) => {
   try {
@@ -188,6 +215,9 @@ router.post('/login', async (req, res) => {
     // Sanitize user data for response
     const userResponse = sanitizeUser(user);
     
+    // Start a new session (access + refresh tokens)
+    const tokens = await createSession(user, getClientMetadata(req));
+    
     console.log(`User logged in: ${username}`);
     
     res.status(200).json({
@@ -196,6 +226,7 @@ router.post('/login', async (req, res) => {
       timestamp: new Date().toISOString(),
       data: {
         user: userResponse,
+        tokens,
         note: 'This is a demo platform. No real money is involved.'
       }
     });
@@ -211,6 +242,133 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (demo platform)
+ * @body    {string} refreshToken - Refresh token from login, signup or a previous refresh
+ * @returns {Object} New session tokens (the old refresh token stops working)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body && req.body.refreshToken);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session refreshed successfully',
+      timestamp: new Date().toISOString(),
+      data: {
+        tokens
+      }
+    });
+    
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error.statusCode, error.message);
+    }
+    
+    console.error('Error refreshing session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /auth/logout
+ * @desc    Revoke the current session (access and refresh tokens stop working)
+ * @access  Authenticated (demo platform)
+ * @returns {Object} Logout result
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.session._id);
+    
+    console.log(`User logged out: ${req.user.username}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /auth/me
+ * @desc    Get the authenticated user
+ * @access  Authenticated (demo platform)
+ * @returns {Object} Current user and session expiry
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: 'Authenticated user retrieved successfully',
+    timestamp: new Date().toISOString(),
+    data: {
+      user: sanitizeUser(req.user),
+      sessionExpiresAt: req.session.expiresAt
+    }
+  });
+});
+
+/**
+ * @route   GET /auth/ledger
+ * @desc    Get the authenticated user's balance history ("where did my money go")
+ * @access  Authenticated (demo platform)
+ * @query   {number} limit - Optional page size (default 50, max 200)
+ * @query   {string} before - Optional cursor from the previous page's nextCursor
+ * @query   {string} type - Optional entry type filter
+ * @returns {Object} Ledger entries, newest first
+ */
+router.get('/ledger', authenticate, async (req, res) => {
+  try {
+    const { limit, before, type } = req.query;
+    
+    const result = await getUserEntries(req.user._id, { limit, before, type });
+    
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to retrieve ledger',
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Ledger retrieved successfully',
+      timestamp: new Date().toISOString(),
+      data: {
+        balance: req.user.balance,
+        entries: result.entries,
+        nextCursor: result.nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve ledger',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   GET /auth/check-username/:username
  * @desc    Check if a username is available
@@ -324,11 +482,11 @@ router.post('/demo-quick-login', async (req, res) => {
 /**
  * @route   GET /auth/demo-accounts
  * @desc    Get list of demo accounts (for demo/testing purposes)
- * @access  Public (demo platform)
+ * @access  Admin (accounts:view)
  * @query   {number} limit - Maximum accounts to return (default: 10)
  * @returns {Object} List of demo accounts (without passwords)
  */
-router.get('/demo-accounts', async (req, res) => {
+router.get('/demo-accounts', authorize(PERMISSIONS.VIEW_ACCOUNTS), async (req, res) => {
   try {
     // Parse limit parameter with bounds
     const limit = Math.min(
@@ -374,11 +532,11 @@ router.get('/demo-accounts', async (req, res) => {
 /**
  * @route   POST /auth/reset-demo-balance/:userId
  * @desc    Reset a demo user's balance to starting amount
- * @access  Public (demo platform)
+ * @access  Admin (accounts:reset-balance)
  * @param   {string} userId - User ID to reset
  * @returns {Object} Reset result
  */
-router.post('/reset-demo-balance/:userId', async (req, res) => {
+router.post('/reset-demo-balance/:userId', authorize(PERMISSIONS.RESET_BALANCES), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -410,25 +568,12 @@ router.post('/reset-demo-balance/:userId', async (req, res) => {
       });
     }
     
-    // Reset balance to starting amount
-    const oldBalance = user.balance;
-    user.balance = 10000; // Reset to starting demo balance
-    
-    // Reset statistics for educational purposes
-    user.statistics = {
-      totalBets: 0,
-      totalWagered: 0,
-      totalProfit: 0,
-      highestWin: 0
-    };
-    
-    await user.save();
+    // Reset balance and statistics to the configured starting state
+    const { oldBalance, newBalance } = await resetDemoBalance(user, null, { createdBy: req.user._id });
     
     // Sanitize user data for response
     const userResponse = sanitizeUser(user);
     
-    console.log(`Demo balance reset for user ${user.username}: ${oldBalance} -> ${user.balance}`);
-    
     res.status(200).json({
       success: true,
       message: 'Demo balance reset successfully',
@@ -436,7 +581,7 @@ router.post('/reset-demo-balance/:userId', async (req, res) => {
       data: {
         user: userResponse,
         oldBalance,
-        newBalance: user.balance,
+        newBalance,
         note: 'Balance reset for demo/educational purposes only.'
       }
     });
@@ -4,6 +4,23 @@
 const express = require('express');
 const router = express.Router();
 const gameController = require('../game/index');
+const { validateBetFilters } = require('../game/betHistory');
+const { authorize, PERMISSIONS } = require('../users/permissions');
+
+/**
+ * Record when a request reached the server
+ * Runs before authorization, so a cash-out is judged on its arrival, not on when
+ * its session lookups finish. The crash announcement waits out
+ * CASHOUT_JUDGING.PROCESSING_BUFFER_MS so lookups in flight can still complete;
+ * a request still authorizing after that finds the round crashed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function stampReceivedAt(req, res, next) {
+  req.receivedAt = Date.now();
+  next();
+}
 
 /**
  * @route   GET /game/status
@@ -61,6 +78,42 @@ router.get('/engine-info', (req, res) => {
 // CRASH GAME ROUTES
 // ============================================
 
+/**
+ * @route   GET /game/crash/distributions
+ * @desc    List the crash-point models with their theoretical RTP
+ * @access  Public (demo platform)
+ * @returns {Object} Active model and every available model
+ */
+router.get('/crash/distributions', (req, res) => {
+  try {
+    const result = gameController.getCrashDistributions();
+    
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Crash distributions retrieved successfully',
+        timestamp: new Date().toISOString(),
+        data: result
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve crash distributions',
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error getting crash distributions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve crash distributions',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   GET /game/crash/current
  * @desc    Get current crash game round information
@@ -101,18 +154,28 @@ router.get('/crash/current', (req, res) => {
  * @route   GET /game/crash/history
  * @desc    Get crash game round history
  * @access  Public (demo platform)
- * @query   {number} limit - Number of rounds to retrieve (default: 10, max: 50)
- * @returns {Array} Historical crash round data
+ * @query   {number} limit - Number of rounds per page (default: 10, max: 50)
+ * @query   {string} before - Optional cursor (nextCursor from the previous page)
+ * @returns {Array} Historical crash round data and the next page cursor
  */
-router.get('/crash/history', (req, res) => {
+router.get('/crash/history', async (req, res) => {
   try {
     // Parse limit parameter with bounds
     const limit = Math.min(
       parseInt(req.query.limit) || 10,
-      50 // Maximum limit for demo platform
+      50 // Maximum page size for demo platform
     );
     
-    const result = gameController.getCrashRoundHistory(limit);
+    const before = req.query.before || null;
+    if (before && !/^[a-f0-9]{24}$/i.test(before)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid history cursor',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await gameController.getCrashRoundHistory(limit, before);
     
     if (result.success) {
       res.status(200).json({
@@ -218,6 +281,283 @@ router.post('/crash/validate-cashout', (req, res) => {
   }
 });
 
+/**
+ * @route   POST /game/crash/verify
+ * @desc    Recompute a crash round's multiplier from its revealed seeds
+ * @access  Public (demo platform)
+ * @body    {string} roundId - Completed round to verify from its stored seeds
+ * @body    {Object} inputs - Or explicit inputs (serverSeed, clientSeed, roundId, lossBias,
+ *                            maxWinMultiplier, optional distribution, distributionParams, rngAlgorithm,
+ *                            forcedCrashMultiplier, settingsVersion, roundingRule (omit for rounds
+ *                            recorded without one), serverSeedHash, paramsCommitment and previousServerSeed)
+ * @returns {Object} Recomputed multiplier and commitment checks
+ */
+router.post('/crash/verify', async (req, res) => {
+  try {
+    const input = req.body;
+    
+    // Validate required fields
+    if (!input || typeof input !== 'object' || (!input.roundId && !input.serverSeed)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification requires a roundId or the revealed round inputs',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await gameController.verifyCrashRound(input);
+    
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Crash round verified',
+        timestamp: new Date().toISOString(),
+        data: result.verification
+      });
+    } else {
+      res.status(result.notFound ? 404 : 400).json({
+        success: false,
+        message: 'Failed to verify crash round',
+        error: result.errors || result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error verifying crash round:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify crash round',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /game/crash/bet
+ * @desc    Place a bet on the current crash round (before it starts running)
+ * @access  Player (games:play)
+ * @body    {Object} betData - Bet information (amount, optional slot 1-2, optional autoCashoutAt target, optional clientSeed mixed into the round's outcome)
+ * @returns {Object} Bet placement result
+ */
+router.post('/crash/bet', authorize(PERMISSIONS.PLAY_GAMES), async (req, res) => {
+  try {
+    const betData = req.body;
+    
+    // Validate required fields
+    if (!betData || typeof betData !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bet data provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!betData.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bet data must include amount',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Bets always belong to the authenticated user
+    const result = await gameController.placeCrashBet({ ...betData, userId: req.user._id });
+    
+    if (result.success) {
+      res.status(201).json({
+        success: true,
+        message: 'Crash bet placed successfully',
+        timestamp: new Date().toISOString(),
+        data: result
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to place crash bet',
+        error: result.errors || result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error placing crash bet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to place crash bet',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /game/crash/cashout
+ * @desc    Cash out a bet, judged at the time the request reached the server
+ *          (no latency grace - the round trip is only measured on WebSocket connections)
+ * @access  Player (games:play)
+ * @body    {Object} cashoutData - Cashout information (betId or the slot holding the bet, optional fraction of the remaining stake for a partial cash-out)
+ * @returns {Object} Cashout result with settled bet and the judgement
+ */
+router.post('/crash/cashout', stampReceivedAt, authorize(PERMISSIONS.PLAY_GAMES), async (req, res) => {
+  try {
+    const cashoutData = req.body;
+    
+    // Validate required fields
+    if (!cashoutData || typeof cashoutData !== 'object' || (!cashoutData.betId && cashoutData.slot === undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cashout data must include betId or slot',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Only the authenticated user's own bets can be cashed out; timing is never client-supplied
+    const result = await gameController.cashOutCrashBet({
+      ...cashoutData,
+      userId: req.user._id,
+      receivedAt: req.receivedAt,
+      rttMs: null,
+      transport: 'http'
+    });
+    
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Cashout successful',
+        timestamp: new Date().toISOString(),
+        data: result
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Cashout rejected',
+        error: result.error,
+        judgement: result.judgement || null,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error cashing out crash bet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cash out crash bet',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /game/crash/auto-bet
+ * @desc    Start an auto-bet program that places a bet on every new crash round
+ * @access  Player (games:play)
+ * @body    {Object} config - baseAmount, autoCashoutAt, totalBets, optional stopOnProfit, stopOnLoss, maxAmount, slot, strategy (flat, martingale, reverse-martingale) or onWin/onLoss ({ action: reset|increase, multiplier })
+ * @returns {Object} Started program
+ */
+router.post('/crash/auto-bet', authorize(PERMISSIONS.PLAY_GAMES), async (req, res) => {
+  try {
+    const config = req.body;
+    
+    if (!config || typeof config !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid auto-bet configuration provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Programs always belong to the authenticated user
+    const result = gameController.startAutoBet(req.user._id, config);
+    
+    if (result.success) {
+      res.status(201).json({
+        success: true,
+        message: 'Auto-bet started',
+        timestamp: new Date().toISOString(),
+        data: result
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to start auto-bet',
+        error: result.errors || result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error starting auto-bet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start auto-bet',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /game/crash/auto-bet/stop
+ * @desc    Stop the player's running auto-bet program (a bet already placed still settles)
+ * @access  Player (games:play)
+ * @returns {Object} Stopped program
+ */
+router.post('/crash/auto-bet/stop', authorize(PERMISSIONS.PLAY_GAMES), async (req, res) => {
+  try {
+    const result = gameController.stopAutoBet(req.user._id);
+    
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Auto-bet stopped',
+        timestamp: new Date().toISOString(),
+        data: result
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to stop auto-bet',
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error stopping auto-bet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop auto-bet',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /game/crash/auto-bet
+ * @desc    Get the player's latest auto-bet program and its recent results
+ * @access  Player (games:play)
+ * @returns {Object} Program (null if none was started)
+ */
+router.get('/crash/auto-bet', authorize(PERMISSIONS.PLAY_GAMES), async (req, res) => {
+  try {
+    const result = gameController.getAutoBet(req.user._id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Auto-bet retrieved successfully',
+      timestamp: new Date().toISOString(),
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting auto-bet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get auto-bet',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // ============================================
 // COLOR TRADING GAME ROUTES
 // ============================================
@@ -259,38 +599,127 @@ router.get('/color/current', (req, res) => {
 });
 
 /**
- * @route   POST /game/color/start
- * @desc    Start a new color trading round
+ * @route   GET /game/color/history
+ * @desc    Get color trading round history
  * @access  Public (demo platform)
- * @body    {Object} options - Round configuration options
- * @returns {Object} Started round information
+ * @query   {number} limit - Number of rounds per page (default: 10, max: 50)
+ * @query   {string} before - Optional cursor (nextCursor from the previous page)
+ * @returns {Array} Completed color rounds and the next page cursor
  */
-router.post('/color/start', (req, res) => {
+router.get('/color/history', async (req, res) => {
+  try {
+    // Parse limit parameter with bounds
+    const limit = Math.min(
+      parseInt(req.query.limit) || 10,
+      50 // Maximum page size for demo platform
+    );
+    
+    const before = req.query.before || null;
+    if (before && !/^[a-f0-9]{24}$/i.test(before)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid history cursor',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await gameController.getColorRoundHistory(limit, before);
+    
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Color round history retrieved successfully',
+        timestamp: new Date().toISOString(),
+        data: result
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Failed to retrieve color history',
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error getting color history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve color round history',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   GET /game/color/rounds/:roundId
+ * @desc    Get one color trading round (live view while running, result and settlement once completed)
+ * @access  Public (demo platform)
+ * @returns {Object} Color round data
+ */
+router.get('/color/rounds/:roundId', async (req, res) => {
+  try {
+    const result = await gameController.getColorRound(req.params.roundId);
+    
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Color round retrieved successfully',
+        timestamp: new Date().toISOString(),
+        data: result
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        message: 'Color round not found',
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error getting color round:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve color round',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * @route   POST /game/color/start
+ * @desc    Start the automatic color trading round loop
+ * @access  Admin (games:manage)
+ * @body    {Object} options - Round configuration options (roundDuration, lossBias)
+ * @returns {Object} Color game status
+ */
+router.post('/color/start', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
   try {
     const { options } = req.body;
     
-    const result = gameController.startColorTradingRound(options || {});
+    const result = gameController.startColorTrading(options || {});
     
     if (result.success) {
       res.status(201).json({
         success: true,
-        message: 'Color trading round started successfully',
+        message: 'Color trading started successfully',
         timestamp: new Date().toISOString(),
         data: result
       });
     } else {
       res.status(400).json({
         success: false,
-        message: 'Failed to start color trading round',
+        message: 'Failed to start color trading',
         error: result.error,
         timestamp: new Date().toISOString()
       });
     }
   } catch (error) {
-    console.error('Error starting color round:', error);
+    console.error('Error starting color trading:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to start color trading round',
+      message: 'Failed to start color trading',
       error: error.message,
       timestamp: new Date().toISOString()
     });
@@ -300,11 +729,11 @@ router.post('/color/start', (req, res) => {
 /**
  * @route   POST /game/color/bet
  * @desc    Place a bet on current color trading round
- * @access  Public (demo platform)
+ * @access  Player (games:play)
  * @body    {Object} betData - Bet information (color, amount)
  * @returns {Object} Bet placement result
  */
-router.post('/color/bet', (req, res) => {
+router.post('/color/bet', authorize(PERMISSIONS.PLAY_GAMES), async (req, res) => {
   try {
     const betData = req.body;
     
@@ -325,7 +754,7 @@ router.post('/color/bet', (req, res) => {
       });
     }
     
-    const result = gameController.placeColorBet(betData);
+    const result = await gameController.placeColorBet({ ...betData, userId: req.user._id });
     
     if (result.success) {
       res.status(201).json({
@@ -405,13 +834,23 @@ router.post('/color/validate-bet', (req, res) => {
  * @route   POST /game/color/simulate
  * @desc    Simulate a color trading result (for demo/testing)
  * @access  Public (demo platform)
- * @body    {Object} options - Color game generation options
+ * @body    {Object} options - Color game generation options (lossBias, customSeed, rngAlgorithm;
+ *                             the round ID is generated - live round IDs are not accepted)
  * @returns {Object} Generated color result
  */
 router.post('/color/simulate', (req, res) => {
   try {
     const { options } = req.body;
     
+    // Simulations run on the public roundId seed derivation; they never take a round ID
+    if (options && options.roundId !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Simulations do not accept a roundId',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     const result = gameController.generateColorResult(options || {});
     
     if (result.success) {
@@ -440,14 +879,66 @@ router.post('/color/simulate', (req, res) => {
   }
 });
 
+/**
+ * @route   GET /game/bets
+ * @desc    Get the authenticated user's bet history, newest first
+ * @access  Player (games:play)
+ * @query   {string} game - Optional game filter (crash, color_trading)
+ * @query   {string} result - Optional result filter (pending, win, loss, crashed, refunded)
+ * @query   {string} from - Optional earliest placement date (ISO 8601)
+ * @query   {string} to - Optional latest placement date (ISO 8601)
+ * @query   {number} limit - Number of bets per page (default: 20, max: 100)
+ * @query   {string} before - Optional cursor (nextCursor from the previous page)
+ * @returns {Object} Bets and the next page cursor
+ */
+router.get('/bets', authorize(PERMISSIONS.PLAY_GAMES), async (req, res) => {
+  try {
+    const validation = validateBetFilters(req.query);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bet history filters',
+        errors: validation.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await gameController.getUserBetHistory(req.user._id, validation.filters);
+    
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Bet history retrieved successfully',
+        timestamp: new Date().toISOString(),
+        data: result
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to retrieve bet history',
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Error getting bet history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve bet history',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * @route   POST /game/initialize
  * @desc    Initialize or reinitialize the game controller
- * @access  Public (demo platform)
+ * @access  Admin (games:manage)
  * @body    {Object} options - Game controller configuration options
  * @returns {Object} Initialization result
  */
-router.post('/initialize', (req, res) => {
+router.post('/initialize', authorize(PERMISSIONS.MANAGE_GAMES), (req, res) => {
   try {
     const { options } = req.body;
     
@@ -6,8 +6,22 @@ const http = require('http');
 const cors = require('cors');
 const gameRoutes = require('./routes/game.routes');
 const authRoutes = require('./routes/auth.routes');
+const adminRoutes = require('./routes/admin.routes');
 const helmet = require('helmet');
 const { connectDB } = require('./database/connect');
+const { ensureBootstrapAdmin } = require('./users/userStore');
+const ledger = require('./users/ledger');
+const { attachCrashStream } = require('./websocket/crashStream');
+const { attachColorStream } = require('./websocket/colorStream');
+const { handleCommand, CHANNELS } = require('./websocket/commands');
+const sessions = require('./websocket/sessions');
+const { startLatencyProbe, stopLatencyProbe } = require('./websocket/latency');
+const {
+  onPlayerEvent,
+  loadGameSettings,
+  initializeGameController,
+  shutdownGameController
+} = require('./game/index');
 const morgan = require('morgan');
 require('dotenv').config();
 
@@ -60,8 +74,9 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', require('./routes/auth.routes')); // Authentication routes
 app.use('/game', gameRoutes);
 app.use('/auth', authRoutes);
+app.use('/admin', adminRoutes);
 
-// WebSocket server setup (for future game implementation)
+// WebSocket server setup (game streams and player commands)
 const initializeWebSocketServer = () => {
   const WebSocket = require('ws');
   const wss = new WebSocket.Server({ 
@@ -75,42 +90,66 @@ const initializeWebSocketServer = () => {
 
   wss.on('connection', (ws, req) => {
     const clientId = req.headers['sec-websocket-key'] || Date.now().toString();
-    demoClients.set(clientId, ws);
-    
-    console.log(`WebSocket client connected: ${clientId}`);
+    const client = {
+      id: clientId,
+      ws,
+      userId: null,
+      username: null,
+      accessToken: null,
+      // New clients receive every game until they unsubscribe
+      subscriptions: new Set(Object.values(CHANNELS))
+    };
+    demoClients.set(clientId, client);
+    startLatencyProbe(client);
     
-    // Send connection confirmation
-    ws.send(JSON.stringify({
-      type: 'connection_established',
-      message: 'Connected to Aviiaor demo platform',
-      clientId,
-      timestamp: new Date().toISOString(),
-    }));
-
-    // Handle incoming messages
-    ws.on('message', (message) => {
-      try {
-        const data = JSON.parse(message);
-        console.log(`Received WebSocket message from ${clientId}:`, data.type);
-        
-        // Echo back for demo purposes (will be replaced with game logic)
-        ws.send(JSON.stringify({
-          type: 'demo_echo',
-          originalMessage: data,
-          receivedAt: new Date().toISOString(),
-        }));
-      } catch (error) {
-        console.error('WebSocket message parsing error:', error);
+    // Anonymous connections may watch; only authenticated ones may play.
+    // Commands wait for this so none run before the session is known.
+    const authenticated = sessions.authenticateHandshake(req).then((session) => {
+      if (session) {
+        client.userId = session.userId;
+        client.username = session.username;
+        client.accessToken = session.accessToken;
+        sessions.registerClient(client);
+      }
+      
+      console.log(`WebSocket client connected: ${clientId}` +
+                  (client.userId ? ` (user ${client.username})` : ' (anonymous)'));
+      
+      // Send connection confirmation
+      if (ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({
-          type: 'error',
-          message: 'Invalid message format',
+          type: 'connection_established',
+          message: 'Connected to Aviiaor demo platform',
+          clientId,
+          authenticated: !!client.userId,
+          userId: client.userId,
+          subscriptions: Array.from(client.subscriptions),
+          timestamp: new Date().toISOString(),
         }));
       }
     });
 
+    // Handle incoming commands (every command gets an ack or error reply).
+    // The receive time is taken first - cash-outs are judged on it.
+    ws.on('message', async (message) => {
+      const receivedAt = Date.now();
+      await authenticated;
+      const reply = await handleCommand(client, message, receivedAt);
+      
+      if (reply.type === 'error') {
+        console.warn(`WebSocket command from ${clientId} rejected:`, reply.command, reply.error);
+      }
+      
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(reply));
+      }
+    });
+
     // Handle client disconnection
     ws.on('close', () => {
       demoClients.delete(clientId);
+      stopLatencyProbe(client);
+      sessions.unregisterClient(client);
       console.log(`WebSocket client disconnected: ${clientId}`);
     });
 
@@ -118,10 +157,12 @@ const initializeWebSocketServer = () => {
     ws.on('error', (error) => {
       console.error('WebSocket error:', error);
       demoClients.delete(clientId);
+      stopLatencyProbe(client);
+      sessions.unregisterClient(client);
     });
   });
 
-  // Broadcast function for future game events
+  // Broadcast function for platform-wide events
   wss.broadcast = (data) => {
     wss.clients.forEach((client) => {
       if (client.readyState === WebSocket.OPEN) {
@@ -130,6 +171,31 @@ const initializeWebSocketServer = () => {
     });
   };
 
+  // Publish function for game events (only clients subscribed to the game)
+  wss.publish = (channel, data) => {
+    const message = JSON.stringify(data);
+    demoClients.forEach((client) => {
+      if (client.subscriptions.has(channel) && client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(message);
+      }
+    });
+  };
+
+  // Stream crash rounds (queued, betting, ticks, crash reveal) to subscribers
+  wss.crashStream = attachCrashStream((data) => wss.publish(CHANNELS.CRASH, data));
+
+  // Stream public color round events to subscribers
+  attachColorStream((data) => wss.publish(CHANNELS.COLOR, data));
+
+  // Private player events go only to that player's own connections
+  onPlayerEvent((event) => {
+    sessions.sendToUser(event.userId, {
+      type: event.type,
+      ...event.data,
+      timestamp: new Date().toISOString()
+    });
+  });
+
   console.log('WebSocket server initialized (demo mode)');
   return wss;
 };
@@ -164,7 +230,22 @@ const startServer = async () => {
     // Initialize WebSocket server
     const wss = initializeWebSocketServer();
     
-    await connectDB();
+    const dbResult = await connectDB();
+    
+    // Resolve ledger entries a previous run left pending, record balances
+    // that predate the ledger, create the first admin from
+    // ADMIN_USERNAME/ADMIN_PASSWORD if needed and load live game parameters
+    // (built-in defaults without a database)
+    if (dbResult.success) {
+      await ledger.recoverPendingEntries();
+      await ledger.migrateOpeningBalances();
+      ledger.startPendingRecovery();
+      await ensureBootstrapAdmin();
+      await loadGameSettings();
+    }
+
+    // Start the crash and color round loops with the loaded settings
+    initializeGameController();
 
     server.listen(PORT, () => {
       console.log(`
@@ -185,7 +266,9 @@ const startServer = async () => {
     const gracefulShutdown = () => {
       console.log('Received shutdown signal, closing server gracefully...');
       
-      // Close WebSocket connections
+      // Stop the round loops, then streaming and WebSocket connections
+      shutdownGameController();
+      wss.crashStream.stop();
       wss.clients.forEach((client) => {
         client.close();
       });
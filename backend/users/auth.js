@@ -0,0 +1,353 @@
+// backend/users/auth.js - Session Tokens for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Signed access tokens, rotating refresh tokens and authentication middleware
+
+const crypto = require('crypto');
+const { User, Session } = require('../database/models');
+
+/**
+ * Authentication Configuration
+ */
+const AUTH_CONFIG = {
+  // Environment variable holding the signing secret
+  SECRET_ENV: 'SESSION_SECRET',
+
+  // HMAC algorithm used to sign tokens
+  ALGORITHM: 'sha256',
+
+  // Access token lifetime in milliseconds
+  ACCESS_TOKEN_TTL: 15 * 60 * 1000, // 15 minutes
+
+  // Refresh token (session) lifetime in milliseconds
+  REFRESH_TOKEN_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+
+  // Token type marker stored in access token payloads
+  ACCESS_TOKEN_TYPE: 'access'
+};
+
+// Fallback secret for local demos without SESSION_SECRET (tokens die on restart)
+let fallbackSecret = null;
+
+/**
+ * Authentication error with an HTTP status code
+ */
+class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Get the token signing secret
+ * Read lazily so values loaded by dotenv after startup are picked up.
+ * @returns {string} Signing secret
+ */
+function getSigningSecret() {
+  const secret = process.env[AUTH_CONFIG.SECRET_ENV];
+  if (secret) {
+    return secret;
+  }
+
+  if (!fallbackSecret) {
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+    console.warn(`⚠️  ${AUTH_CONFIG.SECRET_ENV} is not set - using a temporary secret, sessions will not survive a restart`);
+  }
+
+  return fallbackSecret;
+}
+
+/**
+ * Sign an encoded payload
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} base64url signature
+ */
+function sign(encodedPayload) {
+  return crypto
+    .createHmac(AUTH_CONFIG.ALGORITHM, getSigningSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+/**
+ * Hash a refresh token secret for storage
+ * @param {string} secret - Refresh token secret
+ * @returns {string} Hex digest
+ */
+function hashRefreshSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Issue a short-lived access token bound to a session
+ * @param {Object} user - Mongoose user document or plain user object
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {Object} Token and expiry
+ */
+function issueAccessToken(user, sessionId) {
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + AUTH_CONFIG.ACCESS_TOKEN_TTL;
+
+  const payload = {
+    typ: AUTH_CONFIG.ACCESS_TOKEN_TYPE,
+    sub: String(user._id),
+    sid: String(sessionId),
+    username: user.username,
+    role: user.role,
+    iat: issuedAt,
+    exp: expiresAt
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    accessToken: `${encodedPayload}.${sign(encodedPayload)}`,
+    accessTokenExpiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+/**
+ * Verify an access token signature and expiry (no database lookup)
+ * @param {string} token - Token to verify
+ * @returns {Object|null} Decoded token ({ userId, sessionId, username, role, issuedAt, expiresAt }) or null
+ */
+function verifyAccessToken(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+
+    if (payload.typ !== AUTH_CONFIG.ACCESS_TOKEN_TYPE || !payload.sub || !payload.sid) {
+      return null;
+    }
+
+    if (!payload.exp || payload.exp <= Date.now()) {
+      return null;
+    }
+
+    return {
+      userId: payload.sub,
+      sessionId: payload.sid,
+      username: payload.username,
+      role: payload.role,
+      issuedAt: payload.iat,
+      expiresAt: payload.exp
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a login session and issue its tokens
+ * @param {Object} user - Mongoose user document
+ * @param {Object} metadata - Client information (ipAddress, userAgent)
+ * @returns {Promise<Object>} Access token, refresh token and expiries
+ */
+async function createSession(user, metadata = {}) {
+  const refreshSecret = crypto.randomBytes(32).toString('base64url');
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashRefreshSecret(refreshSecret),
+    expiresAt: new Date(Date.now() + AUTH_CONFIG.REFRESH_TOKEN_TTL),
+    metadata
+  });
+
+  return {
+    ...issueAccessToken(user, session._id),
+    refreshToken: `${session._id}.${refreshSecret}`,
+    refreshTokenExpiresAt: session.expiresAt.toISOString(),
+    sessionId: String(session._id)
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (the refresh token rotates)
+ * @param {string} refreshToken - Refresh token from createSession or a previous refresh
+ * @returns {Promise<Object>} New access token, refresh token and expiries
+ * @throws {AuthError} If the refresh token is invalid, expired or revoked
+ */
+async function refreshSession(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new AuthError('Refresh token is required', 400);
+  }
+
+  const [sessionId, refreshSecret] = refreshToken.split('.');
+  if (!sessionId || !refreshSecret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+    throw new AuthError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+  if (!session || !session.isActive()) {
+    throw new AuthError('Session expired or revoked');
+  }
+
+  const expected = Buffer.from(session.refreshTokenHash);
+  const actual = Buffer.from(hashRefreshSecret(refreshSecret));
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    // A stale refresh token means it was copied or replayed - end the session
+    session.revokedAt = new Date();
+    await session.save();
+    throw new AuthError('Refresh token reuse detected - session revoked');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    throw new AuthError('User no longer exists');
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString('base64url');
+  session.refreshTokenHash = hashRefreshSecret(nextSecret);
+  session.lastRefreshedAt = new Date();
+  await session.save();
+
+  return {
+    ...issueAccessToken(user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    refreshTokenExpiresAt: session.expiresAt.toISOString(),
+    sessionId: String(session._id)
+  };
+}
+
+/**
+ * Revoke a session so none of its tokens are accepted again
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+async function revokeSession(sessionId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User identifier
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId) {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Fully authenticate an access token (signature, expiry, session and user)
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} Authenticated { user, session, token }
+ * @throws {AuthError} If any check fails
+ */
+async function authenticateToken(token) {
+  const decoded = verifyAccessToken(token);
+  if (!decoded) {
+    throw new AuthError('Invalid or expired access token');
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || String(session.userId) !== decoded.userId) {
+    throw new AuthError('Session expired or revoked');
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    throw new AuthError('User no longer exists');
+  }
+
+  return { user, session, token: decoded };
+}
+
+/**
+ * Extract a token from an Authorization header ("Bearer <token>")
+ * @param {string} header - Authorization header value
+ * @returns {string|null} Token or null
+ */
+function extractBearerToken(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Send a 401/403 response in the shared auth error format
+ * @param {Object} res - Express response
+ * @param {number} statusCode - 401 (not authenticated) or 403 (not allowed)
+ * @param {string} message - Human readable reason
+ * @param {Object} details - Extra fields (e.g. requiredPermission)
+ */
+function sendAuthError(res, statusCode, message, details = {}) {
+  res.status(statusCode).json({
+    success: false,
+    message,
+    error: statusCode === 403 ? 'forbidden' : 'unauthorized',
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Express middleware requiring a valid access token
+ * Attaches req.user (Mongoose user document) and req.session (Session document).
+ */
+async function authenticate(req, res, next) {
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return sendAuthError(res, 401, 'Authentication required');
+  }
+
+  try {
+    const { user, session } = await authenticateToken(token);
+    req.user = user;
+    req.session = session;
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return sendAuthError(res, error.statusCode, error.message);
+    }
+
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate request',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Export authentication functions and constants
+module.exports = {
+  AUTH_CONFIG,
+  AuthError,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  authenticateToken,
+  extractBearerToken,
+  sendAuthError,
+  authenticate
+};
@@ -0,0 +1,642 @@
+// backend/users/ledger.js - Demo Credit Ledger for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Every change to User.balance is recorded as a double-entry LedgerEntry
+
+const mongoose = require('mongoose');
+const { User, LedgerEntry } = require('../database/models');
+
+/**
+ * Ledger Configuration
+ */
+const LEDGER_CONFIG = {
+  // Entry types (matches the LedgerEntry schema enum)
+  ENTRY_TYPES: {
+    BET_STAKE: 'bet_stake',
+    PAYOUT: 'payout',
+    RESET: 'reset',
+    ADMIN_ADJUSTMENT: 'admin_adjustment',
+    SIGNUP_GRANT: 'signup_grant',
+    OPENING_BALANCE: 'opening_balance'
+  },
+
+  // Platform accounts on the other side of user entries
+  ACCOUNTS: {
+    HOUSE: 'platform:house',         // Stakes in, payouts out
+    GRANTS: 'platform:grants',       // Signup grants
+    RESETS: 'platform:resets',       // Balance resets
+    ADJUSTMENTS: 'platform:adjustments',
+    OPENING: 'platform:opening'      // Balances held before the ledger existed
+  },
+
+  // Balances are kept to the cent
+  DECIMALS: 2,
+
+  // Floating point slack allowed when comparing balance to entries
+  RECONCILE_TOLERANCE: 0.005,
+
+  // Retries when a reset races with another balance change
+  MAX_RESET_ATTEMPTS: 5,
+
+  // Entry IDs remembered on each user, so re-applying an entry is a no-op
+  APPLIED_ENTRY_WINDOW: 100,
+
+  // Pending entries older than this were interrupted (no post takes this long)
+  PENDING_RECOVERY_AGE_MS: 60000,
+  RECOVERY_INTERVAL_MS: 60000,
+
+  // Statement page size
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200
+};
+
+// Callbacks run after an entry is posted
+const postedCallbacks = [];
+
+/**
+ * Round an amount to ledger precision
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+  const factor = Math.pow(10, LEDGER_CONFIG.DECIMALS);
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Get the ledger account name of a user
+ * @param {string} userId - User identifier
+ * @returns {string} Account name
+ */
+function userAccount(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Get the platform account an entry type balances against
+ * @param {string} type - Entry type
+ * @returns {string} Platform account name
+ */
+function counterAccountFor(type) {
+  switch (type) {
+    case LEDGER_CONFIG.ENTRY_TYPES.BET_STAKE:
+    case LEDGER_CONFIG.ENTRY_TYPES.PAYOUT:
+      return LEDGER_CONFIG.ACCOUNTS.HOUSE;
+    case LEDGER_CONFIG.ENTRY_TYPES.SIGNUP_GRANT:
+      return LEDGER_CONFIG.ACCOUNTS.GRANTS;
+    case LEDGER_CONFIG.ENTRY_TYPES.RESET:
+      return LEDGER_CONFIG.ACCOUNTS.RESETS;
+    case LEDGER_CONFIG.ENTRY_TYPES.OPENING_BALANCE:
+      return LEDGER_CONFIG.ACCOUNTS.OPENING;
+    default:
+      return LEDGER_CONFIG.ACCOUNTS.ADJUSTMENTS;
+  }
+}
+
+/**
+ * Format an entry for responses and events
+ * @param {Object} entry - LedgerEntry document
+ * @returns {Object} Entry data with the signed change to the user's balance
+ */
+function formatEntry(entry) {
+  const isCredit = entry.creditAccount === userAccount(entry.userId);
+
+  return {
+    entryId: String(entry._id),
+    userId: String(entry.userId),
+    type: entry.type,
+    amount: entry.amount,
+    change: isCredit ? entry.amount : -entry.amount,
+    debitAccount: entry.debitAccount,
+    creditAccount: entry.creditAccount,
+    balanceAfter: entry.balanceAfter,
+    status: entry.status,
+    reference: entry.reference,
+    description: entry.description,
+    createdAt: entry.createdAt
+  };
+}
+
+/**
+ * Result for an idempotency key that was already used
+ * The stored entry only answers a retry of the same movement; a key reused
+ * for another user, type or amount is a conflict, never a silent success.
+ * @param {Object} entry - Existing LedgerEntry document
+ * @param {Object} request - { userId, type, amount (signed) } of the new request
+ * @returns {Object} Operation result
+ */
+function existingEntryResult(entry, request) {
+  const sameMovement = String(entry.userId) === String(request.userId) &&
+    entry.type === request.type &&
+    entry.amount === Math.abs(request.amount) &&
+    (entry.creditAccount === userAccount(request.userId)) === (request.amount > 0);
+
+  if (!sameMovement) {
+    return {
+      success: false,
+      duplicate: true,
+      conflict: true,
+      error: 'Idempotency key already used for a different ledger entry'
+    };
+  }
+
+  if (entry.status === 'posted') {
+    return {
+      success: true,
+      duplicate: true,
+      entry: formatEntry(entry),
+      balance: entry.balanceAfter
+    };
+  }
+
+  return {
+    success: false,
+    duplicate: true,
+    error: entry.status === 'rejected'
+      ? entry.rejectionReason
+      : 'An entry with this idempotency key is still being processed'
+  };
+}
+
+/**
+ * Post a ledger entry and apply it to the user's balance
+ * The entry is written first (its unique idempotency key stops double
+ * application), then the balance moves with a single conditional $inc, so
+ * a debit can never take a balance below zero. The same update remembers the
+ * entry ID on the user, so an entry interrupted between the two writes can
+ * be resolved later (see recoverPendingEntries). Retrying with the same key
+ * returns the original result.
+ * @param {Object} params - Entry parameters
+ * @param {string} params.userId - User whose balance changes
+ * @param {string} params.type - Entry type from LEDGER_CONFIG.ENTRY_TYPES
+ * @param {number} params.amount - Signed change (positive credits the user, negative debits)
+ * @param {string} params.idempotencyKey - Unique key for this movement
+ * @param {Object} params.reference - Optional { game, roundId, betId }
+ * @param {string} params.description - Optional note
+ * @param {string} params.createdBy - Optional admin user ID
+ * @param {number} params.expectedBalance - Optional balance the user must have (compare-and-set)
+ * @returns {Promise<Object>} Operation result with the entry and new balance
+ */
+async function postEntry(params = {}) {
+  const {
+    userId,
+    type,
+    idempotencyKey,
+    reference = {},
+    description = null,
+    createdBy = null,
+    expectedBalance
+  } = params;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    return { success: false, error: 'Invalid user ID' };
+  }
+
+  if (!Object.values(LEDGER_CONFIG.ENTRY_TYPES).includes(type)) {
+    return { success: false, error: `Unknown ledger entry type: ${type}` };
+  }
+
+  if (!idempotencyKey || typeof idempotencyKey !== 'string') {
+    return { success: false, error: 'An idempotency key is required' };
+  }
+
+  if (typeof params.amount !== 'number' || !Number.isFinite(params.amount)) {
+    return { success: false, error: 'Amount must be a valid number' };
+  }
+
+  const amount = roundAmount(params.amount);
+  if (amount === 0) {
+    return { success: false, error: 'Amount must not be zero' };
+  }
+
+  if (expectedBalance !== undefined && roundAmount(expectedBalance + amount) < 0) {
+    return { success: false, error: 'Insufficient demo balance' };
+  }
+
+  const existing = await LedgerEntry.findOne({ idempotencyKey });
+  if (existing) {
+    return existingEntryResult(existing, { userId, type, amount });
+  }
+
+  const account = userAccount(userId);
+  const counterAccount = counterAccountFor(type);
+
+  let entry;
+  try {
+    entry = await LedgerEntry.create({
+      userId,
+      type,
+      amount: Math.abs(amount),
+      debitAccount: amount > 0 ? counterAccount : account,
+      creditAccount: amount > 0 ? account : counterAccount,
+      idempotencyKey,
+      reference,
+      description,
+      createdBy
+    });
+  } catch (error) {
+    // Lost a race with a concurrent request using the same key
+    if (error.code === 11000) {
+      return existingEntryResult(await LedgerEntry.findOne({ idempotencyKey }), { userId, type, amount });
+    }
+    throw error;
+  }
+
+  const filter = { _id: userId, appliedLedgerEntries: { $ne: entry._id } };
+  if (amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+  if (expectedBalance !== undefined) {
+    filter.balance = expectedBalance;
+  }
+
+  const user = await User.findOneAndUpdate(filter, {
+    $inc: { balance: amount },
+    $push: { appliedLedgerEntries: { $each: [entry._id], $slice: -LEDGER_CONFIG.APPLIED_ENTRY_WINDOW } }
+  }, { new: true });
+
+  if (!user) {
+    let rejectionReason = 'Insufficient demo balance';
+    if (!(await User.exists({ _id: userId }))) {
+      rejectionReason = 'User not found';
+    } else if (expectedBalance !== undefined) {
+      rejectionReason = 'Balance changed before the entry could be applied';
+    }
+
+    entry.status = 'rejected';
+    entry.rejectionReason = rejectionReason;
+    await entry.save();
+
+    return { success: false, error: rejectionReason };
+  }
+
+  entry.status = 'posted';
+  entry.balanceAfter = user.balance;
+  await entry.save();
+
+  const formatted = formatEntry(entry);
+  postedCallbacks.forEach((callback) => {
+    try {
+      callback(formatted);
+    } catch (error) {
+      console.error('Error in ledger entry callback:', error);
+    }
+  });
+
+  return {
+    success: true,
+    entry: formatted,
+    balance: user.balance
+  };
+}
+
+/**
+ * Set a user's balance to a target through a reset entry
+ * Posts the difference as a compare-and-set entry, retrying if a bet or
+ * payout lands between reading the balance and applying the reset.
+ * @param {string} userId - User identifier
+ * @param {number} targetBalance - Balance to reset to
+ * @param {Object} options - { idempotencyKey, createdBy, description }
+ * @returns {Promise<Object>} Operation result with old and new balance
+ */
+async function resetBalance(userId, targetBalance, options = {}) {
+  const baseKey = options.idempotencyKey || `reset:${userId}:${new mongoose.Types.ObjectId()}`;
+
+  for (let attempt = 1; attempt <= LEDGER_CONFIG.MAX_RESET_ATTEMPTS; attempt++) {
+    const user = await User.findById(userId).select('balance');
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+
+    const difference = roundAmount(targetBalance - user.balance);
+    if (difference === 0) {
+      return {
+        success: true,
+        entry: null,
+        oldBalance: user.balance,
+        balance: user.balance
+      };
+    }
+
+    const result = await postEntry({
+      userId,
+      type: LEDGER_CONFIG.ENTRY_TYPES.RESET,
+      amount: difference,
+      idempotencyKey: `${baseKey}:${attempt}`,
+      description: options.description || `Reset to ${targetBalance}`,
+      createdBy: options.createdBy || null,
+      expectedBalance: user.balance
+    });
+
+    if (result.success) {
+      return { ...result, oldBalance: user.balance };
+    }
+
+    if (result.error !== 'Balance changed before the entry could be applied') {
+      return result;
+    }
+  }
+
+  return {
+    success: false,
+    error: 'Balance kept changing - reset not applied, try again'
+  };
+}
+
+/**
+ * Resolve entries left pending by an interrupted post
+ * The balance update and the entry's status change are separate writes. If
+ * the process stopped between them, the user's applied-entry list shows
+ * whether the balance moved: if it did the entry is marked posted, if not it
+ * is rejected (the caller never saw it succeed). Runs at startup, before any
+ * new entry can push an old ID out of the window, and then periodically.
+ * @returns {Promise<Object>} { posted, rejected } counts
+ */
+async function recoverPendingEntries() {
+  const cutoff = new Date(Date.now() - LEDGER_CONFIG.PENDING_RECOVERY_AGE_MS);
+  let posted = 0;
+  let rejected = 0;
+
+  for await (const entry of LedgerEntry.find({ status: 'pending', createdAt: { $lt: cutoff } })) {
+    const user = await User.findOne({ _id: entry.userId, appliedLedgerEntries: entry._id }).select('balance');
+
+    const update = user
+      ? { status: 'posted' }
+      : { status: 'rejected', rejectionReason: 'Interrupted before the balance was applied' };
+    const result = await LedgerEntry.updateOne({ _id: entry._id, status: 'pending' }, { $set: update });
+
+    if (result.modifiedCount === 1) {
+      if (user) {
+        posted++;
+      } else {
+        rejected++;
+      }
+    }
+  }
+
+  if (posted || rejected) {
+    console.warn(`Ledger recovery: ${posted} interrupted entries posted, ${rejected} rejected`);
+  }
+
+  return { posted, rejected };
+}
+
+/**
+ * Re-run pending entry recovery on an interval
+ * @returns {Object} Interval handle
+ */
+function startPendingRecovery() {
+  const run = () => recoverPendingEntries().catch((error) => {
+    console.error('Ledger recovery failed:', error);
+  });
+
+  const timer = setInterval(run, LEDGER_CONFIG.RECOVERY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Record the balances users held before the ledger existed
+ * Accounts created before every balance change went through the ledger have
+ * a balance but no entries for it. Each such account (no signup grant) gets
+ * one opening entry for the part of its balance the ledger does not explain.
+ * The entry records an existing balance, so it is posted without moving it.
+ * Keyed per user, so the migration is safe to run on every startup.
+ * @returns {Promise<Object>} { checked, opened } counts
+ */
+async function migrateOpeningBalances() {
+  let checked = 0;
+  let opened = 0;
+
+  for await (const user of User.find({}).select('balance')) {
+    checked++;
+    const userId = String(user._id);
+
+    const [granted, pending] = await Promise.all([
+      LedgerEntry.exists({ idempotencyKey: `signup:${userId}` }),
+      LedgerEntry.exists({ userId: user._id, status: 'pending' })
+    ]);
+    if (granted || pending) {
+      continue;
+    }
+
+    const { ledgerBalance } = await getLedgerBalance(userId);
+    const opening = roundAmount(user.balance - ledgerBalance);
+    if (opening <= 0) {
+      continue;
+    }
+
+    try {
+      await LedgerEntry.create({
+        userId: user._id,
+        type: LEDGER_CONFIG.ENTRY_TYPES.OPENING_BALANCE,
+        amount: opening,
+        debitAccount: LEDGER_CONFIG.ACCOUNTS.OPENING,
+        creditAccount: userAccount(userId),
+        balanceAfter: user.balance,
+        idempotencyKey: `opening:${userId}`,
+        status: 'posted',
+        description: 'Balance held before the ledger was introduced'
+      });
+      opened++;
+    } catch (error) {
+      // Already opened by an earlier run
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  if (opened) {
+    console.log(`Ledger migration: opening balance entries created for ${opened} accounts`);
+  }
+
+  return { checked, opened };
+}
+
+/**
+ * Sum a user's posted entries
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object>} { ledgerBalance, entryCount }
+ */
+async function getLedgerBalance(userId) {
+  const account = userAccount(userId);
+
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), status: 'posted' } },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: { $cond: [{ $eq: ['$creditAccount', account] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$debitAccount', account] }, '$amount', 0] } },
+        entryCount: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return {
+    ledgerBalance: totals ? roundAmount(totals.credits - totals.debits) : 0,
+    entryCount: totals ? totals.entryCount : 0
+  };
+}
+
+/**
+ * Check that a user's balance equals the sum of their posted entries
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object>} Reconciliation result
+ */
+async function reconcileUser(userId) {
+  if (!mongoose.isValidObjectId(userId)) {
+    return { success: false, error: 'Invalid user ID' };
+  }
+
+  const user = await User.findById(userId).select('username balance');
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  const { ledgerBalance, entryCount } = await getLedgerBalance(userId);
+  const pendingEntries = await LedgerEntry.countDocuments({ userId, status: 'pending' });
+  const difference = roundAmount(user.balance - ledgerBalance);
+
+  return {
+    success: true,
+    userId: String(user._id),
+    username: user.username,
+    balance: user.balance,
+    ledgerBalance,
+    difference,
+    entryCount,
+    pendingEntries,
+    isBalanced: Math.abs(difference) <= LEDGER_CONFIG.RECONCILE_TOLERANCE
+  };
+}
+
+/**
+ * Reconcile every user and check the ledger as a whole sums to zero
+ * @returns {Promise<Object>} Summary with the accounts that do not reconcile
+ */
+async function reconcileAll() {
+  const perUser = await LedgerEntry.aggregate([
+    { $match: { status: 'posted' } },
+    {
+      $group: {
+        _id: '$userId',
+        credits: {
+          $sum: { $cond: [{ $eq: ['$creditAccount', { $concat: ['user:', { $toString: '$userId' }] }] }, '$amount', 0] }
+        },
+        debits: {
+          $sum: { $cond: [{ $eq: ['$debitAccount', { $concat: ['user:', { $toString: '$userId' }] }] }, '$amount', 0] }
+        }
+      }
+    }
+  ]);
+
+  const ledgerBalances = new Map(perUser.map((row) => [String(row._id), roundAmount(row.credits - row.debits)]));
+
+  const mismatches = [];
+  let checked = 0;
+
+  for await (const user of User.find({}).select('username balance')) {
+    checked++;
+    const ledgerBalance = ledgerBalances.get(String(user._id)) || 0;
+    const difference = roundAmount(user.balance - ledgerBalance);
+
+    if (Math.abs(difference) > LEDGER_CONFIG.RECONCILE_TOLERANCE) {
+      mismatches.push({
+        userId: String(user._id),
+        username: user.username,
+        balance: user.balance,
+        ledgerBalance,
+        difference
+      });
+    }
+  }
+
+  // Platform account totals (the mirror image of all user balances)
+  const platformAccounts = {};
+  const accountTotals = await LedgerEntry.aggregate([
+    { $match: { status: 'posted' } },
+    { $facet: {
+      debits: [{ $group: { _id: '$debitAccount', total: { $sum: '$amount' } } }],
+      credits: [{ $group: { _id: '$creditAccount', total: { $sum: '$amount' } } }]
+    } }
+  ]);
+  const { debits = [], credits = [] } = accountTotals[0] || {};
+  Object.values(LEDGER_CONFIG.ACCOUNTS).forEach((account) => {
+    const credited = credits.find(row => row._id === account);
+    const debited = debits.find(row => row._id === account);
+    platformAccounts[account] = roundAmount((credited ? credited.total : 0) - (debited ? debited.total : 0));
+  });
+
+  const pendingEntries = await LedgerEntry.countDocuments({ status: 'pending' });
+
+  return {
+    success: true,
+    checked,
+    balanced: checked - mismatches.length,
+    mismatches,
+    pendingEntries,
+    platformAccounts,
+    isBalanced: mismatches.length === 0
+  };
+}
+
+/**
+ * Get a user's statement (newest first, cursor paginated)
+ * @param {string} userId - User identifier
+ * @param {Object} options - { limit, before (entry ID cursor), type }
+ * @returns {Promise<Object>} Entries and the cursor for the next page
+ */
+async function getUserEntries(userId, options = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(options.limit, 10) || LEDGER_CONFIG.DEFAULT_PAGE_SIZE, 1),
+    LEDGER_CONFIG.MAX_PAGE_SIZE
+  );
+
+  const query = { userId, status: 'posted' };
+  if (options.type) {
+    query.type = options.type;
+  }
+  if (options.before) {
+    if (!mongoose.isValidObjectId(options.before)) {
+      return { success: false, error: 'Invalid cursor' };
+    }
+    query._id = { $lt: options.before };
+  }
+
+  const entries = await LedgerEntry.find(query).sort({ _id: -1 }).limit(limit + 1);
+  const hasMore = entries.length > limit;
+  const page = entries.slice(0, limit);
+
+  return {
+    success: true,
+    entries: page.map(formatEntry),
+    nextCursor: hasMore ? String(page[page.length - 1]._id) : null
+  };
+}
+
+/**
+ * Register a callback for posted entries (e.g. balance_changed events)
+ * @param {Function} callback - Called with the formatted entry
+ */
+function onEntryPosted(callback) {
+  if (typeof callback === 'function') {
+    postedCallbacks.push(callback);
+  }
+}
+
+// Export ledger functions and constants
+module.exports = {
+  LEDGER_CONFIG,
+  userAccount,
+  postEntry,
+  resetBalance,
+  getLedgerBalance,
+  reconcileUser,
+  reconcileAll,
+  recoverPendingEntries,
+  startPendingRecovery,
+  migrateOpeningBalances,
+  getUserEntries,
+  onEntryPosted
+};
@@ -0,0 +1,235 @@
+// backend/users/ledger.test.js - Demo Credit Ledger Tests for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Covers idempotency conflicts, interrupted-entry recovery and the no-negative-balance guard
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { User, LedgerEntry } = require('../database/models');
+const ledger = require('./ledger');
+
+const { ENTRY_TYPES } = ledger.LEDGER_CONFIG;
+const USER_ID = '64b000000000000000000001';
+
+/**
+ * Check a user document against the filters postEntry and recovery use
+ * @param {Object} user - Stored user
+ * @param {Object} filter - { _id, balance, appliedLedgerEntries }
+ * @returns {boolean} True if the user matches
+ */
+function userMatches(user, filter) {
+  if (filter._id !== undefined && String(filter._id) !== user._id) return false;
+
+  if (typeof filter.balance === 'number' && user.balance !== filter.balance) return false;
+  if (filter.balance && filter.balance.$gte !== undefined && !(user.balance >= filter.balance.$gte)) return false;
+
+  const applied = user.appliedLedgerEntries.map(String);
+  const entryFilter = filter.appliedLedgerEntries;
+  if (entryFilter && entryFilter.$ne !== undefined && applied.includes(String(entryFilter.$ne))) return false;
+  if (entryFilter && entryFilter.$ne === undefined && !applied.includes(String(entryFilter))) return false;
+
+  return true;
+}
+
+/**
+ * Replace the User and LedgerEntry model calls the ledger makes with an in-memory store
+ * Each update runs to completion before the next, like a single-document write.
+ * @param {Object} t - Test context
+ * @returns {Object} { users, entries, updateUser }
+ */
+function mockModels(t) {
+  const users = new Map();
+  const entries = [];
+
+  const updateUser = async (filter, update) => {
+    const user = [...users.values()].find(candidate => userMatches(candidate, filter));
+    if (!user) return null;
+
+    user.balance = Math.round((user.balance + update.$inc.balance) * 100) / 100;
+    user.appliedLedgerEntries.push(...update.$push.appliedLedgerEntries.$each);
+    return { ...user };
+  };
+
+  t.mock.method(User, 'findOneAndUpdate', updateUser);
+  t.mock.method(User, 'exists', async filter => users.has(String(filter._id)));
+  t.mock.method(User, 'findOne', filter => ({
+    select: async () => [...users.values()].find(candidate => userMatches(candidate, filter)) || null
+  }));
+
+  t.mock.method(LedgerEntry, 'findOne', async filter => entries.find(entry => entry.idempotencyKey === filter.idempotencyKey) || null);
+  t.mock.method(LedgerEntry, 'create', async (fields) => {
+    if (entries.some(entry => entry.idempotencyKey === fields.idempotencyKey)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+
+    const entry = {
+      ...fields,
+      _id: new mongoose.Types.ObjectId(),
+      status: 'pending',
+      balanceAfter: null,
+      rejectionReason: null,
+      createdAt: new Date(),
+      save: async () => entry
+    };
+    entries.push(entry);
+    return entry;
+  });
+  t.mock.method(LedgerEntry, 'find', filter => entries.filter(entry =>
+    entry.status === filter.status && entry.createdAt < filter.createdAt.$lt));
+  t.mock.method(LedgerEntry, 'updateOne', async (filter, update) => {
+    const entry = entries.find(candidate => String(candidate._id) === String(filter._id) && candidate.status === filter.status);
+    if (!entry) return { modifiedCount: 0 };
+
+    Object.assign(entry, update.$set);
+    return { modifiedCount: 1 };
+  });
+
+  users.set(USER_ID, { _id: USER_ID, balance: 100, appliedLedgerEntries: [] });
+  return { users, entries, updateUser };
+}
+
+/**
+ * Post a stake debit for the test user
+ * @param {number} amount - Stake (positive)
+ * @param {string} idempotencyKey - Entry key
+ * @returns {Promise<Object>} postEntry result
+ */
+function postStake(amount, idempotencyKey) {
+  return ledger.postEntry({ userId: USER_ID, type: ENTRY_TYPES.BET_STAKE, amount: -amount, idempotencyKey });
+}
+
+/**
+ * Age every pending entry past the recovery cutoff
+ * @param {Array} entries - Stored entries
+ */
+function agePendingEntries(entries) {
+  const old = new Date(Date.now() - ledger.LEDGER_CONFIG.PENDING_RECOVERY_AGE_MS - 1000);
+  entries.filter(entry => entry.status === 'pending').forEach((entry) => { entry.createdAt = old; });
+}
+
+describe('ledger idempotency keys', () => {
+  let store;
+
+  beforeEach((t) => {
+    store = mockModels(t);
+  });
+
+  test('a retry with the same key and amount returns the original entry', async () => {
+    const first = await postStake(10, 'crash:stake:bet_1');
+    const retry = await postStake(10, 'crash:stake:bet_1');
+
+    assert.equal(retry.success, true);
+    assert.equal(retry.duplicate, true);
+    assert.equal(retry.entry.entryId, first.entry.entryId);
+    assert.equal(store.users.get(USER_ID).balance, 90);
+  });
+
+  test('the same key with a conflicting amount is rejected', async () => {
+    await postStake(10, 'crash:stake:bet_1');
+    const conflicting = await postStake(25, 'crash:stake:bet_1');
+
+    assert.equal(conflicting.success, false);
+    assert.equal(conflicting.conflict, true);
+    assert.equal(store.users.get(USER_ID).balance, 90);
+    assert.equal(store.entries.length, 1);
+  });
+
+  test('the same key for a credit instead of a debit is rejected', async () => {
+    await postStake(10, 'crash:stake:bet_1');
+    const conflicting = await ledger.postEntry({
+      userId: USER_ID, type: ENTRY_TYPES.BET_STAKE, amount: 10, idempotencyKey: 'crash:stake:bet_1'
+    });
+
+    assert.equal(conflicting.conflict, true);
+    assert.equal(store.users.get(USER_ID).balance, 90);
+  });
+});
+
+describe('interrupted entry recovery', () => {
+  let store;
+
+  beforeEach((t) => {
+    store = mockModels(t);
+  });
+
+  test('an entry interrupted after the balance moved is recovered as posted', async () => {
+    // The balance update lands but the process stops before the entry's status write
+    User.findOneAndUpdate.mock.mockImplementationOnce(async (filter, update) => {
+      await store.updateUser(filter, update);
+      throw new Error('process stopped');
+    });
+
+    await assert.rejects(postStake(10, 'crash:stake:bet_1'), /process stopped/);
+    assert.equal(store.entries[0].status, 'pending');
+
+    agePendingEntries(store.entries);
+    const recovered = await ledger.recoverPendingEntries();
+
+    assert.deepEqual(recovered, { posted: 1, rejected: 0 });
+    assert.equal(store.entries[0].status, 'posted');
+    assert.equal(store.users.get(USER_ID).balance, 90);
+  });
+
+  test('an entry interrupted before the balance moved is recovered as rejected and never applied', async () => {
+    User.findOneAndUpdate.mock.mockImplementationOnce(async () => { throw new Error('process stopped'); });
+
+    await assert.rejects(postStake(10, 'crash:stake:bet_1'), /process stopped/);
+
+    agePendingEntries(store.entries);
+    const recovered = await ledger.recoverPendingEntries();
+    const retry = await postStake(10, 'crash:stake:bet_1');
+
+    assert.deepEqual(recovered, { posted: 0, rejected: 1 });
+    assert.equal(retry.success, false);
+    assert.equal(store.users.get(USER_ID).balance, 100);
+  });
+
+  test('recent pending entries are left to the post still running them', async () => {
+    User.findOneAndUpdate.mock.mockImplementationOnce(async () => { throw new Error('process stopped'); });
+    await assert.rejects(postStake(10, 'crash:stake:bet_1'));
+
+    const recovered = await ledger.recoverPendingEntries();
+
+    assert.deepEqual(recovered, { posted: 0, rejected: 0 });
+    assert.equal(store.entries[0].status, 'pending');
+  });
+});
+
+describe('balance guard', () => {
+  let store;
+
+  beforeEach((t) => {
+    store = mockModels(t);
+  });
+
+  test('a debit larger than the balance is rejected and leaves the balance alone', async () => {
+    const result = await postStake(150, 'crash:stake:bet_1');
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Insufficient demo balance');
+    assert.equal(store.entries[0].status, 'rejected');
+    assert.equal(store.users.get(USER_ID).balance, 100);
+  });
+
+  test('concurrent debits never drive the balance negative', async () => {
+    const results = await Promise.all([
+      postStake(60, 'crash:stake:bet_1'),
+      postStake(60, 'crash:stake:bet_2'),
+      postStake(60, 'crash:stake:bet_3')
+    ]);
+
+    assert.equal(results.filter(result => result.success).length, 1);
+    assert.equal(store.users.get(USER_ID).balance, 40);
+  });
+
+  test('a compare-and-set entry fails when the balance moved first', async () => {
+    await postStake(10, 'crash:stake:bet_1');
+    const reset = await ledger.postEntry({
+      userId: USER_ID, type: ENTRY_TYPES.RESET, amount: 50, idempotencyKey: 'reset:1', expectedBalance: 100
+    });
+
+    assert.equal(reset.success, false);
+    assert.equal(reset.error, 'Balance changed before the entry could be applied');
+    assert.equal(store.users.get(USER_ID).balance, 90);
+  });
+});
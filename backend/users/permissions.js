@@ -0,0 +1,99 @@
+// backend/users/permissions.js - Role-Based Access Control for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Maps User.role values to capabilities and guards routes with them
+
+const { authenticate, sendAuthError } = require('./auth');
+
+/**
+ * User roles (matches the User schema enum)
+ */
+const ROLES = {
+  PLAYER: 'player',
+  DEMO_ADMIN: 'demo-admin',
+  SYSTEM: 'system'
+};
+
+/**
+ * Capabilities checked by protected routes
+ */
+const PERMISSIONS = {
+  PLAY_GAMES: 'games:play',
+  MANAGE_GAMES: 'games:manage',
+  VIEW_ACCOUNTS: 'accounts:view',
+  RESET_BALANCES: 'accounts:reset-balance',
+  ADJUST_BALANCES: 'accounts:adjust-balance',
+  MANAGE_SETTINGS: 'settings:manage',
+  VIEW_REPORTS: 'reports:view'
+};
+
+/**
+ * Capabilities granted to each role
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.PLAYER]: [
+    PERMISSIONS.PLAY_GAMES
+  ],
+  [ROLES.DEMO_ADMIN]: [
+    PERMISSIONS.PLAY_GAMES,
+    PERMISSIONS.MANAGE_GAMES,
+    PERMISSIONS.VIEW_ACCOUNTS,
+    PERMISSIONS.RESET_BALANCES,
+    PERMISSIONS.ADJUST_BALANCES,
+    PERMISSIONS.MANAGE_SETTINGS,
+    PERMISSIONS.VIEW_REPORTS
+  ],
+  // Internal automation account - everything
+  [ROLES.SYSTEM]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Check if a role has a capability
+ * @param {string} role - User role
+ * @param {string} permission - Capability from PERMISSIONS
+ * @returns {boolean} True if the role grants the capability
+ */
+function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role];
+  return !!permissions && permissions.includes(permission);
+}
+
+/**
+ * Express middleware requiring a capability (use after authenticate)
+ * @param {string} permission - Capability from PERMISSIONS
+ * @returns {Function} Middleware responding 401 without a user and 403 without the capability
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendAuthError(res, 401, 'Authentication required');
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      console.warn(`Permission denied: ${req.user.username} (${req.user.role}) needs ${permission} for ${req.method} ${req.originalUrl}`);
+      return sendAuthError(res, 403, 'You do not have permission to perform this action', {
+        requiredPermission: permission
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Authenticate and require a capability in one step
+ * @param {string} permission - Capability from PERMISSIONS
+ * @returns {Array} Middleware chain for route definitions
+ */
+function authorize(permission) {
+  return [authenticate, requirePermission(permission)];
+}
+
+// Export access control functions and constants
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requirePermission,
+  authorize
+};
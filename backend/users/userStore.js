@@ -0,0 +1,210 @@
+// backend/users/userStore.js - User Account Helpers for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+
+const { User, AdminSettings } = require('../database/models');
+const { ROLES } = require('./permissions');
+const ledger = require('./ledger');
+
+/**
+ * Bootstrap Configuration
+ * The first admin account is created from these environment variables
+ */
+const BOOTSTRAP_CONFIG = {
+  USERNAME_ENV: 'ADMIN_USERNAME',
+  PASSWORD_ENV: 'ADMIN_PASSWORD'
+};
+
+/**
+ * Create the first demo-admin from the environment if no admin exists yet
+ * Does nothing once any demo-admin or system account exists, so the
+ * environment can never be used to take over a running platform.
+ * @returns {Promise<Object>} Bootstrap result
+ */
+async function ensureBootstrapAdmin() {
+  const username = process.env[BOOTSTRAP_CONFIG.USERNAME_ENV];
+  const password = process.env[BOOTSTRAP_CONFIG.PASSWORD_ENV];
+
+  const existingAdmin = await User.exists({ role: { $in: [ROLES.DEMO_ADMIN, ROLES.SYSTEM] } });
+  if (existingAdmin) {
+    return {
+      created: false,
+      reason: 'An admin account already exists'
+    };
+  }
+
+  if (!username || !password) {
+    console.warn(`⚠️  No admin account exists - set ${BOOTSTRAP_CONFIG.USERNAME_ENV} and ${BOOTSTRAP_CONFIG.PASSWORD_ENV} to create one`);
+    return {
+      created: false,
+      reason: 'Bootstrap credentials not configured'
+    };
+  }
+
+  const takenBy = await User.findOne({ username: username.trim() });
+  if (takenBy) {
+    console.warn(`⚠️  Cannot bootstrap admin: username ${username} already belongs to a ${takenBy.role}`);
+    return {
+      created: false,
+      reason: 'Bootstrap username is already taken'
+    };
+  }
+
+  const admin = new User({
+    username: username.trim(),
+    password,
+    role: ROLES.DEMO_ADMIN,
+    language: 'en',
+    isDemoAccount: true
+  });
+  await admin.save();
+  await grantSignupBalance(admin);
+
+  console.log(`👑 Bootstrap admin created: ${admin.username}`);
+
+  return {
+    created: true,
+    userId: String(admin._id),
+    username: admin.username
+  };
+}
+
+/**
+ * Get the configured starting demo balance
+ * @returns {Promise<number>} Starting balance from admin settings
+ */
+async function getStartingBalance() {
+  const settings = await AdminSettings.getSettings();
+  return settings.demoBalanceSettings.startingBalance;
+}
+
+/**
+ * Credit a new account with the starting demo balance
+ * Keyed on the user ID, so a retried signup never grants twice.
+ * @param {Object} user - Mongoose user document (saved)
+ * @returns {Promise<Object>} Ledger result
+ */
+async function grantSignupBalance(user) {
+  const startingBalance = await getStartingBalance();
+  if (startingBalance <= 0) {
+    return { success: true, entry: null, balance: user.balance };
+  }
+  
+  const result = await ledger.postEntry({
+    userId: user._id,
+    type: ledger.LEDGER_CONFIG.ENTRY_TYPES.SIGNUP_GRANT,
+    amount: startingBalance,
+    idempotencyKey: `signup:${user._id}`,
+    description: 'Starting demo balance'
+  });
+  
+  if (!result.success) {
+    throw new Error(`Failed to grant starting balance: ${result.error}`);
+  }
+  
+  user.balance = result.balance;
+  return result;
+}
+
+/**
+ * Reset a demo user's balance and statistics to the starting state
+ * @param {Object} user - Mongoose user document (must be a demo account)
+ * @param {number} startingBalance - Optional balance to reset to (defaults to admin settings)
+ * @param {Object} options - Optional { createdBy } admin performing the reset
+ * @returns {Promise<Object>} Old and new balance
+ */
+async function resetDemoBalance(user, startingBalance = null, options = {}) {
+  if (!user.isDemoAccount) {
+    throw new Error('Only demo accounts can be reset');
+  }
+  
+  const targetBalance = startingBalance !== null ? startingBalance : await getStartingBalance();
+  
+  const result = await ledger.resetBalance(user._id, targetBalance, {
+    createdBy: options.createdBy || null
+  });
+  
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  
+  // Reset statistics for educational purposes
+  user.statistics = {
+    totalBets: 0,
+    totalWagered: 0,
+    totalProfit: 0,
+    highestWin: 0
+  };
+  await User.updateOne({ _id: user._id }, { $set: { statistics: user.statistics } });
+  user.balance = result.balance;
+  
+  console.log(`Demo balance reset for user ${user.username}: ${result.oldBalance} -> ${result.balance}`);
+  
+  return {
+    oldBalance: result.oldBalance,
+    newBalance: result.balance
+  };
+}
+
+/**
+ * Reset every demo account's balance and statistics
+ * @param {Object} options - Optional { createdBy } admin performing the reset
+ * @returns {Promise<Object>} Number of accounts reset and the balance used
+ */
+async function resetAllDemoBalances(options = {}) {
+  const startingBalance = await getStartingBalance();
+  let resetCount = 0;
+  
+  // One by one so every account gets its own ledger entry and balance_changed event
+  for await (const user of User.find({ isDemoAccount: true })) {
+    await resetDemoBalance(user, startingBalance, options);
+    resetCount++;
+  }
+  
+  return {
+    resetCount,
+    startingBalance
+  };
+}
+
+/**
+ * Add settled bets to a user's lifetime statistics
+ * One atomic update per call, so concurrent settlements never lose counts.
+ * @param {string} userId - User identifier
+ * @param {Array} bets - Settled bets ({ amount, profit })
+ * @returns {Promise<boolean>} True if the user was updated
+ */
+async function recordBetStatistics(userId, bets) {
+  if (!bets || bets.length === 0) {
+    return false;
+  }
+  
+  const totals = bets.reduce((sum, bet) => ({
+    totalWagered: sum.totalWagered + bet.amount,
+    totalProfit: sum.totalProfit + bet.profit,
+    highestWin: Math.max(sum.highestWin, bet.profit)
+  }), { totalWagered: 0, totalProfit: 0, highestWin: 0 });
+  
+  const result = await User.updateOne({ _id: userId }, {
+    $inc: {
+      'statistics.totalBets': bets.length,
+      'statistics.totalWagered': parseFloat(totals.totalWagered.toFixed(2)),
+      'statistics.totalProfit': parseFloat(totals.totalProfit.toFixed(2))
+    },
+    $max: {
+      'statistics.highestWin': totals.highestWin
+    }
+  });
+  
+  return result.modifiedCount > 0;
+}
+
+// Export user store functions
+module.exports = {
+  BOOTSTRAP_CONFIG,
+  ensureBootstrapAdmin,
+  getStartingBalance,
+  grantSignupBalance,
+  resetDemoBalance,
+  resetAllDemoBalances,
+  recordBetStatistics
+};
@@ -0,0 +1,61 @@
+// backend/websocket/colorStream.js - Color Round Stream for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Forwards public color round events to WebSocket subscribers
+
+const gameController = require('../game/index');
+
+/**
+ * Color Stream Message Types
+ * Sent in order for every round: countdown → ticks → started → revealed → ended
+ */
+const COLOR_STREAM_EVENTS = {
+  ROUND_COUNTDOWN: 'color_round_countdown',
+  COUNTDOWN_TICK: 'color_countdown_tick',
+  ROUND_STARTED: 'color_round_started',
+  ROUND_REVEALED: 'color_round_revealed',
+  ROUND_ENDED: 'color_round_ended'
+};
+
+/**
+ * Attach the color round stream to a WebSocket server
+ * Controller events already carry the public projection, so the winning
+ * color only appears once betting has closed (revealed and ended messages).
+ * @param {Function} broadcast - Sends a message object to subscribed clients
+ */
+function attachColorStream(broadcast) {
+  const send = (type, payload) => {
+    broadcast({
+      type,
+      ...payload,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  gameController.onColorRoundCountdown((roundData) => {
+    send(COLOR_STREAM_EVENTS.ROUND_COUNTDOWN, { round: roundData });
+  });
+
+  gameController.onColorCountdown((tick) => {
+    send(COLOR_STREAM_EVENTS.COUNTDOWN_TICK, tick);
+  });
+
+  gameController.onColorRoundStart((roundData) => {
+    send(COLOR_STREAM_EVENTS.ROUND_STARTED, { round: roundData });
+  });
+
+  gameController.onColorRoundReveal((roundData) => {
+    send(COLOR_STREAM_EVENTS.ROUND_REVEALED, { round: roundData });
+  });
+
+  gameController.onColorRoundEnd((roundData) => {
+    send(COLOR_STREAM_EVENTS.ROUND_ENDED, { round: roundData });
+  });
+
+  console.log('Color stream attached to WebSocket server');
+}
+
+// Export stream functions and constants
+module.exports = {
+  COLOR_STREAM_EVENTS,
+  attachColorStream
+};
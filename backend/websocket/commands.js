@@ -0,0 +1,212 @@
+// backend/websocket/commands.js - WebSocket Command Channel for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Typed client commands (bets, cash-outs, subscriptions) with ack/error replies
+
+const gameController = require('../game/index');
+const { getClientRtt } = require('./latency');
+const { revalidateClient, reauthenticateClient } = require('./sessions');
+
+/**
+ * Game channels a client can subscribe to
+ */
+const CHANNELS = {
+  CRASH: 'crash',
+  COLOR: 'color'
+};
+
+/**
+ * Command types accepted from clients
+ */
+const COMMAND_TYPES = {
+  AUTH_REFRESH: 'auth.refresh',
+  CRASH_BET: 'crash.bet',
+  CRASH_CASHOUT: 'crash.cashout',
+  CRASH_AUTO_BET_START: 'crash.autobet.start',
+  CRASH_AUTO_BET_STOP: 'crash.autobet.stop',
+  COLOR_BET: 'color.bet',
+  SUBSCRIBE: 'subscribe',
+  UNSUBSCRIBE: 'unsubscribe'
+};
+
+/**
+ * Reply types sent back for every command
+ */
+const REPLY_TYPES = {
+  ACK: 'ack',
+  ERROR: 'error'
+};
+
+/**
+ * Validate a game channel name
+ * @param {Object} payload - Command payload
+ * @returns {string|null} Channel name or null if invalid
+ */
+function resolveChannel(payload) {
+  const channel = payload && payload.game;
+  return Object.values(CHANNELS).includes(channel) ? channel : null;
+}
+
+/**
+ * Wrap a handler that acts on behalf of a player
+ * The user always comes from the authenticated session, never the payload.
+ * The session is re-checked on every command, so a socket opened before a
+ * logout, revocation or token expiry cannot keep playing.
+ * @param {Function} handler - Handler receiving (client, payload, meta)
+ * @returns {Function} Handler that rejects anonymous clients
+ */
+function requireSession(handler) {
+  return async (client, payload, meta) => {
+    if (!client.userId) {
+      return {
+        success: false,
+        error: 'Authentication required - connect with a session token'
+      };
+    }
+
+    if (!(await revalidateClient(client))) {
+      return {
+        success: false,
+        error: 'Session expired or revoked - send auth.refresh with a new access token or reconnect'
+      };
+    }
+
+    return handler(client, { ...payload, userId: client.userId }, meta);
+  };
+}
+
+/**
+ * Command handlers
+ * Bets and cash-outs go through the same controller methods as the REST
+ * routes in game.routes.js, so both transports make identical decisions.
+ * Each handler returns a controller-style result ({ success, ... }).
+ * Cash-outs are judged on the server receive time (and the measured round
+ * trip when the grace is enabled); any timing a client puts in the payload
+ * is overwritten.
+ */
+const commandHandlers = {
+  // Open to every client: an expired session must be able to swap in a new token
+  [COMMAND_TYPES.AUTH_REFRESH]: (client, payload) => reauthenticateClient(client, payload.token),
+
+  [COMMAND_TYPES.CRASH_BET]: requireSession((client, payload) => gameController.placeCrashBet(payload)),
+
+  [COMMAND_TYPES.CRASH_CASHOUT]: requireSession((client, payload, meta) => gameController.cashOutCrashBet({
+    ...payload,
+    receivedAt: meta.receivedAt,
+    rttMs: getClientRtt(client),
+    transport: 'ws'
+  })),
+
+  [COMMAND_TYPES.CRASH_AUTO_BET_START]: requireSession((client, payload) => gameController.startAutoBet(payload.userId, payload)),
+
+  [COMMAND_TYPES.CRASH_AUTO_BET_STOP]: requireSession((client, payload) => gameController.stopAutoBet(payload.userId)),
+
+  [COMMAND_TYPES.COLOR_BET]: requireSession((client, payload) => gameController.placeColorBet(payload)),
+
+  [COMMAND_TYPES.SUBSCRIBE]: (client, payload) => {
+    const channel = resolveChannel(payload);
+    if (!channel) {
+      return {
+        success: false,
+        error: `Unknown game. Must be one of: ${Object.values(CHANNELS).join(', ')}`
+      };
+    }
+
+    client.subscriptions.add(channel);
+    return {
+      success: true,
+      subscriptions: Array.from(client.subscriptions)
+    };
+  },
+
+  [COMMAND_TYPES.UNSUBSCRIBE]: (client, payload) => {
+    const channel = resolveChannel(payload);
+    if (!channel) {
+      return {
+        success: false,
+        error: `Unknown game. Must be one of: ${Object.values(CHANNELS).join(', ')}`
+      };
+    }
+
+    client.subscriptions.delete(channel);
+    return {
+      success: true,
+      subscriptions: Array.from(client.subscriptions)
+    };
+  }
+};
+
+/**
+ * Build an error reply
+ * @param {string|null} id - Correlation id from the command
+ * @param {string|null} command - Command type
+ * @param {string|Array} error - Error message(s)
+ * @returns {Object} Error reply
+ */
+function errorReply(id, command, error) {
+  return {
+    type: REPLY_TYPES.ERROR,
+    id,
+    command,
+    error,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Handle a raw message from a client
+ * @param {Object} client - Connected client ({ id, ws, userId, subscriptions })
+ * @param {string|Buffer} message - Raw message
+ * @param {number} receivedAt - Server receive time (epoch ms, default now)
+ * @returns {Promise<Object>} Reply to send back to the client
+ */
+async function handleCommand(client, message, receivedAt = Date.now()) {
+  let command;
+
+  try {
+    command = JSON.parse(message);
+  } catch (error) {
+    return errorReply(null, null, 'Invalid message format');
+  }
+
+  if (!command || typeof command !== 'object') {
+    return errorReply(null, null, 'Invalid message format');
+  }
+
+  const { id = null, type, payload = {} } = command;
+
+  if (id === null || id === undefined || id === '') {
+    return errorReply(null, type || null, 'Command must include a correlation id');
+  }
+
+  const handler = commandHandlers[type];
+  if (!handler) {
+    return errorReply(id, type || null, `Unknown command type: ${type}`);
+  }
+
+  try {
+    const result = await handler(client, payload || {}, { receivedAt });
+
+    if (!result.success) {
+      return errorReply(id, type, result.errors || result.error);
+    }
+
+    return {
+      type: REPLY_TYPES.ACK,
+      id,
+      command: type,
+      data: result,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error(`WebSocket command ${type} failed:`, error);
+    return errorReply(id, type, error.message);
+  }
+}
+
+// Export command handling functions and constants
+module.exports = {
+  CHANNELS,
+  COMMAND_TYPES,
+  REPLY_TYPES,
+  handleCommand
+};
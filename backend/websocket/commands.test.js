@@ -0,0 +1,169 @@
+// backend/websocket/commands.test.js - WebSocket Command Tests for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Covers session checks on player commands, swapping in a new access token
+// and cash-outs whose session lookups outlast the crash point
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../users/auth');
+const ledger = require('../users/ledger');
+const { Session, User } = require('../database/models');
+const gameController = require('../game/index');
+const { roundManager } = require('../game/rounds');
+const sessions = require('./sessions');
+const { handleCommand } = require('./commands');
+
+const PLAYER = { _id: '64b000000000000000000001', username: 'pilot', role: 'player' };
+const OTHER_PLAYER = { _id: '64b000000000000000000002', username: 'navigator', role: 'player' };
+
+/**
+ * Create a connected client the way websocket/server.js does
+ * @param {Object} user - Authenticated user (null for anonymous)
+ * @param {string} accessToken - Handshake token
+ * @returns {Object} Client
+ */
+function createClient(user, accessToken) {
+  const client = {
+    id: 'client_test',
+    ws: { OPEN: 1, readyState: 1, send() {} },
+    userId: user ? user._id : null,
+    username: user ? user.username : null,
+    accessToken,
+    subscriptions: new Set()
+  };
+  sessions.registerClient(client);
+  return client;
+}
+
+/**
+ * Send one command and wait for its reply
+ * @param {Object} client - Connected client
+ * @param {string} type - Command type
+ * @param {Object} payload - Command payload
+ * @param {number} receivedAt - Server receive time (default now)
+ * @returns {Promise<Object>} Reply
+ */
+function send(client, type, payload = {}, receivedAt = Date.now()) {
+  return handleCommand(client, JSON.stringify({ id: type, type, payload }), receivedAt);
+}
+
+/**
+ * Keep sessions and users in memory instead of MongoDB
+ * @param {Object} t - Test context
+ * @param {number} lookupDelayMs - How long each session lookup takes
+ */
+function mockSessionModels(t, lookupDelayMs = 0) {
+  const stored = new Map();
+  let sessionCount = 0;
+  t.mock.method(Session, 'create', async (fields) => {
+    const session = { ...fields, _id: `session_${++sessionCount}`, isActive: () => true };
+    stored.set(session._id, session);
+    return session;
+  });
+  t.mock.method(Session, 'findById', async (id) => {
+    await new Promise(resolve => setTimeout(resolve, lookupDelayMs));
+    return stored.get(String(id)) || null;
+  });
+  t.mock.method(User, 'findById', async id => [PLAYER, OTHER_PLAYER].find(user => user._id === String(id)) || null);
+}
+
+describe('auth.refresh', () => {
+  beforeEach((t) => {
+    mockSessionModels(t);
+  });
+
+  /**
+   * Let the handshake token expire and issue a fresh one for the same player
+   * @param {Object} t - Test context
+   * @returns {Promise<Object>} { client, freshToken }
+   */
+  async function expireHandshakeToken(t) {
+    const { accessToken } = await auth.createSession(PLAYER);
+    const client = createClient(PLAYER, accessToken);
+
+    const later = Date.now() + auth.AUTH_CONFIG.ACCESS_TOKEN_TTL + 1000;
+    t.mock.method(Date, 'now', () => later);
+
+    const fresh = await auth.createSession(PLAYER);
+    return { client, freshToken: fresh.accessToken };
+  }
+
+  test('an expired socket is rejected until it sends a new token', async (t) => {
+    const { client, freshToken } = await expireHandshakeToken(t);
+
+    const rejected = await send(client, 'crash.autobet.stop');
+    assert.equal(rejected.type, 'error');
+    assert.match(rejected.error, /Session expired or revoked/);
+
+    const refreshed = await send(client, 'auth.refresh', { token: freshToken });
+    assert.equal(refreshed.type, 'ack');
+    assert.equal(refreshed.data.userId, PLAYER._id);
+    assert.equal(sessions.getUserConnectionCount(PLAYER._id), 1);
+
+    // Past the session check - the controller answers now
+    const accepted = await send(client, 'crash.autobet.stop');
+    assert.doesNotMatch(String(accepted.error), /Session expired|Authentication required/);
+    sessions.unregisterClient(client);
+  });
+
+  test('a new token swaps in before the old one expires', async () => {
+    const first = await auth.createSession(PLAYER);
+    const second = await auth.createSession(PLAYER);
+    const client = createClient(PLAYER, first.accessToken);
+
+    const refreshed = await send(client, 'auth.refresh', { token: second.accessToken });
+
+    assert.equal(refreshed.type, 'ack');
+    assert.equal(client.accessToken, second.accessToken);
+    sessions.unregisterClient(client);
+  });
+
+  test('a token for another user is refused', async () => {
+    const own = await auth.createSession(PLAYER);
+    const other = await auth.createSession(OTHER_PLAYER);
+    const client = createClient(PLAYER, own.accessToken);
+
+    const reply = await send(client, 'auth.refresh', { token: other.accessToken });
+
+    assert.equal(reply.type, 'error');
+    assert.equal(client.userId, PLAYER._id);
+    assert.equal(client.accessToken, own.accessToken);
+    sessions.unregisterClient(client);
+  });
+
+  test('an invalid token is refused', async () => {
+    const client = createClient(null, null);
+
+    const reply = await send(client, 'auth.refresh', { token: 'not-a-token' });
+
+    assert.equal(reply.type, 'error');
+    assert.equal(client.userId, null);
+  });
+});
+
+describe('crash.cashout', () => {
+  afterEach(() => {
+    gameController.stopCrashGame();
+  });
+
+  test('a cash-out received before the crash wins even if its session lookup outlasts the crash point', async (t) => {
+    // The lookup takes longer than the whole flight
+    mockSessionModels(t, 120);
+    t.mock.method(ledger, 'postEntry', async () => ({ success: true, balance: 1000 }));
+    const { accessToken } = await auth.createSession(PLAYER);
+    const client = createClient(PLAYER, accessToken);
+
+    gameController.startCrashGame({ BETTING_WINDOW: 5000 });
+    roundManager.getCurrentRound().forcedCrashMultiplier = 1.01;
+    const placed = await gameController.placeCrashBet({ userId: PLAYER._id, amount: 10 });
+    roundManager.startCurrentRound();
+    const round = roundManager.getCurrentRound();
+
+    const reply = await send(client, 'crash.cashout', { betId: placed.bet.betId }, round.startedAt.getTime());
+
+    assert.ok(Date.now() - round.startedAt.getTime() > round.gameDuration);
+    assert.equal(reply.type, 'ack');
+    assert.equal(reply.data.judgement.reason, 'before_crash');
+    sessions.unregisterClient(client);
+  });
+});
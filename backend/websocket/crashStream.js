@@ -0,0 +1,119 @@
+// backend/websocket/crashStream.js - Crash Round Stream for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Turns round manager events into a server-authoritative WebSocket protocol
+
+const rounds = require('../game/rounds');
+
+/**
+ * Crash Stream Message Types
+ * Sent in order for every round: queued → betting open → started → ticks → crashed → completed
+ */
+const CRASH_STREAM_EVENTS = {
+  ROUND_QUEUED: 'round_queued',
+  BETTING_OPEN: 'betting_open',
+  ROUND_STARTED: 'round_started',
+  TICK: 'tick',
+  CRASHED: 'crashed',
+  ROUND_COMPLETED: 'round_completed'
+};
+
+/**
+ * Crash Stream Configuration
+ */
+const CRASH_STREAM_CONFIG = {
+  // Interval between multiplier ticks in milliseconds (10 updates per second)
+  TICK_INTERVAL: 100
+};
+
+/**
+ * Attach the crash round stream to a WebSocket server
+ * @param {Function} broadcast - Sends a message object to connected clients
+ * @param {Object} options - Stream options
+ * @param {number} options.tickInterval - Milliseconds between ticks
+ * @returns {Object} Stream handle with stop()
+ */
+function attachCrashStream(broadcast, options = {}) {
+  const tickInterval = options.tickInterval || CRASH_STREAM_CONFIG.TICK_INTERVAL;
+  let tickTimer = null;
+
+  const send = (type, payload) => {
+    broadcast({
+      type,
+      ...payload,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  const stopTicks = () => {
+    if (tickTimer) {
+      clearInterval(tickTimer);
+      tickTimer = null;
+    }
+  };
+
+  const startTicks = (roundId) => {
+    stopTicks();
+
+    tickTimer = setInterval(() => {
+      const round = rounds.roundManager.getRound(roundId);
+
+      if (!round || round.state !== rounds.ROUND_STATES.RUNNING) {
+        stopTicks();
+        return;
+      }
+
+      // Computed from the published curve formula on the server clock.
+      // Ticks keep coming until the crashed event (including the grace after
+      // the crash point), so their timing never gives the crash away.
+      const multiplier = round.getCurrentMultiplier();
+      if (multiplier === null) {
+        return;
+      }
+
+      send(CRASH_STREAM_EVENTS.TICK, {
+        roundId,
+        multiplier,
+        elapsed: round.getElapsedTime(),
+        serverTime: Date.now()
+      });
+    }, tickInterval);
+  };
+
+  rounds.onNextRoundQueued((data) => {
+    send(CRASH_STREAM_EVENTS.ROUND_QUEUED, data);
+  });
+
+  rounds.onBettingOpen((data) => {
+    send(CRASH_STREAM_EVENTS.BETTING_OPEN, data);
+  });
+
+  rounds.onRoundStart((roundData) => {
+    send(CRASH_STREAM_EVENTS.ROUND_STARTED, {
+      round: roundData,
+      serverTime: Date.now()
+    });
+    startTicks(roundData.roundId);
+  });
+
+  rounds.onRoundCrash((roundData) => {
+    stopTicks();
+    send(CRASH_STREAM_EVENTS.CRASHED, { round: roundData });
+  });
+
+  rounds.onRoundComplete((roundData) => {
+    send(CRASH_STREAM_EVENTS.ROUND_COMPLETED, { round: roundData });
+  });
+
+  console.log('Crash stream attached to WebSocket server');
+
+  return {
+    stop: stopTicks
+  };
+}
+
+// Export stream functions and constants
+module.exports = {
+  CRASH_STREAM_EVENTS,
+  CRASH_STREAM_CONFIG,
+  attachCrashStream
+};
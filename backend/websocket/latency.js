@@ -0,0 +1,91 @@
+// backend/websocket/latency.js - Connection Latency Probe for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Measures each client's round trip with WebSocket ping/pong frames for cash-out judging
+
+/**
+ * Latency Probe Configuration
+ */
+const LATENCY_CONFIG = {
+  // Milliseconds between pings
+  PING_INTERVAL: 5000,
+
+  // Round trips kept per client (the median is reported)
+  MAX_SAMPLES: 5
+};
+
+/**
+ * Start measuring a client's round trip
+ * The client answers the pings, so a modified client can delay its pongs and
+ * inflate the figure - the cash-out grace built on it is capped and off by
+ * default (ENGINE_CONFIG.CASHOUT_JUDGING).
+ * @param {Object} client - Connected client ({ ws, ... })
+ * @param {Object} options - Probe options
+ * @param {number} options.pingInterval - Milliseconds between pings
+ */
+function startLatencyProbe(client, options = {}) {
+  const pingInterval = options.pingInterval || LATENCY_CONFIG.PING_INTERVAL;
+
+  client.rttSamples = [];
+  client.pingSentAt = null;
+
+  client.ws.on('pong', () => {
+    if (client.pingSentAt === null) {
+      return;
+    }
+
+    client.rttSamples.push(Date.now() - client.pingSentAt);
+    if (client.rttSamples.length > LATENCY_CONFIG.MAX_SAMPLES) {
+      client.rttSamples.shift();
+    }
+    client.pingSentAt = null;
+  });
+
+  const ping = () => {
+    // An unanswered ping is dropped rather than counted as a huge round trip
+    client.pingSentAt = Date.now();
+    try {
+      client.ws.ping();
+    } catch (error) {
+      client.pingSentAt = null;
+    }
+  };
+
+  ping();
+  client.pingTimer = setInterval(ping, pingInterval);
+  client.pingTimer.unref();
+}
+
+/**
+ * Stop measuring a client's round trip
+ * @param {Object} client - Connected client
+ */
+function stopLatencyProbe(client) {
+  if (client.pingTimer) {
+    clearInterval(client.pingTimer);
+    client.pingTimer = null;
+  }
+}
+
+/**
+ * Get a client's measured round trip
+ * @param {Object} client - Connected client
+ * @returns {number|null} Median of the recent round trips in ms, or null before the first pong
+ */
+function getClientRtt(client) {
+  if (!client.rttSamples || client.rttSamples.length === 0) {
+    return null;
+  }
+
+  const sorted = [...client.rttSamples].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = {
+  LATENCY_CONFIG,
+  startLatencyProbe,
+  stopLatencyProbe,
+  getClientRtt
+};
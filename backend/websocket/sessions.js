@@ -0,0 +1,211 @@
+// backend/websocket/sessions.js - Authenticated WebSocket Sessions for Aviiaor Demo Platform
+// Educational demo only - No real money transactions
+// Maps connections to users and delivers private per-user events
+
+const { authenticateToken, extractBearerToken } = require('../users/auth');
+
+/**
+ * Private event types (only ever sent to the owning user's connections)
+ */
+const PRIVATE_EVENTS = {
+  BET_ACCEPTED: 'bet_accepted',
+  CASHOUT_RESULT: 'cashout_result',
+  BET_SETTLED: 'bet_settled',
+  AUTO_BET_UPDATED: 'auto_bet_updated',
+  BALANCE_CHANGED: 'balance_changed'
+};
+
+// userId → Set of connected clients (one per open tab)
+const userClients = new Map();
+
+/**
+ * Authenticate a WebSocket handshake
+ * Accepts the access token issued by /auth/login, /auth/signup or
+ * /auth/refresh, either as a `token` query parameter (browsers cannot set
+ * headers on WebSocket) or as an Authorization: Bearer header. Revoked
+ * sessions are rejected the same way as on HTTP routes.
+ * @param {Object} req - HTTP upgrade request
+ * @returns {Promise<Object|null>} Verified session ({ userId, username, sessionId, accessToken }) or null for anonymous connections
+ */
+async function authenticateHandshake(req) {
+  let token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      token = url.searchParams.get('token');
+    } catch (error) {
+      token = null;
+    }
+  }
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const { user, session } = await authenticateToken(token);
+    return {
+      userId: String(user._id),
+      username: user.username,
+      sessionId: String(session._id),
+      accessToken: token
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Re-check an authenticated client's session before it acts
+ * The handshake token is checked again (expiry, logout, refresh-token reuse
+ * revocation, deleted user). A client that fails drops back to anonymous:
+ * it stops receiving private events until it sends a new token
+ * (reauthenticateClient) or reconnects.
+ * @param {Object} client - Connected client ({ userId, accessToken, ... })
+ * @returns {Promise<boolean>} True if the session is still valid
+ */
+async function revalidateClient(client) {
+  if (!client.userId || !client.accessToken) {
+    return false;
+  }
+
+  try {
+    await authenticateToken(client.accessToken);
+    return true;
+  } catch (error) {
+    unregisterClient(client);
+    client.userId = null;
+    client.username = null;
+    client.accessToken = null;
+    return false;
+  }
+}
+
+/**
+ * Swap a new access token into an open connection
+ * Access tokens are short-lived, so a long-lived socket sends the token from
+ * /auth/refresh here instead of reconnecting. An anonymous connection (or one
+ * whose session lapsed) may authenticate this way too; a connection never
+ * switches from one user to another.
+ * @param {Object} client - Connected client ({ userId, accessToken, ... })
+ * @param {string} token - New access token
+ * @returns {Promise<Object>} Result ({ success, userId, username } or { success: false, error })
+ */
+async function reauthenticateClient(client, token) {
+  if (typeof token !== 'string' || token === '') {
+    return {
+      success: false,
+      error: 'Access token is required'
+    };
+  }
+
+  let authenticated;
+  try {
+    authenticated = await authenticateToken(token);
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  const userId = String(authenticated.user._id);
+  if (client.userId && client.userId !== userId) {
+    return {
+      success: false,
+      error: 'Token belongs to a different user - reconnect to switch accounts'
+    };
+  }
+
+  client.accessToken = token;
+  if (!client.userId) {
+    client.userId = userId;
+    client.username = authenticated.user.username;
+    registerClient(client);
+  }
+
+  return {
+    success: true,
+    userId: client.userId,
+    username: client.username
+  };
+}
+
+/**
+ * Register an authenticated client under its user
+ * @param {Object} client - Connected client ({ id, ws, userId })
+ */
+function registerClient(client) {
+  if (!client.userId) {
+    return;
+  }
+
+  if (!userClients.has(client.userId)) {
+    userClients.set(client.userId, new Set());
+  }
+  userClients.get(client.userId).add(client);
+}
+
+/**
+ * Remove a client from its user's connections
+ * @param {Object} client - Connected client
+ */
+function unregisterClient(client) {
+  if (!client.userId || !userClients.has(client.userId)) {
+    return;
+  }
+
+  const clients = userClients.get(client.userId);
+  clients.delete(client);
+  if (clients.size === 0) {
+    userClients.delete(client.userId);
+  }
+}
+
+/**
+ * Send a private event to every connection of one user
+ * @param {string} userId - Target user
+ * @param {Object} data - Message object
+ * @returns {number} Number of connections the event was sent to
+ */
+function sendToUser(userId, data) {
+  const clients = userClients.get(String(userId));
+  if (!clients) {
+    return 0;
+  }
+
+  const message = JSON.stringify(data);
+  let delivered = 0;
+
+  clients.forEach((client) => {
+    if (client.ws.readyState === client.ws.OPEN) {
+      client.ws.send(message);
+      delivered++;
+    }
+  });
+
+  return delivered;
+}
+
+/**
+ * Get the number of connections for a user
+ * @param {string} userId - User identifier
+ * @returns {number} Open connection count
+ */
+function getUserConnectionCount(userId) {
+  const clients = userClients.get(String(userId));
+  return clients ? clients.size : 0;
+}
+
+// Export session functions and constants
+module.exports = {
+  PRIVATE_EVENTS,
+  authenticateHandshake,
+  revalidateClient,
+  reauthenticateClient,
+  registerClient,
+  unregisterClient,
+  sendToUser,
+  getUserConnectionCount
+};